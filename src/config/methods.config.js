@@ -1,3 +1,4 @@
+import { checkPattern } from "../utils/patterns.js";
 
 /**
 * @type {import("@helios-starling/utils").builtInMethods}
@@ -19,6 +20,15 @@ export const builtInMethods = {
             }
         })
     },
+    "system:methods": async context => {
+        const schemas = context.starling.helios.schemas;
+        if (!schemas.introspection) {
+            context.error('INTROSPECTION_DISABLED', 'Method introspection is disabled');
+            return;
+        }
+
+        context.success(schemas.describe());
+    },
     "starling:state": async context => {
         /**
         * @type {import('./starling').Starling} starling
@@ -34,5 +44,104 @@ export const builtInMethods = {
                 lastConnected: starling.lastConnected
             }
         });
+    },
+    "room:join": async context => {
+        const { room } = context.payload || {};
+        if (typeof room !== 'string' || !room) {
+            context.error('INVALID_ROOM', 'A room name is required');
+            return;
+        }
+
+        const rooms = context.starling.helios.starlings.rooms;
+        if (!await rooms.authorize(context.starling, room, 'join')) {
+            context.error('ROOM_FORBIDDEN', `Not allowed to join room ${room}`);
+            return;
+        }
+
+        rooms.join(context.starling, room);
+        context.success({ room, rooms: rooms.of(context.starling) });
+    },
+    "room:leave": async context => {
+        const { room } = context.payload || {};
+        if (typeof room !== 'string' || !room) {
+            context.error('INVALID_ROOM', 'A room name is required');
+            return;
+        }
+
+        const rooms = context.starling.helios.starlings.rooms;
+        if (!await rooms.authorize(context.starling, room, 'leave')) {
+            context.error('ROOM_FORBIDDEN', `Not allowed to leave room ${room}`);
+            return;
+        }
+
+        rooms.leave(context.starling, room);
+        context.success({ room, rooms: rooms.of(context.starling) });
+    },
+    "topic:subscribe": async context => {
+        const { topic } = context.payload || {};
+        if (typeof topic !== 'string' || !topic) {
+            context.error('INVALID_TOPIC', 'A topic is required');
+            return;
+        }
+
+        // Patterns come from clients, their size bounds the cost of matching them on publish
+        const invalid = checkPattern(topic);
+        if (invalid) {
+            context.error('INVALID_TOPIC', invalid);
+            return;
+        }
+
+        const subscriptions = context.starling.helios.subscriptions;
+        if (!await subscriptions.authorize(context.starling, topic, 'subscribe')) {
+            context.error('TOPIC_FORBIDDEN', `Not allowed to subscribe to ${topic}`);
+            return;
+        }
+
+        if (!subscriptions.of(context.starling).includes(topic) && subscriptions.isFull(context.starling)) {
+            context.error('TOPIC_LIMIT', 'Too many subscriptions');
+            return;
+        }
+
+        subscriptions.subscribe(context.starling, topic);
+        context.success({ topic, topics: subscriptions.of(context.starling) });
+    },
+    "topic:unsubscribe": async context => {
+        const { topic } = context.payload || {};
+        if (typeof topic !== 'string' || !topic) {
+            context.error('INVALID_TOPIC', 'A topic is required');
+            return;
+        }
+
+        const subscriptions = context.starling.helios.subscriptions;
+        if (!await subscriptions.authorize(context.starling, topic, 'unsubscribe')) {
+            context.error('TOPIC_FORBIDDEN', `Not allowed to unsubscribe from ${topic}`);
+            return;
+        }
+
+        subscriptions.unsubscribe(context.starling, topic);
+        context.success({ topic, topics: subscriptions.of(context.starling) });
+    },
+    "service:register": async context => {
+        const { methods } = context.payload || {};
+        if (!Array.isArray(methods) || methods.length === 0 || !methods.every(method => typeof method === 'string' && method)) {
+            context.error('INVALID_SERVICE', 'A non-empty list of method names is required');
+            return;
+        }
+
+        const services = context.starling.helios.services;
+        if (!await services.authorize(context.starling, methods)) {
+            context.error('SERVICE_FORBIDDEN', 'Not allowed to provide these methods');
+            return;
+        }
+
+        services.register(context.starling, methods);
+        context.success({ methods: services.of(context.starling) });
+    },
+    "service:unregister": async context => {
+        const { methods } = context.payload || {};
+        const services = context.starling.helios.services;
+
+        services.unregister(context.starling, Array.isArray(methods) ? methods : undefined);
+        context.success({ methods: services.of(context.starling) });
     }
 }
\ No newline at end of file
@@ -0,0 +1,148 @@
+import { createHash } from "node:crypto";
+import { identityKey } from "../utils/identity.js";
+
+/**
+* @callback ThumbprintResolver
+* @param {Request} req Upgrade request
+* @returns {string|null|Promise<string|null>} Thumbprint of the key the client proved it holds
+*/
+
+/**
+* Client context recovery tokens are bound to. Each enabled binding is embedded
+* in the tokens, and recoveries from a request that does not match are refused.
+* @typedef {Object} TokenBindingOptions
+* @property {boolean|{v4?: number, v6?: number}} [subnet=false] Bind to the client subnet, /24 and /64 by default
+* @property {boolean} [userAgent=false] Bind to a hash of the User-Agent header
+* @property {boolean} [identity=false] Bind to the authenticated identity key
+* @property {ThumbprintResolver} [thumbprint] Bind to a client key thumbprint
+*/
+
+/**
+* Client context captured at upgrade
+* @typedef {Object} BindingContext
+* @property {string|null} subnet Client subnet, in CIDR notation
+* @property {string|null} userAgent User-Agent hash
+* @property {string|null} thumbprint Client key thumbprint
+*/
+
+/**
+* Hashes a value into a short, URL-safe digest
+* @param {string} value Value to hash
+* @returns {string}
+*/
+const digest = (value) => createHash('sha256').update(value).digest('base64url').slice(0, 22);
+
+/**
+* Expands an IPv6 address into its eight groups
+* @param {string} ip IPv6 address
+* @returns {number[]|null}
+*/
+const expandIPv6 = (ip) => {
+    const [head, tail] = ip.split('::');
+    const parse = part => part ? part.split(':').map(group => parseInt(group, 16)) : [];
+    const left = parse(head);
+    const right = tail === undefined ? [] : parse(tail);
+    const groups = tail === undefined
+    ? left
+    : [...left, ...new Array(8 - left.length - right.length).fill(0), ...right];
+
+    return groups.length === 8 && groups.every(group => group >= 0 && group <= 0xffff) ? groups : null;
+}
+
+/**
+* Gets the subnet of an IP address
+* @param {string|null} ip IPv4 or IPv6 address
+* @param {{v4?: number, v6?: number}} [prefixes] Prefix lengths
+* @returns {string|null} Subnet in CIDR notation
+*/
+export const subnetOf = (ip, { v4 = 24, v6 = 64 } = {}) => {
+    if (!ip) {
+        return null;
+    }
+
+    // IPv4-mapped IPv6 addresses are handled as IPv4
+    const address = ip.startsWith('::ffff:') && ip.includes('.') ? ip.slice(7) : ip;
+
+    if (address.includes('.')) {
+        const value = address.split('.').reduce((acc, octet) => acc * 256 + Number(octet), 0);
+        const masked = v4 === 0 ? 0 : Math.floor(value / 2 ** (32 - v4)) * 2 ** (32 - v4);
+        const octets = [24, 16, 8, 0].map(shift => Math.floor(masked / 2 ** shift) % 256);
+        return `${octets.join('.')}/${v4}`;
+    }
+
+    const groups = expandIPv6(address);
+    if (!groups) {
+        return null;
+    }
+
+    const masked = groups.map((group, index) => {
+        const bits = Math.min(Math.max(v6 - index * 16, 0), 16);
+        return bits === 16 ? group : group & (0xffff << (16 - bits)) & 0xffff;
+    });
+    return `${masked.map(group => group.toString(16)).join(':')}/${v6}`;
+}
+
+/**
+* Captures the binding context of an upgrade request
+* @param {Request} req Upgrade request
+* @param {string|null} ip Client IP
+* @param {TokenBindingOptions} [options] Binding options
+* @returns {Promise<BindingContext|null>} Null when no binding is enabled
+*/
+export const captureBinding = async (req, ip, options) => {
+    if (!options) {
+        return null;
+    }
+
+    const userAgent = options.userAgent ? req.headers.get('user-agent') : null;
+
+    return {
+        subnet: options.subnet ? subnetOf(ip, options.subnet === true ? {} : options.subnet) : null,
+        userAgent: userAgent ? digest(userAgent) : null,
+        thumbprint: options.thumbprint ? (await options.thumbprint(req)) || null : null
+    };
+}
+
+/**
+* Gets the binding claims of a Starling's tokens
+* @param {import('./starling').Starling} starling Starling instance
+* @param {TokenBindingOptions} [options] Binding options
+* @returns {Object|null} `bnd` claim value, null when nothing is bound
+*/
+export const bindingClaims = (starling, options) => {
+    if (!options) {
+        return null;
+    }
+
+    const context = starling.binding || {};
+    const claims = {};
+
+    if (options.subnet && context.subnet) claims.net = context.subnet;
+    if (options.userAgent && context.userAgent) claims.uah = context.userAgent;
+    if (options.thumbprint && context.thumbprint) claims.jkt = context.thumbprint;
+    if (options.identity && starling.identity) claims.sub = identityKey(starling.identity, starling.helios.options?.identityKey);
+
+    return Object.keys(claims).length ? claims : null;
+}
+
+/**
+* Checks a reconnecting connection against the bindings of a token
+* @param {import('jose').JWTPayload} payload Verified token payload
+* @param {BindingContext|null} context Binding context of the reconnecting request
+* @param {Object|null} identity Identity of the reconnecting request
+* @param {function(Object): *} [key] Identity key function, the `identityKey` option of the server
+* @returns {string|null} Name of the first mismatching binding, null when everything matches
+*/
+export const checkBinding = (payload, context, identity, key) => {
+    const claims = payload.bnd;
+    if (!claims) {
+        return null;
+    }
+
+    if (claims.net && claims.net !== context?.subnet) return 'subnet';
+    if (claims.uah && claims.uah !== context?.userAgent) return 'userAgent';
+    if (claims.jkt && claims.jkt !== context?.thumbprint) return 'thumbprint';
+    if (claims.sub && claims.sub !== identityKey(identity, key)) return 'identity';
+
+    return null;
+}
@@ -1,7 +1,21 @@
 import { NetworkNode } from "@helios-starling/utils";
-import { StarlingsManager } from "../managers/starlings";
-import { builtInMethods } from "../config/methods.config";
-import { proxyConfiguration } from "../config/proxy.config";
+import { StarlingsManager } from "../managers/starlings.js";
+import { SubscriptionsManager } from "../managers/subscriptions.js";
+import { RateLimitManager } from "../managers/ratelimits.js";
+import { InflightTracker } from "../managers/inflight.js";
+import { ProxyManager } from "../managers/proxy.js";
+import { ServicesManager } from "../managers/services.js";
+import { MetricsManager } from "../managers/metrics.js";
+import { AdminManager } from "../managers/admin.js";
+import { AdmissionManager } from "../managers/admission.js";
+import { Keyring } from "../managers/keyring.js";
+import { SchemaManager } from "../managers/schemas.js";
+import { resolveTransport } from "../transports/index.js";
+import { createRouter, isUpgradeRequest } from "./http.js";
+import { builtInMethods } from "../config/methods.config.js";
+import { proxyConfiguration } from "../config/proxy.config.js";
+import { createStateStore } from "../stores/index.js";
+import { prepareUpgrade } from "./upgrade.js";
 
 /**
 * @typedef {import('@helios-starling/utils').NetworkNodeOptions} NetworkNodeOptions
@@ -9,7 +23,29 @@ import { proxyConfiguration } from "../config/proxy.config";
 
 /**
 * @typedef {NetworkNodeOptions & {
-*   connectionKey?: Uint8Array|string
+*   connectionKey?: Uint8Array|string,
+*   keys?: import('../managers/keyring').KeyringOptions,
+*   stateStore?: import('../stores').StateStoreOption,
+*   statePurgeInterval?: number,
+*   rehydration?: boolean,
+*   authenticate?: import('./upgrade').AuthenticateHandler,
+*   recoveryToken?: import('./upgrade').RecoveryTokenSources,
+*   recovery?: import('../managers/replays').RecoveryOptions,
+*   identityKey?: function(Object): *,
+*   tokenBinding?: import('./binding').TokenBindingOptions,
+*   transport?: import('../transports').TransportOption,
+*   authorizeRoom?: import('../managers/rooms').RoomAuthorizationHandler,
+*   authorizeTopic?: import('../managers/subscriptions').TopicAuthorizationHandler,
+*   maxSubscriptions?: number,
+*   rateLimit?: import('../managers/ratelimits').RateLimitOptions,
+*   proxy?: import('../managers/proxy').ProxyOptions,
+*   services?: import('../managers/services').ServicesOptions,
+*   metrics?: import('../managers/metrics').MetricsOptions,
+*   admin?: import('../managers/admin').AdminOptions,
+*   maxConnections?: number,
+*   maxConnectionsPerIp?: number,
+*   validateOutput?: boolean,
+*   introspection?: boolean
 * }} HeliosOptions
 */
 
@@ -29,7 +65,7 @@ import { proxyConfiguration } from "../config/proxy.config";
 /**
  * @typedef {Object} ProxiesMiddlewares
  * @property {RequestProxyHandler?} [onRequest] 
- * @property {ResponseProxyHandler?} [onResponse]
+ * @property {ResponseProxyHandler?} [onResponse] Picks the Starling receiving the response of a proxied request, its source by default
  * @property {NotificationProxyHandler?} [onNotification]
  * @property {ErrorMessageProxyHandler?} [onErrorMessage]
  */
@@ -42,16 +78,39 @@ export class Helios extends NetworkNode {
     /** @param {HeliosOptions} options */
     constructor(options = {}) {
         super({
-            builtInMethods,
+            // Built-ins are refused while stopping, tracked and measured like registered methods
+            builtInMethods: Object.fromEntries(Object.entries(builtInMethods).map(([name, handler]) =>
+                [name, context => this._runMethod(name, handler, context)]
+            )),
             proxyConfiguration
         }, {...options})
         
         /**
-        * Encryption keys used by the server
+        * Keys signing and verifying the recovery tokens
+        * @type {Keyring}
         * @private
         */
-        this._keys = {
-            connection: options.connectionKey || crypto.getRandomValues(new Uint8Array(32))
+        this._keys = new Keyring(this, {
+            current: options.connectionKey,
+            ...options.keys
+        });
+
+        /**
+        * Server-side store for recovery states.
+        * When null, states are embedded in the recovery tokens.
+        * @type {import('../stores').StateStore|null}
+        * @private
+        */
+        this._stateStore = createStateStore(options.stateStore);
+
+        /**
+        * Periodic removal of expired stored states
+        * @private
+        */
+        this._purgeTimer = null;
+        if (this._stateStore?.purge) {
+            this._purgeTimer = setInterval(() => this._purgeStates(), options.statePurgeInterval || 60000);
+            this._purgeTimer.unref?.();
         }
 
         /**
@@ -67,9 +126,138 @@ export class Helios extends NetworkNode {
         
         this._starlings = new StarlingsManager(this);
 
+        this._subscriptions = new SubscriptionsManager(this);
+
+        /**
+        * Rate limits, when configured
+        * @type {RateLimitManager|null}
+        * @private
+        */
+        this._rateLimits = options.rateLimit ? new RateLimitManager(this, options.rateLimit) : null;
+
+        /**
+        * Bun server handle, set by serve()
+        * @type {import('bun').Server|null}
+        * @private
+        */
+        this._server = null;
+
+        /**
+        * In-flight method handlers and proxied requests, drained on stop()
+        * @private
+        */
+        this._inflight = new InflightTracker();
+
+        /**
+        * Proxy pipeline behind proxyConfiguration
+        * @private
+        */
+        this._proxy = new ProxyManager(this, options.proxy);
+
+        /**
+        * Registry of worker Starlings providing methods
+        * @private
+        */
+        this._services = new ServicesManager(this, options.services);
+
+        /**
+        * Prometheus metrics, when enabled
+        * @type {MetricsManager|null}
+        * @private
+        */
+        this._metrics = options.metrics ? new MetricsManager(this, options.metrics) : null;
+
+        /**
+        * Admin HTTP API, when enabled
+        * @type {AdminManager|null}
+        * @private
+        */
+        this._admin = options.admin ? new AdminManager(this, options.admin) : null;
+
+        /**
+        * Connection limits
+        * @type {AdmissionManager}
+        * @private
+        */
+        this._admission = new AdmissionManager(this, {
+            maxConnections: options.maxConnections,
+            maxConnectionsPerIp: options.maxConnectionsPerIp
+        });
+
+        /**
+        * Transport serving the HTTP requests and WebSocket connections
+        * @type {import('../transports').Transport}
+        * @private
+        */
+        this._transport = resolveTransport(options.transport);
+
+        /**
+        * WebSocket path and HTTP routes, set by serve()
+        * @type {{path: string|null, router: ReturnType<typeof createRouter>}}
+        * @private
+        */
+        this._http = { path: null, router: createRouter() };
+
+        /**
+        * Pending stop, once stop() has been called
+        * @type {Promise<void>|null}
+        * @private
+        */
+        this._stopping = null;
+
+        /**
+        * Definitions and schemas of methods and topics
+        * @type {SchemaManager}
+        * @private
+        */
+        this._schemas = new SchemaManager(this, {
+            validateOutput: options.validateOutput,
+            introspection: options.introspection
+        });
+
+        // Built-in methods are registered by the NetworkNode, only their definitions are recorded
+        for (const [name, handler] of Object.entries(builtInMethods)) {
+            this._schemas.method(name, handler);
+        }
+
         // this.broadcast = this._starlings.broadcast;
     }
     
+    /**
+    * Method registration of the NetworkNode, wrapped by method()
+    * @private
+    */
+    _registerMethod = this.method;
+
+    /**
+     * Registers a method. Its payloads are validated against its schemas, and its handler
+     * is refused while stopping, tracked so that stop() can wait for it, and measured.
+     * @param {string} name Method name
+     * @param {function(import('@helios-starling/utils').RequestContext): *} handler Method handler
+     * @param {import('../managers/schemas').MethodSchemas} [options] Method options and schemas
+     */
+    method = (name, handler, options) => {
+        const validated = this._schemas.method(name, handler, options);
+        return this._registerMethod(name, context => this._runMethod(name, validated, context), options);
+    }
+
+    /**
+    * Notification topic registration of the NetworkNode, wrapped by on().
+    * Server events are listened to through `helios.events`, not `on()`.
+    * @private
+    */
+    _registerTopic = this.on;
+
+    /**
+     * Registers a notification topic handler. Its data is validated against its schema.
+     * @param {string} topic Notification topic
+     * @param {function(import('@helios-starling/utils').NotificationContext): *} handler Topic handler
+     * @param {import('../managers/schemas').TopicSchemas} [options] Topic options and schema
+     */
+    on = (topic, handler, options) => {
+        return this._registerTopic(topic, this._schemas.topic(topic, handler, options), options);
+    }
+
     _handlers = {
         /**
         * Handles new WebSocket connections
@@ -109,17 +297,25 @@ export class Helios extends NetworkNode {
                 return;
             }
             
-            try {
-                starling.handleMessage(message);
-            } catch (error) {
-                this._events.emit('handling:error', {
-                    starling,
-                    error,
-                    debug: {
-                        type: 'error',
-                        message: `Message handling error: ${error.message}`
-                    }
-                });
+            const process = () => {
+                try {
+                    starling.handleMessage(message);
+                } catch (error) {
+                    this._events.emit('handling:error', {
+                        starling,
+                        error,
+                        debug: {
+                            type: 'error',
+                            message: `Message handling error: ${error.message}`
+                        }
+                    });
+                }
+            };
+            
+            if (this._rateLimits) {
+                this._rateLimits.handle(starling, message, process);
+            } else {
+                process();
             }
         },
         /**
@@ -130,6 +326,9 @@ export class Helios extends NetworkNode {
         */
         close: (ws, code, reason) => {
             try {
+                if (ws.data && 'ip' in ws.data) {
+                    this._admission.release(ws.data.ip);
+                }
                 const starling = this._starlings.get(ws);
                 if (starling) {
                     starling.unlink();
@@ -171,28 +370,260 @@ export class Helios extends NetworkNode {
     }
     
     /**
-     * Starts the Helios server with Bun
-     * @param {number?} [port]
+     * Handles an HTTP request: built-in routes, then the WebSocket upgrade.
+     * Transports call it for every request, and it can be mounted in another HTTP server.
+     * @param {Request} req HTTP request
+     * @param {import('../transports').TransportRequestContext} [context={}] Client IP and upgrade function of the transport,
+     * upgrades are answered with 426 without the latter
+     * @returns {Promise<Response|undefined>} Undefined once upgraded
      */
-    serve = (port) => {
+    fetch = async (req, { ip = null, upgrade } = {}) => {
+        const metrics = this._metrics?.handle(req);
+        if (metrics) {
+            return metrics;
+        }
+        
+        const admin = await this._admin?.handle(req);
+        if (admin) {
+            return admin;
+        }
+        
+        const url = new URL(req.url);
+        if (url.pathname === '/healthz') {
+            return Response.json({ status: 'ok' });
+        }
+        if (url.pathname === '/readyz') {
+            const status = this._stopping ? 'stopping' : this._admission.overloaded ? 'overloaded' : 'ready';
+            return Response.json({ status }, { status: status === 'ready' ? 200 : 503 });
+        }
+        
+        const route = this._http.router(req, url);
+        if (route instanceof Response) {
+            return route;
+        }
+        if (route) {
+            return route.handler instanceof Response
+            ? route.handler.clone()
+            : route.handler(req, { params: route.params, helios: this });
+        }
+        
+        const { path } = this._http;
+        if (path && url.pathname !== path) {
+            return new Response("Not found", {status: 404});
+        }
+        if (!isUpgradeRequest(req) || typeof upgrade !== 'function') {
+            return new Response("Upgrade required", {status: 426, headers: { Upgrade: 'websocket' }});
+        }
+        
+        if (this._stopping) {
+            return new Response("Server is shutting down", {status: 503});
+        }
+        
+        const refused = this._admission.acquire(ip);
+        if (refused) {
+            return refused;
+        }
+        
+        let data;
         try {
-            Bun.serve({
-                ...(port ? {port} : {}),
-                fetch: (req, server) => {
-                    if (server.upgrade(req)) {
-                        return;
-                    }
-                    return new Response("Upgrade failed", {status: 500});
-                },
-                websocket: this.handlers
-            })
-            console.log(`🚀 Helios server started on port ${port}`);
+            data = await prepareUpgrade(this, req, ip);
         } catch (error) {
-            console.error(`❌ Failed to start Helios server: ${error.message}`);
+            this._admission.release(ip);
+            throw error;
+        }
+        if (data instanceof Response) {
+            this._admission.release(ip);
+            return data;
+        }
+        
+        if (upgrade({ ...data, ip })) {
+            return;
         }
+        this._admission.release(ip);
+        return new Response("Upgrade failed", {status: 500});
+    }
+    
+    /**
+     * Starts the Helios server with the configured transport (Bun by default under Bun, Node otherwise)
+     * @param {import('./http').ServeOptions|number} [options={}] Serve options, or a port
+     * @returns {Promise<import('./http').ServeHandle>}
+     * @throws {Error} If the server cannot start, e.g. when the port is in use
+     */
+    serve = async (options = {}) => {
+        const {
+            port,
+            hostname,
+            tls,
+            path = null,
+            routes,
+            websocket
+        } = typeof options === 'number' ? { port: options } : options || {};
+        
+        this._http = { path, router: createRouter(routes) };
+        
+        const server = await this._transport.listen({
+            port,
+            hostname,
+            tls,
+            websocketOptions: websocket,
+            fetch: this.fetch,
+            websocket: this.handlers
+        });
+        this._server = server;
         
+        const url = String(server.url || '').replace(/\/$/, '');
+        const handle = {
+            port: server.port,
+            url,
+            websocketUrl: `${url.replace(/^http/, 'ws')}${path || '/'}`,
+            server,
+            stop: (options) => this.stop(options)
+        };
+        
+        this._events.emit('server:started', {
+            ...handle,
+            transport: this._transport.name,
+            debug: {
+                type: 'info',
+                message: `Helios server started on ${url} (${this._transport.name})`
+            }
+        });
+        
+        return handle;
+    }
+
+    /**
+     * Gracefully stops the server.
+     * New upgrades are refused, every connected Starling receives a `server:shutdown`
+     * notification with a fresh recovery token, new requests are refused while in-flight
+     * method handlers and proxied requests are drained, then the remaining sockets are closed.
+     * @param {Object} [options]
+     * @param {number} [options.timeout=10000] Maximum time in ms to wait for in-flight work, 0 to not wait
+     * @param {number} [options.code=1001] Close code sent to the Starlings
+     * @param {string} [options.reason='Server shutting down'] Close reason
+     * @returns {Promise<void>}
+     */
+    stop = ({ timeout = 10000, code = 1001, reason = 'Server shutting down' } = {}) => {
+        if (this._stopping) {
+            return this._stopping;
+        }
+
+        this._stopping = (async () => {
+            this._events.emit('server:stopping', {
+                debug: {
+                    type: 'info',
+                    message: `Helios server stopping`
+                }
+            });
+
+            // Stop listening, existing sockets stay open
+            this._server?.stop();
+
+            const starlings = this._starlings.filter(starling => starling.isConnected);
+
+            await Promise.allSettled(starlings.map(async starling => {
+                const token = await starling.states.generateToken();
+                starling.notify({
+                    topic: 'server:shutdown',
+                    data: { token, reason }
+                });
+            }));
+
+            const drained = await this._inflight.drain(timeout);
+
+            for (const starling of this._starlings.filter(starling => starling.isConnected)) {
+                try {
+                    starling.ws.close(code, reason);
+                } catch (error) {
+                    error;
+                }
+            }
+
+            this._server?.stop(true);
+            this._keys.stop();
+            this._rateLimits?.stop();
+            clearInterval(this._purgeTimer);
+
+            this._events.emit('server:stopped', {
+                drained,
+                pending: this._inflight.size,
+                debug: {
+                    type: 'info',
+                    message: drained
+                    ? `Helios server stopped`
+                    : `Helios server stopped with ${this._inflight.size} in-flight operations`
+                }
+            });
+        })();
+
+        return this._stopping;
     }
 
+    /**
+     * Runs a method handler, unless the server is stopping
+     * @param {string} name Method name
+     * @param {function(import('@helios-starling/utils').RequestContext): *} handler Method handler
+     * @param {import('@helios-starling/utils').RequestContext} context Request context
+     * @returns {Promise<*>|undefined}
+     * @private
+     */
+    _runMethod = (name, handler, context) => {
+        // New requests would keep extending the drain of stop()
+        if (this._stopping) {
+            context.error('SERVER_STOPPING', 'Server is shutting down');
+            return;
+        }
+
+        const run = context => Promise.resolve(handler(context));
+        return this._inflight.track(this._metrics ? this._metrics.measure(name, context, run) : run(context));
+    }
+
+    /**
+     * Removes the expired records of the state store
+     * @returns {Promise<void>}
+     * @private
+     */
+    _purgeStates = async () => {
+        try {
+            const removed = await this._stateStore.purge();
+            if (removed) {
+                this._events.emit('state:purged', {
+                    removed,
+                    debug: {
+                        type: 'info',
+                        message: `Purged ${removed} expired stored states`
+                    }
+                });
+            }
+        } catch (error) {
+            this._events.emit('state:store:failed', {
+                error,
+                debug: {
+                    type: 'warning',
+                    message: `Failed to purge stored states: ${error.message}`
+                }
+            });
+        }
+    }
+
+    /**
+     * Rotates the connection key. Tokens signed with the previous key stay
+     * valid until its retention expires.
+     * @param {Uint8Array|string|{kid?: string, key: Uint8Array|string}} [key] New key, random when omitted
+     * @returns {string} ID of the new active key
+     */
+    rotateKeys = (key) => {
+        return this._keys.rotate(key);
+    }
+
+    /**
+     * Publishes a notification to the Starlings subscribed to a matching topic or pattern
+     * @param {string} topic Notification topic
+     * @param {*} data Notification data
+     * @returns {number} Number of matching topics and patterns
+     */
+    publish = (topic, data) => this._subscriptions.publish(topic, data);
+
     /**
      * @param {ProxiesMiddlewares} proxies 
      */
@@ -243,6 +674,76 @@ export class Helios extends NetworkNode {
         return this._proxies;
     }
     
+    /**
+     * Gets the state store, if any
+     */
+    get stateStore() {
+        return this._stateStore;
+    }
+
+    /**
+     * Gets the proxy manager
+     */
+    get proxy() {
+        return this._proxy;
+    }
+
+    /**
+     * Gets the metrics manager, when enabled
+     */
+    get metrics() {
+        return this._metrics;
+    }
+
+    /**
+     * Gets the admin API, when enabled
+     */
+    get admin() {
+        return this._admin;
+    }
+
+    /**
+     * Gets the keyring signing the recovery tokens
+     */
+    get keys() {
+        return this._keys;
+    }
+
+    /**
+     * Gets the transport serving the requests
+     */
+    get transport() {
+        return this._transport;
+    }
+
+    /**
+     * Gets the definitions and schemas of methods and topics
+     */
+    get schemas() {
+        return this._schemas;
+    }
+
+    /**
+     * Gets the admission control of new connections
+     */
+    get admission() {
+        return this._admission;
+    }
+
+    /**
+     * Whether the server accepts new connections: false while stopping or at capacity
+     */
+    get ready() {
+        return !this._stopping && !this._admission.overloaded;
+    }
+
+    /**
+     * Gets the services registry
+     */
+    get services() {
+        return this._services;
+    }
+
     /**
      * Gets the Starlings manager
      */
@@ -250,6 +751,34 @@ export class Helios extends NetworkNode {
         return this._starlings;
     }
 
+    /**
+     * Gets the topic subscriptions manager
+     */
+    get subscriptions() {
+        return this._subscriptions;
+    }
+
+    /**
+     * Gets the in-flight work tracker
+     */
+    get inflight() {
+        return this._inflight;
+    }
+
+    /**
+     * Whether stop() has been called
+     */
+    get stopping() {
+        return this._stopping !== null;
+    }
+
+    /**
+     * Gets the Bun server handle, once serving
+     */
+    get server() {
+        return this._server;
+    }
+
     /**
      * Gets event emitter
      */
@@ -0,0 +1,120 @@
+/**
+* @callback RouteHandler
+* @param {Request} req HTTP request
+* @param {{params: Object<string, string>, helios: import('./helios').Helios}} context Path parameters and Helios instance
+* @returns {Response|Promise<Response>}
+*/
+
+/**
+* Routes served alongside the WebSocket endpoint, by `[METHOD ]path`.
+* Paths may have `:name` parameters, and a route without a method answers every method.
+* @typedef {Object<string, RouteHandler|Response>} Routes
+*/
+
+/**
+* TLS certificates. Blobs, such as `Bun.file()`, are read by the Node transport.
+* @typedef {Object} TlsOptions
+* @property {string|Buffer|Blob} cert Certificate chain, PEM
+* @property {string|Buffer|Blob} key Private key, PEM
+* @property {string|Buffer|Blob} [ca] Certificate authorities, PEM
+* @property {string} [passphrase] Private key passphrase
+*/
+
+/**
+* WebSocket tuning, passed to Bun's `websocket` options.
+* The Node transport maps `maxPayloadLength` and `perMessageDeflate`.
+* @typedef {Object} WebSocketTuning
+* @property {number} [idleTimeout=120] Seconds without messages before a connection is closed
+* @property {number} [maxPayloadLength=16777216] Maximum message size in bytes
+* @property {boolean|Object} [perMessageDeflate=false] Message compression
+* @property {number} [backpressureLimit] Bytes buffered before send() reports backpressure
+*/
+
+/**
+* @typedef {Object} ServeOptions
+* @property {number} [port=3000] Port to listen on, 0 for a random one
+* @property {string} [hostname='0.0.0.0'] Interface to listen on
+* @property {TlsOptions} [tls] Serves HTTPS and WSS
+* @property {string} [path] Path of the WebSocket endpoint, any path when omitted
+* @property {WebSocketTuning} [websocket] WebSocket tuning
+* @property {Routes} [routes] HTTP routes
+*/
+
+/**
+* @typedef {Object} ServeHandle
+* @property {number} port Listening port
+* @property {string} url Server URL
+* @property {string} websocketUrl WebSocket endpoint URL
+* @property {import('../transports').TransportServer} server Transport server
+* @property {function(Object=): Promise<void>} stop Gracefully stops the server, see `helios.stop()`
+*/
+
+/**
+* Compiles a route path into a regular expression
+* @param {string} path Route path
+* @returns {{pattern: RegExp, names: string[]}}
+*/
+const compilePath = (path) => {
+    const names = [];
+    const source = path
+    .split('/')
+    .map(segment => {
+        if (segment.startsWith(':')) {
+            names.push(segment.slice(1));
+            return '([^/]+)';
+        }
+        return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('/');
+
+    return { pattern: new RegExp(`^${source}$`), names };
+}
+
+/**
+* Creates the router of the HTTP routes
+* @param {Routes} [routes={}] Routes
+* @returns {function(Request, URL): {handler: RouteHandler|Response, params: Object<string, string>}|Response|null}
+* The matching route, a 400 response when a parameter is malformed, a 405 response when only the method differs, or null
+*/
+export const createRouter = (routes = {}) => {
+    const compiled = Object.entries(routes).map(([key, handler]) => {
+        const [method, path] = key.includes(' ') ? key.split(/\s+/, 2) : [null, key];
+        return { method: method?.toUpperCase() || null, handler, ...compilePath(path) };
+    });
+
+    return (req, url) => {
+        const allowed = [];
+
+        for (const route of compiled) {
+            const match = route.pattern.exec(url.pathname);
+            if (!match) {
+                continue;
+            }
+
+            if (route.method && route.method !== req.method) {
+                allowed.push(route.method);
+                continue;
+            }
+
+            try {
+                const params = Object.fromEntries(route.names.map((name, index) => [name, decodeURIComponent(match[index + 1])]));
+                return { handler: route.handler, params };
+            } catch {
+                return new Response('Malformed path parameter', { status: 400 });
+            }
+        }
+
+        return allowed.length
+        ? new Response('Method not allowed', { status: 405, headers: { Allow: allowed.join(', ') } })
+        : null;
+    };
+}
+
+/**
+* Checks whether a request asks for a WebSocket upgrade
+* @param {Request} req HTTP request
+* @returns {boolean}
+*/
+export const isUpgradeRequest = (req) => {
+    return req.headers.get('upgrade')?.toLowerCase() === 'websocket';
+}
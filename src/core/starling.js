@@ -1,6 +1,6 @@
 import { BaseStarling, getCurrentTimestamp } from "@helios-starling/utils";
-import { StatesManager } from "../managers/states";
-import { randomUUIDv7 } from "bun";
+import { StatesManager } from "../managers/states.js";
+import { uuidv7 } from "../utils/uuid.js";
 
 /**
 * @typedef {import('@helios-starling/utils').BaseStarlingOptions} BaseStarlingOptions
@@ -9,6 +9,8 @@ import { randomUUIDv7 } from "bun";
 /**
 * @typedef {Object} StarlingOptions
 * @property {number} [disconnectionTTL=300000] Time in ms before a disconnected Starling is removed
+* @property {Object|null} [identity=null] Identity attached by the authentication hook
+* @property {string[]} [tags=[]] Initial tags
 */
 
 /**
@@ -24,7 +26,7 @@ export class Starling extends BaseStarling {
     constructor(helios, ws, options = {}, events) {
         super({
             disconnectionTTL: 300000,
-            id: randomUUIDv7(),
+            id: uuidv7(),
             ...options
         }, events);
 
@@ -37,6 +39,15 @@ export class Starling extends BaseStarling {
          // Reconnection flag
          this._reconnecting = false;
 
+        /** @protected @type {Object|null} */
+        this._identity = options.identity || null;
+
+        /** @protected @type {Set<string>} */
+        this._tags = new Set(options.tags || []);
+
+        /** @protected @type {import('./binding').BindingContext|null} */
+        this._binding = ws?.data?.binding || null;
+
         this._states = new StatesManager(this);
     }
     
@@ -87,6 +98,9 @@ export class Starling extends BaseStarling {
         try {
             this._reconnecting = true;
             this._ws = ws;
+            this._binding = ws.data?.binding || null;
+            this._helios.starlings._setConnected(this, true);
+            this._helios.subscriptions.apply(this);
             this._lastConnected = getCurrentTimestamp();
             this._disconnectedAt = null;
             
@@ -135,6 +149,7 @@ export class Starling extends BaseStarling {
     */
     unlink = () => {
         this._ws = null;
+        this._helios.starlings._setConnected(this, false);
         this._disconnectedAt = getCurrentTimestamp();
         this.events.emit('starling:disconnected');
         
@@ -160,4 +175,58 @@ export class Starling extends BaseStarling {
     get states() {
         return this._states;
     }
+
+    /**
+    * Adds tags to the Starling
+    * @param {...string} tags Tags to add
+    */
+    tag = (...tags) => {
+        tags.forEach(tag => {
+            this._tags.add(tag);
+            this._helios.starlings._setTag(this, tag, true);
+        });
+    }
+
+    /**
+    * Removes tags from the Starling
+    * @param {...string} tags Tags to remove
+    */
+    untag = (...tags) => {
+        tags.forEach(tag => {
+            this._tags.delete(tag);
+            this._helios.starlings._setTag(this, tag, false);
+        });
+    }
+
+    /**
+    * Tags of the Starling, used by proxy routes
+    * @returns {Set<string>}
+    */
+    get tags() {
+        return this._tags;
+    }
+
+    /**
+    * Client context of the latest connection, bound to the recovery tokens
+    * @returns {import('./binding').BindingContext|null}
+    */
+    get binding() {
+        return this._binding;
+    }
+
+    /**
+    * Helios instance holding the Starling
+    * @returns {import('./helios').Helios}
+    */
+    get helios() {
+        return this._helios;
+    }
+
+    /**
+    * Identity attached by the authentication hook, if any
+    * @returns {Object|null}
+    */
+    get identity() {
+        return this._identity;
+    }
 }
\ No newline at end of file
@@ -0,0 +1,145 @@
+import { captureBinding } from "./binding.js";
+
+/**
+* @typedef {Object} RecoveryTokenSources
+* @property {string|false} [query='recover'] Query parameter holding the recovery token
+* @property {string|false} [header='x-helios-recover'] Header holding the recovery token
+* @property {string|false} [cookie='helios_recover'] Cookie holding the recovery token
+*/
+
+/**
+* Result of an authentication hook.
+* `true` accepts the upgrade, an object accepts it and becomes the Starling identity,
+* a `Response` is sent as is, and any falsy value rejects with 401.
+* @typedef {boolean|Object|Response|null|undefined} AuthenticationResult
+*/
+
+/**
+* @callback AuthenticateHandler
+* @param {Request} req Upgrade request
+* @returns {AuthenticationResult|Promise<AuthenticationResult>}
+*/
+
+/**
+* @typedef {Object} UpgradeData
+* @property {string|null} recover Recovery token, if any
+* @property {Object|null} identity Identity returned by the authentication hook
+* @property {import('./binding').BindingContext|null} binding Client context recovery tokens are bound to
+* @property {string|null} [ip] Client IP, added by `serve()` once the connection is admitted
+*/
+
+/** @type {Required<RecoveryTokenSources>} */
+const DEFAULT_RECOVERY_SOURCES = {
+    query: 'recover',
+    header: 'x-helios-recover',
+    cookie: 'helios_recover'
+};
+
+/**
+* Reads a cookie value from a request
+* @param {Request} req Request
+* @param {string} name Cookie name
+* @returns {string|null}
+*/
+const readCookie = (req, name) => {
+    const header = req.headers.get('cookie');
+    if (!header) {
+        return null;
+    }
+    
+    for (const part of header.split(';')) {
+        const index = part.indexOf('=');
+        if (index !== -1 && part.slice(0, index).trim() === name) {
+            // Malformed values are ignored, as if the cookie was not set
+            try {
+                return decodeURIComponent(part.slice(index + 1).trim());
+            } catch (error) {
+                return null;
+            }
+        }
+    }
+    
+    return null;
+}
+
+/**
+* Reads the recovery token from the query string, a header or a cookie, in that order
+* @param {Request} req Upgrade request
+* @param {RecoveryTokenSources} [sources={}] Where to look for the token
+* @returns {string|null}
+*/
+export const readRecoveryToken = (req, sources = {}) => {
+    const { query, header, cookie } = { ...DEFAULT_RECOVERY_SOURCES, ...sources };
+    
+    if (query) {
+        const value = new URL(req.url).searchParams.get(query);
+        if (value) return value;
+    }
+    
+    if (header) {
+        const value = req.headers.get(header);
+        if (value) return value;
+    }
+    
+    if (cookie) {
+        const value = readCookie(req, cookie);
+        if (value) return value;
+    }
+    
+    return null;
+}
+
+/**
+* Authenticates an upgrade request and prepares the data attached to its WebSocket
+* @param {import('./helios').Helios} helios Helios instance
+* @param {Request} req Upgrade request
+* @param {string|null} [ip=null] Client IP
+* @returns {Promise<UpgradeData|Response>} Upgrade data, or the response rejecting the upgrade
+*/
+export const prepareUpgrade = async (helios, req, ip = null) => {
+    const { authenticate, recoveryToken, tokenBinding } = helios.options || {};
+    let identity = null;
+    
+    if (authenticate) {
+        let result;
+        
+        try {
+            result = await authenticate(req);
+        } catch (error) {
+            helios.events.emit('connection:unauthorized', {
+                error,
+                debug: {
+                    type: 'warning',
+                    message: `Authentication failed: ${error.message}`
+                }
+            });
+            // The error message stays on the server, it may carry internal details
+            const status = error.status >= 400 && error.status < 500 ? error.status : 401;
+            return new Response('Unauthorized', { status });
+        }
+        
+        if (result instanceof Response) {
+            return result;
+        }
+        
+        if (!result) {
+            helios.events.emit('connection:unauthorized', {
+                debug: {
+                    type: 'warning',
+                    message: 'Authentication rejected the upgrade request'
+                }
+            });
+            return new Response('Unauthorized', { status: 401 });
+        }
+        
+        if (typeof result === 'object') {
+            identity = result;
+        }
+    }
+    
+    return {
+        recover: readRecoveryToken(req, recoveryToken),
+        identity,
+        binding: await captureBinding(req, ip, tokenBinding)
+    };
+}
@@ -1,8 +1,16 @@
 import { Helios } from './core/helios.js';
+import { MemoryStateStore, SqliteStateStore } from './stores/index.js';
 
 // Core class exports (for advanced usage)
 export { Helios };
 
+// State stores
+export { MemoryStateStore, SqliteStateStore };
+
+// Client contract generation
+export { generateClientTypes } from './utils/contract.js';
+export { toJsonSchema } from './utils/jsonschema.js';
+
 
 
 // Types
@@ -11,6 +19,11 @@ export { Helios };
  * @typedef {import('./core/starling.js').Starling} Starling
  */
 
+/**
+ * @typedef {import('./stores/index.js').StateStore} StateStore
+ * @typedef {import('./stores/index.js').StoredState} StoredState
+ */
+
 /**
  * @typedef {import('@helios-starling/utils').RequestContext} RequestContext
  * * @typedef {import('@helios-starling/utils').ResponseContext} ResponseContext
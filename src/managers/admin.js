@@ -0,0 +1,263 @@
+import { timingSafeEqual } from "node:crypto";
+
+/**
+* @typedef {Object} AdminOptions
+* @property {string} secret Bearer secret required on every admin request
+* @property {string} [path='/admin'] Mount path of the admin API
+* @property {number} [requestTimeout=30000] Timeout in ms of requests sent to Starlings
+*/
+
+/**
+* @typedef {Object} StarlingSummary
+* @property {string} id Starling ID
+* @property {boolean} connected Whether the Starling is connected
+* @property {number|null} lastConnected Last connection timestamp
+* @property {number|null} disconnectedAt Disconnection timestamp, while disconnected
+* @property {Object|null} identity Attached identity
+* @property {number} bufferedMessages Messages buffered while disconnected
+* @property {number} queuedRequests Requests queued while disconnected
+*/
+
+/**
+* Builds a JSON response
+* @param {number} status HTTP status
+* @param {*} body Response body
+* @returns {Response}
+*/
+const json = (status, body) => Response.json(body, { status });
+
+/**
+* HTTP API to inspect and manage live Starlings, mounted by `serve()`
+*/
+export class AdminManager {
+    /**
+    * @param {import('../core/helios').Helios} helios Helios instance
+    * @param {AdminOptions} options Admin options
+    */
+    constructor(helios, options) {
+        if (!options?.secret) {
+            throw new Error('The admin API requires a secret');
+        }
+
+        /** @private */
+        this._helios = helios;
+
+        /** @private */
+        this._options = {
+            path: '/admin',
+            requestTimeout: 30000,
+            ...options
+        };
+
+        /** @private */
+        this._secret = Buffer.from(this._options.secret);
+
+        /**
+        * Routes of the API, relative to the mount path
+        * @private
+        */
+        this._routes = [
+            ['GET', /^\/starlings$/, this._list],
+            ['GET', /^\/starlings\/([^/]+)$/, this._inspect],
+            ['POST', /^\/starlings\/([^/]+)\/close$/, this._close],
+            ['POST', /^\/starlings\/([^/]+)\/disconnect$/, this._disconnect],
+            ['POST', /^\/starlings\/([^/]+)\/notify$/, this._notify],
+            ['POST', /^\/starlings\/([^/]+)\/request$/, this._request],
+            ['POST', /^\/broadcast$/, this._broadcast]
+        ];
+    }
+
+    /**
+    * Handles a request to the admin API
+    * @param {Request} req HTTP request
+    * @returns {Promise<Response|null>} Null when the request is not for the admin API
+    */
+    handle = async (req) => {
+        const url = new URL(req.url);
+        const { path } = this._options;
+
+        if (url.pathname !== path && !url.pathname.startsWith(`${path}/`)) {
+            return null;
+        }
+
+        if (!this._authenticate(req)) {
+            return json(401, { error: 'Unauthorized' });
+        }
+
+        const route = url.pathname.slice(path.length);
+
+        for (const [method, pattern, handler] of this._routes) {
+            const match = pattern.exec(route);
+            if (!match) {
+                continue;
+            }
+
+            if (req.method !== method) {
+                return json(405, { error: 'Method not allowed' });
+            }
+
+            let body = {};
+            if (method === 'POST') {
+                try {
+                    const text = await req.text();
+                    body = (text && JSON.parse(text)) || {};
+                } catch {
+                    return json(400, { error: 'Invalid JSON body' });
+                }
+            }
+
+            let starling = null;
+            if (match[1]) {
+                let id;
+                try {
+                    id = decodeURIComponent(match[1]);
+                } catch {
+                    return json(400, { error: 'Invalid Starling ID' });
+                }
+
+                starling = this._helios.starlings.getById(id);
+                if (!starling) {
+                    return json(404, { error: 'Starling not found' });
+                }
+            }
+
+            this._helios.events.emit('admin:action', {
+                action: `${method} ${route}`,
+                starling,
+                debug: {
+                    type: 'info',
+                    message: `Admin ${method} ${route}`
+                }
+            });
+
+            return handler({ url, body, starling });
+        }
+
+        return json(404, { error: 'Not found' });
+    }
+
+    /**
+    * Summarizes a Starling
+    * @param {import('../core/starling').Starling} starling Starling instance
+    * @returns {StarlingSummary}
+    */
+    summarize = (starling) => ({
+        id: starling.id,
+        connected: starling.isConnected,
+        lastConnected: starling.lastConnected ?? null,
+        disconnectedAt: starling._disconnectedAt ?? null,
+        identity: starling.identity,
+        bufferedMessages: starling._buffer?.size || 0,
+        queuedRequests: starling._requests?._queue?.stats?.size || 0
+    })
+
+    /**
+    * @private
+    */
+    _authenticate = (req) => {
+        const header = req.headers.get('authorization') || '';
+        const token = Buffer.from(header.startsWith('Bearer ') ? header.slice(7) : '');
+
+        return token.length === this._secret.length && timingSafeEqual(token, this._secret);
+    }
+
+    /**
+    * GET /starlings[?connected=true|false]
+    * @private
+    */
+    _list = ({ url }) => {
+        const connected = url.searchParams.get('connected');
+        const starlings = this._helios.starlings.iterate(null, {
+            connected: connected === null ? undefined : connected === 'true'
+        });
+
+        return json(200, { starlings: Array.from(starlings, this.summarize) });
+    }
+
+    /**
+    * GET /starlings/:id
+    * @private
+    */
+    _inspect = ({ starling }) => {
+        return json(200, {
+            ...this.summarize(starling),
+            createdAt: starling.createdAt ?? null,
+            tags: Array.from(starling.tags),
+            rooms: this._helios.starlings.rooms.of(starling),
+            subscriptions: this._helios.subscriptions.of(starling),
+            states: starling.states.namespaces
+        });
+    }
+
+    /**
+    * POST /starlings/:id/close { reason? }
+    * Closes the Starling permanently, its recovery tokens are revoked
+    * @private
+    */
+    _close = ({ starling, body }) => {
+        this._helios.starlings.revoke(starling, body.reason || 'Closed by admin');
+        return json(200, { closed: true });
+    }
+
+    /**
+    * POST /starlings/:id/disconnect { reason? }
+    * Drops the connection, the Starling may still recover
+    * @private
+    */
+    _disconnect = ({ starling, body }) => {
+        if (!starling.isConnected) {
+            return json(409, { error: 'Starling is not connected' });
+        }
+
+        starling.ws.close(4000, body.reason || 'Disconnected by admin');
+        return json(200, { disconnected: true });
+    }
+
+    /**
+    * POST /starlings/:id/notify { topic, data? }
+    * @private
+    */
+    _notify = ({ starling, body }) => {
+        if (typeof body.topic !== 'string' || !body.topic) {
+            return json(400, { error: 'A topic is required' });
+        }
+
+        starling.notify({ topic: body.topic, data: body.data });
+        return json(200, { sent: true, buffered: !starling.isConnected });
+    }
+
+    /**
+    * POST /starlings/:id/request { method, payload?, timeout? }
+    * @private
+    */
+    _request = async ({ starling, body }) => {
+        if (typeof body.method !== 'string' || !body.method) {
+            return json(400, { error: 'A method is required' });
+        }
+
+        try {
+            const result = await starling.request(body.method, body.payload, {
+                timeout: body.timeout || this._options.requestTimeout
+            });
+            return json(200, { result });
+        } catch (error) {
+            return json(502, {
+                error: error.message,
+                code: error.code
+            });
+        }
+    }
+
+    /**
+    * POST /broadcast { topic, data? }
+    * @private
+    */
+    _broadcast = ({ body }) => {
+        if (typeof body.topic !== 'string' || !body.topic) {
+            return json(400, { error: 'A topic is required' });
+        }
+
+        this._helios.starlings.broadcast(body.topic, body.data);
+        return json(200, { recipients: this._helios.starlings.connectedCount });
+    }
+}
@@ -0,0 +1,110 @@
+/**
+* @typedef {Object} AdmissionOptions
+* @property {number} [maxConnections] Maximum open connections, refused with 503 beyond
+* @property {number} [maxConnectionsPerIp] Maximum open connections per client IP, refused with 429 beyond
+*/
+
+/**
+* Admission control of new WebSocket connections
+*/
+export class AdmissionManager {
+    /**
+    * @param {import('../core/helios').Helios} helios Helios instance
+    * @param {AdmissionOptions} [options={}] Connection limits
+    */
+    constructor(helios, options = {}) {
+        /** @private */
+        this._helios = helios;
+
+        /** @private */
+        this._options = options;
+
+        /**
+        * Open connections, counted from their upgrade
+        * @private
+        */
+        this._connections = 0;
+
+        /**
+        * Open connections by client IP
+        * @type {Map<string, number>}
+        * @private
+        */
+        this._byIp = new Map();
+    }
+
+    /**
+    * Reserves a connection slot for an upgrade request
+    * @param {string|null} ip Client IP
+    * @returns {Response|null} The refusal, or null when the connection is admitted
+    */
+    acquire = (ip) => {
+        const { maxConnections, maxConnectionsPerIp } = this._options;
+
+        if (maxConnections && this._connections >= maxConnections) {
+            return this._refuse(ip, 503, 'Server is at capacity');
+        }
+
+        if (ip && maxConnectionsPerIp && (this._byIp.get(ip) || 0) >= maxConnectionsPerIp) {
+            return this._refuse(ip, 429, 'Too many connections');
+        }
+
+        this._connections++;
+        if (ip) {
+            this._byIp.set(ip, (this._byIp.get(ip) || 0) + 1);
+        }
+
+        return null;
+    }
+
+    /**
+    * Releases the slot of a closed or failed connection
+    * @param {string|null} ip Client IP
+    */
+    release = (ip) => {
+        this._connections = Math.max(0, this._connections - 1);
+
+        if (ip) {
+            const count = (this._byIp.get(ip) || 0) - 1;
+            if (count > 0) {
+                this._byIp.set(ip, count);
+            } else {
+                this._byIp.delete(ip);
+            }
+        }
+    }
+
+    /**
+    * Gets the number of open connections
+    */
+    get connections() {
+        return this._connections;
+    }
+
+    /**
+    * Whether the server reached its connection limit
+    */
+    get overloaded() {
+        const { maxConnections } = this._options;
+        return Boolean(maxConnections) && this._connections >= maxConnections;
+    }
+
+    /**
+    * @private
+    */
+    _refuse = (ip, status, message) => {
+        this._helios.events.emit('connection:refused', {
+            ip,
+            status,
+            debug: {
+                type: 'warning',
+                message: `Connection refused for ${ip}: ${message}`
+            }
+        });
+
+        return new Response(message, {
+            status,
+            headers: { 'Retry-After': '5' }
+        });
+    }
+}
@@ -0,0 +1,86 @@
+/**
+* Tracks in-flight work (method handlers, proxied requests) so that it can be drained
+*/
+export class InflightTracker {
+    constructor() {
+        /**
+        * In-flight work keys
+        * @type {Set<*>}
+        * @private
+        */
+        this._pending = new Set();
+        
+        /**
+        * Resolvers waiting for the tracker to be empty
+        * @type {Set<function(): void>}
+        * @private
+        */
+        this._waiters = new Set();
+    }
+    
+    /**
+    * Marks a piece of work as started
+    * @param {*} key Work key
+    */
+    begin = (key) => {
+        this._pending.add(key);
+    }
+    
+    /**
+    * Marks a piece of work as finished
+    * @param {*} key Work key
+    */
+    end = (key) => {
+        if (this._pending.delete(key) && this._pending.size === 0) {
+            for (const resolve of this._waiters) {
+                resolve();
+            }
+            this._waiters.clear();
+        }
+    }
+    
+    /**
+    * Tracks a promise until it settles
+    * @template T
+    * @param {Promise<T>} promise Promise to track
+    * @returns {Promise<T>}
+    */
+    track = (promise) => {
+        const key = Symbol('inflight');
+        this.begin(key);
+        return promise.finally(() => this.end(key));
+    }
+    
+    /**
+    * Waits for every in-flight piece of work to finish
+    * @param {number} [timeout=10000] Maximum wait in ms, 0 to not wait
+    * @returns {Promise<boolean>} Whether everything finished before the timeout
+    */
+    drain = (timeout = 10000) => {
+        if (this._pending.size === 0 || timeout <= 0) {
+            return Promise.resolve(this._pending.size === 0);
+        }
+        
+        return new Promise(resolve => {
+            let timer = null;
+            const done = () => {
+                clearTimeout(timer);
+                resolve(true);
+            };
+            
+            this._waiters.add(done);
+            
+            timer = setTimeout(() => {
+                this._waiters.delete(done);
+                resolve(false);
+            }, timeout);
+        });
+    }
+    
+    /**
+    * Gets the number of in-flight pieces of work
+    */
+    get size() {
+        return this._pending.size;
+    }
+}
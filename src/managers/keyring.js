@@ -0,0 +1,262 @@
+import { createHash } from "node:crypto";
+import { EncryptJWT, SignJWT, jwtDecrypt, jwtVerify } from "jose";
+
+/**
+* @typedef {Uint8Array|string} KeyMaterial
+*/
+
+/**
+* @typedef {Object} KeyringKey
+* @property {string} kid Key ID, written in the `kid` header of signed tokens
+* @property {Uint8Array} key HMAC secret
+* @property {Uint8Array} encryptionKey A256GCM key derived from the secret
+* @property {number} createdAt Creation timestamp
+* @property {number|null} retiredAt Retirement timestamp, null for the active key
+*/
+
+/**
+* @typedef {Object} KeyringOptions
+* @property {KeyMaterial|{kid?: string, key: KeyMaterial}} [current] Signing key, random when omitted
+* @property {Array<KeyMaterial|{kid?: string, key: KeyMaterial}>} [retired=[]] Previous keys still accepted for verification
+* @property {number} [rotationInterval] Interval in ms between automatic rotations, disabled when omitted
+* @property {number} [retention=86400000] Time in ms a retired key stays valid, at least the recovery token lifetime
+* @property {boolean} [encrypt=false] Issue encrypted tokens (JWE dir/A256GCM) instead of signed ones
+* @property {boolean} [acceptSigned=true] Keep accepting signed tokens, e.g. while migrating to encrypted ones
+*/
+
+/**
+* Encodes key material
+* @param {KeyMaterial} key Key material
+* @returns {Uint8Array}
+*/
+const encodeKey = (key) => typeof key === 'string' ? new TextEncoder().encode(key) : key;
+
+/**
+* Derives a stable key ID, so that servers sharing a secret share its ID
+* @param {Uint8Array} key Key material
+* @returns {string}
+*/
+const deriveKid = (key) => createHash('sha256').update(key).digest('base64url').slice(0, 16);
+
+/**
+* Derives the 256-bit encryption key of a secret
+* @param {Uint8Array} key Key material
+* @returns {Uint8Array}
+*/
+const deriveEncryptionKey = (key) => new Uint8Array(createHash('sha256').update('helios:jwe:').update(key).digest());
+
+/**
+* Normalizes a configured key
+* @param {KeyMaterial|{kid?: string, key: KeyMaterial}} entry Configured key
+* @returns {{kid: string, key: Uint8Array}}
+*/
+const normalizeKey = (entry) => {
+    const { kid, key } = entry instanceof Uint8Array || typeof entry === 'string'
+    ? { key: entry }
+    : entry;
+    const encoded = encodeKey(key);
+    return { kid: kid || deriveKid(encoded), key: encoded };
+};
+
+/**
+* Keys issuing and verifying the recovery tokens.
+* Tokens are signed or encrypted with the active key and carry its ID, and are
+* verified against the active key and the retired keys still in retention.
+*/
+export class Keyring {
+    /**
+    * @param {import('../core/helios').Helios} helios Helios instance
+    * @param {KeyringOptions} [options={}] Keyring options
+    */
+    constructor(helios, options = {}) {
+        /** @private */
+        this._helios = helios;
+
+        /** @private */
+        this._options = {
+            retired: [],
+            retention: 86400000,
+            encrypt: false,
+            acceptSigned: true,
+            ...options
+        };
+
+        /**
+        * Keys by ID, the active key included
+        * @type {Map<string, KeyringKey>}
+        * @private
+        */
+        this._keys = new Map();
+
+        /**
+        * @type {KeyringKey}
+        * @private
+        */
+        this._active = null;
+
+        /** @private */
+        this._timer = null;
+
+        const now = Date.now();
+        for (const entry of this._options.retired) {
+            const { kid, key } = normalizeKey(entry);
+            this._keys.set(kid, { kid, key, encryptionKey: deriveEncryptionKey(key), createdAt: now, retiredAt: now });
+        }
+        this._activate(this._options.current || crypto.getRandomValues(new Uint8Array(32)));
+
+        if (this._options.rotationInterval) {
+            this._timer = setInterval(() => this.rotate(), this._options.rotationInterval);
+            this._timer.unref?.();
+        }
+    }
+
+    /**
+    * Issues a token holding the given claims with the active key, under a unique `jti`,
+    * encrypted or signed depending on the `encrypt` option
+    * @param {Object} claims Token claims
+    * @param {Object} [options={}]
+    * @param {string|number} [options.expiresIn='1h'] Token lifetime
+    * @returns {Promise<string>}
+    */
+    issue = (claims, { expiresIn = '1h' } = {}) => {
+        if (!this._options.encrypt) {
+            return this.sign(new SignJWT(claims).setJti(crypto.randomUUID()).setIssuedAt().setExpirationTime(expiresIn));
+        }
+
+        return new EncryptJWT(claims)
+        .setProtectedHeader({ alg: 'dir', enc: 'A256GCM', kid: this._active.kid })
+        .setJti(crypto.randomUUID())
+        .setIssuedAt()
+        .setExpirationTime(expiresIn)
+        .encrypt(this._active.encryptionKey);
+    }
+
+    /**
+    * Signs a JWT with the active key
+    * @param {import('jose').SignJWT} jwt JWT to sign
+    * @returns {Promise<string>}
+    */
+    sign = (jwt) => {
+        return jwt
+        .setProtectedHeader({ alg: 'HS256', kid: this._active.kid })
+        .sign(this._active.key);
+    }
+
+    /**
+    * Verifies a signed or decrypts an encrypted token against the active and retired keys
+    * @param {string} token JWT, signed (JWS) or encrypted (JWE)
+    * @returns {Promise<{payload: import('jose').JWTPayload}>}
+    * @throws {Error} If the token is invalid, expired, issued with an unknown key, or signed while only encrypted tokens are accepted
+    */
+    verify = async (token) => {
+        this._prune();
+
+        // Encrypted tokens have five segments, signed ones three
+        if (token.split('.').length === 5) {
+            return jwtDecrypt(token, (header) => this._resolve(header).encryptionKey, {
+                keyManagementAlgorithms: ['dir'],
+                contentEncryptionAlgorithms: ['A256GCM']
+            });
+        }
+
+        if (!this._options.acceptSigned) {
+            throw new Error('Signed tokens are no longer accepted');
+        }
+
+        return jwtVerify(token, (header) => this._resolve(header).key, {
+            algorithms: ['HS256']
+        });
+    }
+
+    /**
+    * Makes a new key active, the previous one is retired
+    * @param {KeyMaterial|{kid?: string, key: KeyMaterial}} [key] New key, random when omitted
+    * @returns {string} ID of the new active key
+    */
+    rotate = (key = crypto.getRandomValues(new Uint8Array(32))) => {
+        const previous = this._active;
+        previous.retiredAt = Date.now();
+
+        const { kid } = this._activate(key);
+        this._prune();
+
+        this._helios.events.emit('keys:rotated', {
+            kid,
+            previousKid: previous.kid,
+            debug: {
+                type: 'info',
+                message: `Connection key rotated to ${kid}`
+            }
+        });
+
+        return kid;
+    }
+
+    /**
+    * Stops the scheduled rotations
+    */
+    stop = () => {
+        clearInterval(this._timer);
+        this._timer = null;
+    }
+
+    /**
+    * Gets the active key ID
+    */
+    get kid() {
+        return this._active.kid;
+    }
+
+    /**
+    * Gets the active key
+    * @deprecated Use sign() and verify(), which also accept retired keys
+    */
+    get connection() {
+        return this._active.key;
+    }
+
+    /**
+    * Gets the IDs of the keys accepted for verification
+    * @returns {string[]}
+    */
+    get kids() {
+        this._prune();
+        return Array.from(this._keys.keys());
+    }
+
+    /**
+    * Finds the key a token was issued with
+    * @private
+    */
+    _resolve = (header) => {
+        // Tokens issued before the keyring carry no key ID
+        const entry = header.kid ? this._keys.get(header.kid) : this._active;
+        if (!entry) {
+            throw new Error('Token issued with an unknown or expired key');
+        }
+        return entry;
+    }
+
+    /**
+    * @private
+    */
+    _activate = (entry) => {
+        const { kid, key } = normalizeKey(entry);
+        this._active = { kid, key, encryptionKey: deriveEncryptionKey(key), createdAt: Date.now(), retiredAt: null };
+        this._keys.set(kid, this._active);
+        return this._active;
+    }
+
+    /**
+    * Forgets the retired keys past their retention
+    * @private
+    */
+    _prune = () => {
+        const threshold = Date.now() - this._options.retention;
+        for (const [kid, entry] of this._keys) {
+            if (entry.retiredAt !== null && entry.retiredAt < threshold) {
+                this._keys.delete(kid);
+            }
+        }
+    }
+}
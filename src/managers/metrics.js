@@ -0,0 +1,233 @@
+import { timingSafeEqual } from "node:crypto";
+
+/**
+* @typedef {Object} MetricsOptions
+* @property {string} token Bearer token required to scrape the metrics endpoint
+* @property {string} [path='/metrics'] HTTP path of the metrics endpoint
+* @property {number[]} [buckets] Latency histogram buckets in seconds
+* @property {string} [prefix='helios'] Metric names prefix
+*/
+
+/**
+* @typedef {Object} MethodMetrics
+* @property {number} requests Handled requests
+* @property {number} errors Requests that threw or answered an error
+* @property {number[]} buckets Cumulative latency counts per bucket
+* @property {number} sum Total latency in seconds
+*/
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/**
+* Escapes a Prometheus label value
+* @param {*} value Label value
+* @returns {string}
+*/
+const escapeLabel = (value) => String(value)
+.replace(/\\/g, '\\\\')
+.replace(/"/g, '\\"')
+.replace(/\n/g, '\\n');
+
+/**
+* Aggregates server metrics and renders them in the Prometheus text format
+*/
+export class MetricsManager {
+    /**
+    * @param {import('../core/helios').Helios} helios Helios instance
+    * @param {MetricsOptions} [options={}] Metrics options
+    */
+    constructor(helios, options = {}) {
+        if (!options?.token) {
+            throw new Error('The metrics endpoint requires a token');
+        }
+
+        /** @private */
+        this._helios = helios;
+        
+        /** @private */
+        this._options = {
+            path: '/metrics',
+            buckets: DEFAULT_BUCKETS,
+            prefix: 'helios',
+            ...options
+        };
+        
+        /** @private */
+        this._token = Buffer.from(this._options.token);
+        
+        /** @private */
+        this._counters = {
+            connections: 0,
+            recoveries: 0,
+            failedRecoveries: 0,
+            rateLimited: 0
+        };
+        
+        /**
+        * Metrics of each method
+        * @type {Map<string, MethodMetrics>}
+        * @private
+        */
+        this._methods = new Map();
+        
+        const { events } = helios;
+        events.on('starling:new', () => this._counters.connections++);
+        events.on('starling:recovered', () => this._counters.recoveries++);
+        events.on('starling:recovery:failed', () => this._counters.failedRecoveries++);
+        events.on('starling:ratelimited', () => this._counters.rateLimited++);
+    }
+    
+    /**
+    * Runs a method handler while recording its count, errors and latency.
+    * The handler gets a view of the context whose `error()` answers are counted,
+    * the context itself is left untouched.
+    * @param {string} method Method name
+    * @param {import('@helios-starling/utils').RequestContext} context Request context
+    * @param {function(*): Promise<*>} run Runs the handler
+    * @returns {Promise<*>}
+    */
+    measure = async (method, context, run) => {
+        const metrics = this._method(method);
+        const start = performance.now();
+        let failed = false;
+        
+        const error = (...args) => {
+            failed = true;
+            return context.error(...args);
+        };
+        const view = new Proxy(context, {
+            get: (target, key) => {
+                if (key === 'error') {
+                    return error;
+                }
+                const value = Reflect.get(target, key);
+                return typeof value === 'function' ? value.bind(target) : value;
+            }
+        });
+        
+        try {
+            return await run(view);
+        } catch (err) {
+            failed = true;
+            throw err;
+        } finally {
+            const duration = (performance.now() - start) / 1000;
+            
+            metrics.requests++;
+            metrics.sum += duration;
+            if (failed) {
+                metrics.errors++;
+            }
+            
+            this._options.buckets.forEach((bound, index) => {
+                if (duration <= bound) {
+                    metrics.buckets[index]++;
+                }
+            });
+        }
+    }
+    
+    /**
+    * Handles a request to the metrics endpoint
+    * @param {Request} req HTTP request
+    * @returns {Response|null} Null when the request is not for the metrics endpoint
+    */
+    handle = (req) => {
+        if (new URL(req.url).pathname !== this._options.path) {
+            return null;
+        }
+        
+        if (!this._authenticate(req)) {
+            return new Response('Unauthorized', { status: 401, headers: { 'WWW-Authenticate': 'Bearer' } });
+        }
+        
+        return new Response(this.render(), {
+            headers: { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' }
+        });
+    }
+    
+    /**
+    * Renders every metric in the Prometheus text format
+    * @returns {string}
+    */
+    render = () => {
+        const { prefix, buckets } = this._options;
+        const starlings = this._helios.starlings;
+        const proxy = this._helios.proxy.getMetrics();
+        const lines = [];
+        
+        const metric = (name, type, help, samples) => {
+            lines.push(`# HELP ${prefix}_${name} ${help}`);
+            lines.push(`# TYPE ${prefix}_${name} ${type}`);
+            for (const [suffix, labels, value] of samples) {
+                const rendered = Object.entries(labels)
+                .map(([key, label]) => `${key}="${escapeLabel(label)}"`)
+                .join(',');
+                lines.push(`${prefix}_${name}${suffix}${rendered ? `{${rendered}}` : ''} ${value}`);
+            }
+        };
+        
+        metric('starlings_connected', 'gauge', 'Connected Starlings', [['', {}, starlings.connectedCount]]);
+        metric('starlings_disconnected', 'gauge', 'Disconnected Starlings awaiting recovery', [['', {}, starlings.disconnectedCount]]);
+        metric('starlings_created_total', 'counter', 'Starlings created, including rehydrated ones', [['', {}, this._counters.connections]]);
+        metric('recoveries_total', 'counter', 'Successful Starling recoveries', [['', {}, this._counters.recoveries]]);
+        metric('recoveries_failed_total', 'counter', 'Failed Starling recoveries', [['', {}, this._counters.failedRecoveries]]);
+        metric('ratelimited_total', 'counter', 'Messages over the rate limits', [['', {}, this._counters.rateLimited]]);
+        
+        let buffered = 0;
+        for (const starling of starlings.iterate()) {
+            buffered += starling._buffer?.size || 0;
+        }
+        metric('buffered_messages', 'gauge', 'Messages buffered for disconnected Starlings', [['', {}, buffered]]);
+        
+        const requests = [];
+        const errors = [];
+        const durations = [];
+        for (const [method, metrics] of this._methods) {
+            requests.push(['', { method }, metrics.requests]);
+            errors.push(['', { method }, metrics.errors]);
+            buckets.forEach((bound, index) => durations.push(['_bucket', { method, le: bound }, metrics.buckets[index]]));
+            durations.push(['_bucket', { method, le: '+Inf' }, metrics.requests]);
+            durations.push(['_sum', { method }, metrics.sum]);
+            durations.push(['_count', { method }, metrics.requests]);
+        }
+        metric('method_requests_total', 'counter', 'Handled method requests', requests);
+        metric('method_errors_total', 'counter', 'Method requests that failed', errors);
+        metric('method_duration_seconds', 'histogram', 'Method handler latency', durations);
+        
+        metric('proxy_messages_total', 'counter', 'Proxied messages by type',
+            Object.entries(proxy.byType).map(([type, count]) => ['', { type }, count]));
+        metric('proxy_requests_active', 'gauge', 'Proxied requests awaiting a response', [['', {}, proxy.activeProxies]]);
+        metric('proxy_requests_denied_total', 'counter', 'Denied proxy attempts', [['', {}, proxy.deniedProxies]]);
+        metric('proxy_requests_failed_total', 'counter', 'Proxied requests that failed or timed out', [['', {}, proxy.failedProxies]]);
+        
+        return `${lines.join('\n')}\n`;
+    }
+    
+    /**
+    * @private
+    */
+    _authenticate = (req) => {
+        const header = req.headers.get('authorization') || '';
+        const token = Buffer.from(header.startsWith('Bearer ') ? header.slice(7) : '');
+
+        return token.length === this._token.length && timingSafeEqual(token, this._token);
+    }
+    
+    /**
+    * @private
+    */
+    _method = (method) => {
+        let metrics = this._methods.get(method);
+        if (!metrics) {
+            metrics = {
+                requests: 0,
+                errors: 0,
+                buckets: this._options.buckets.map(() => 0),
+                sum: 0
+            };
+            this._methods.set(method, metrics);
+        }
+        return metrics;
+    }
+}
@@ -1,303 +1,755 @@
 // managers/proxy.js
-import { Events } from "../core/events";
-import { CommonErrors, getCurrentTimestamp } from "@helios-starling/utils";
+import { CommonErrors, createApplicationError, createErrorResponse, createNotification, createRequest, createSuccessResponse, getCurrentTimestamp } from "@helios-starling/utils";
+import { Starling } from "../core/starling.js";
+import { ProxyRouter } from "./routes.js";
 
 /**
  * @typedef {Object} ProxyMetrics
- * @property {number} totalProxied Nombre total de messages proxy
- * @property {number} activeProxies Messages en cours de proxy
- * @property {number} deniedProxies Nombre de proxy refusés
- * @property {number} successfulProxies Nombre de proxy réussis
- * @property {Object} byType Statistiques par type de message
- * @property {number[]} latencies Latences des derniers proxy (ms)
+ * @property {number} totalProxied Total number of proxied messages
+ * @property {number} activeProxies Proxied requests awaiting a response
+ * @property {number} deniedProxies Number of denied proxy attempts
+ * @property {number} successfulProxies Number of proxied requests that got a response
+ * @property {number} failedProxies Number of proxied requests that failed or timed out
+ * @property {{request: number, response: number, notification: number, errorMessage: number}} byType Proxied messages by type
+ * @property {number[]} latencies Round-trip latencies of the last proxied requests (ms)
+ * @property {number} averageLatency Average of the recorded latencies (ms)
  */
 
 /**
- * @callback ProxyRuleHandler
- * @returns {Promise<import('../core/starling').Starling>} Cible du proxy
+ * @typedef {Object} ProxyOptions
+ * @property {boolean} [allowRequests=true] Allows request proxying
+ * @property {boolean} [allowResponses=true] Allows response proxying
+ * @property {boolean} [allowNotifications=true] Allows notification proxying
+ * @property {boolean} [allowErrorMessages=true] Allows error message proxying
+ * @property {number} [timeout=30000] Timeout for proxied requests (ms)
+ * @property {boolean} [failOnTargetDisconnect=true] Fails proxied requests as soon as their target disconnects,
+ * instead of waiting for it to be closed
+ * @property {import('./routes').ProxyRoute[]} [routes] Routing table evaluated before the proxy middlewares
  */
 
 /**
- * @typedef {Object} ProxyRule
- * @property {Function} handler Handler de décision pour le proxy
- * @property {Object} options Options du handler
- * @property {boolean} [options.allowRequests=true] Autorise les requêtes
- * @property {boolean} [options.allowNotifications=true] Autorise les notifications 
- * @property {number} [options.timeout=30000] Timeout pour les requêtes proxy
+ * @typedef {Object} ActiveProxy
+ * @property {string} id ID the request is forwarded with, generated by the server
+ * @property {string} requestId Request ID chosen by the source
+ * @property {string} method Requested method
+ * @property {string} sourceId Requesting Starling ID
+ * @property {string} targetId Target Starling ID
+ * @property {string[]} route Starling IDs the request went through
+ * @property {number} timestamp Forwarding timestamp
+ * @property {import('@helios-starling/utils').RequestContext} context Source request context
+ * @property {Timer} timer Timeout timer
+ * @property {string} [service] Service the request is addressed to
  */
 
 /**
- * Gère le routage proxy entre clients
+ * Routes messages between Starlings and keeps track of proxied requests
  */
 export class ProxyManager {
   /**
-   * @param {import('../core/helios').Helios} helios Instance Helios
+   * @param {import('../core/helios').Helios} helios Helios instance
+   * @param {ProxyOptions} [options={}] Proxy options
    */
-  constructor(helios) {
+  constructor(helios, options = {}) {
     /** @private */
     this._helios = helios;
 
-    /** @private */
-    this._events = new Events();
-
-    /** @private */
-    this._rules = null;
+    /**
+     * @type {Required<ProxyOptions>}
+     * @private
+     */
+    this._options = {
+      allowRequests: true,
+      allowResponses: true,
+      allowNotifications: true,
+      allowErrorMessages: true,
+      timeout: 30000,
+      failOnTargetDisconnect: true
+    };
 
     /** @private */
     this._metrics = {
       totalProxied: 0,
-      activeProxies: 0,
       deniedProxies: 0,
       successfulProxies: 0,
+      failedProxies: 0,
       byType: {
         request: 0,
-        notification: 0
+        response: 0,
+        notification: 0,
+        errorMessage: 0
       },
       latencies: []
     };
 
-    /** @private */
+    /**
+     * Proxied requests awaiting a response, by forwarded ID
+     * @type {Map<string, ActiveProxy>}
+     * @private
+     */
     this._activeProxies = new Map();
-  }
-
 
+    /**
+     * Forwarded IDs of the proxied requests each Starling is involved in, as source or target
+     * @type {Map<string, Set<string>>}
+     * @private
+     */
+    this._byStarling = new Map();
+
+    /**
+     * Forwarded IDs of recently failed requests, whose late responses are ignored
+     * @type {Set<string>}
+     * @private
+     */
+    this._expired = new Set();
+
+    /**
+     * Declarative routing table
+     * @private
+     */
+    this._router = new ProxyRouter(helios);
+
+    this.configure(options);
+
+    this._helios.events.on('starling:closed', event => this._handleStarlingLost(event.data.starling, 'closed'));
+    this._helios.events.on('starling:disconnected', event => {
+      if (this._options.failOnTargetDisconnect) {
+        this._handleStarlingLost(event.data.starling, 'disconnected');
+      }
+    });
+  }
 
   /**
-   * Configure les règles de proxy
-   * @param {ProxyRule} rule Configuration du proxy
+   * Updates the proxy options
+   * @param {ProxyOptions} options Proxy options
    */
-  setRule(rule) {
-    if (!rule?.handler || typeof rule.handler !== 'function') {
-      throw new Error('Proxy rule must have a handler function');
-    }
+  configure(options = {}) {
+    const { routes, ...rest } = options;
 
-    this._rules = {
-      handler: rule.handler,
-      options: {
-        allowRequests: true,
-        allowNotifications: true,
-        timeout: 30000,
-        ...rule.options
-      }
+    this._options = {
+      ...this._options,
+      ...rest
     };
 
-    this._events.emit('proxy:rule:set', {
+    routes?.forEach(route => this._router.add(route));
+
+    this._helios.events.emit('proxy:configured', {
+      options: this._options,
       debug: {
         type: 'info',
-        message: 'Proxy rules configured'
+        message: 'Proxy options configured'
       }
     });
   }
 
   /**
-   * Gère un message à proxifier
-   * @param {import('@helios-starling/utils').BaseMessage} message Message à proxy
-   * @param {import('../core/starling').Starling} source Client source
-   * @returns {Promise<boolean>} Succès du proxy
+   * Proxies a request to the target chosen by the `onRequest` middleware
+   * @param {import('@helios-starling/utils').RequestContext} context Request context
    */
-  async handleProxy(message, source) {
-    const startTime = getCurrentTimestamp();
-    this._metrics.totalProxied++;
-    this._metrics.activeProxies++;
-
-    try {
-      // Vérifier si le proxy est autorisé
-      await this._validateProxy(message);
+  async request(context) {
+    const { starling } = context;
 
-      // Demander au handler de règle la cible
-      const target = await this._resolveTarget(message, source);
+    // New requests would keep extending the drain of stop()
+    if (this._helios.stopping) {
+      context.error('SERVER_STOPPING', 'Server is shutting down');
+      return;
+    }
 
-      // Enrichir le message avec les infos de proxy
-      const proxyMessage = this._enrichMessage(message, source);
+    // Requests for provided methods are load balanced between their providers
+    if (this._helios.services.provides(context.method)) {
+      this._helios.services.dispatch(context);
+      return;
+    }
 
-      // Tracker la requête si nécessaire
-      if (message.type === 'request') {
-        this._trackProxyRequest(proxyMessage, source);
-      }
+    try {
+      const target = await this._resolveTarget('request', context);
+      if (!target) return;
 
-      // Envoyer au client cible
-      await this._sendToTarget(proxyMessage, target);
+      this.forward(context, target);
+    } catch (error) {
+      this._emitError(error, 'request', starling);
+      context.error(
+        error.code || CommonErrors.PROXY_ERROR,
+        error.message || 'Proxy request failed',
+        error.details
+      );
+    }
+  }
 
-      this._updateMetrics(startTime);
-      return true;
+  /**
+   * Forwards a request to a target and tracks it until its response.
+   * The request is forwarded under an ID generated by the server, so that sources
+   * choosing the same request ID do not collide.
+   * @param {import('@helios-starling/utils').RequestContext} context Source request context
+   * @param {Starling} target Target Starling
+   * @param {Object} [options]
+   * @param {string} [options.service] Service the request is addressed to, enabling failover
+   */
+  forward(context, target, { service } = {}) {
+    const active = this._track(context, target);
+    active.service = service;
 
+    try {
+      this._send(active, target);
     } catch (error) {
-      this._handleProxyError(error, message, source);
-      return false;
-
-    } finally {
-      this._metrics.activeProxies--;
+      this._untrack(active.id);
+      throw error;
     }
+    this._count('request');
   }
 
   /**
-   * Gère une réponse à une requête proxy
-   * @param {import('@helios-starling/utils').Response} response Réponse 
-   * @param {import('../core/starling').Starling} source Client répondant
+   * Routes the response of a proxied request to its source, or to the Starling
+   * returned by the `onResponse` middleware when one is set.
+   * Responses are only accepted from the target of a request the server proxied;
+   * late responses to failed requests are dropped.
+   * @param {import('@helios-starling/utils').ResponseContext} context Response context
    */
-  async handleProxyResponse(response, source) {
-    const proxyInfo = this._activeProxies.get(response.requestId);
-    if (!proxyInfo) {
-      throw new Error('Unknown proxy response');
+  async response(context) {
+    const { peer, data, starling } = context;
+    const active = this._activeProxies.get(context.requestId);
+
+    if (!active || active.targetId !== starling.id) {
+      this._rejectResponse(context, active);
+      return;
+    }
+
+    // A denied response would leave its request hanging until the timeout
+    if (!this._options.allowResponses) {
+      this._deny('response', context, 'Proxy is disabled for responses by the server');
+      this._fail(active, CommonErrors.PROXY_FORBIDDEN, 'Proxy is disabled for responses by the server');
+      return;
     }
 
+    const middleware = this._helios.proxies.onResponse;
+    let source = null;
     try {
-      const sourceClient = this._helios.starlings.get(proxyInfo.sourceId);
-      if (!sourceClient) {
-        throw new Error('Source client disconnected');
+      source = middleware
+        ? await Promise.resolve(middleware(context, this._helios.starlings))
+        : this._helios.starlings.getById(active.sourceId);
+    } catch (error) {
+      this._emitError(error, 'response', starling, active);
+    }
+
+    // The request may have failed while the middleware ran
+    if (!this._activeProxies.has(active.id)) {
+      return;
+    }
+
+    if (middleware && !(source instanceof Starling)) {
+      this._deny('response', context, 'Invalid proxy target returned');
+      this._fail(active, CommonErrors.PROXY_ERROR, `No target for the response to ${active.method}`);
+      return;
+    }
+
+    this._complete(active.id, !context.error);
+
+    try {
+      if (!source) {
+        throw new Error(`Proxy source ${active.sourceId} is gone`);
       }
 
-      await sourceClient.send({
-        ...response,
-        _proxy: {
-          ...proxyInfo,
-          completed: true
+      const options = {
+        metadata: context.metadata,
+        peer: {
+          source: starling.id,
+          _peer: peer
         }
-      });
+      };
 
-      this._metrics.successfulProxies++;
+      source.send(context.error
+        ? createErrorResponse(active.requestId, context.error.code, context.error.message, context.error.details, options)
+        : createSuccessResponse(active.requestId, data, options));
 
-    } finally {
-      this._activeProxies.delete(response.requestId);
+      this._count('response');
+    } catch (error) {
+      this._emitError(error, 'response', starling, active);
     }
   }
 
   /**
+   * Proxies a notification to the target chosen by the `onNotification` middleware
+   * @param {import('@helios-starling/utils').NotificationContext} context Notification context
+   */
+  async notification(context) {
+    const { peer, data, starling } = context;
+
+    try {
+      const target = await this._resolveTarget('notification', context);
+      if (!target) return;
+
+      target.send(createNotification(context.topic, data, {
+        metadata: context.metadata,
+        peer: {
+          source: starling.id,
+          _peer: peer
+        }
+      }));
+
+      this._count('notification');
+    } catch (error) {
+      this._emitError(error, 'notification', starling);
+      starling.sendError(
+        error.code || CommonErrors.PROXY_ERROR,
+        error.message || 'Proxy notification failed',
+        error.details
+      );
+    }
+  }
+
+  /**
+   * Proxies an error message to the target chosen by the `onErrorMessage` middleware
+   * @param {import('@helios-starling/utils').ErrorMessageContext} context Error message context
+   */
+  async errorMessage(context) {
+    const { peer, message, details, starling } = context;
+
+    try {
+      const target = await this._resolveTarget('errorMessage', context);
+      if (!target) return;
+
+      target.send(createApplicationError(context.code, message, details, {
+        metadata: context.metadata,
+        peer: {
+          source: starling.id,
+          _peer: peer
+        }
+      }));
+
+      this._count('errorMessage');
+    } catch (error) {
+      this._emitError(error, 'errorMessage', starling);
+      starling.sendError(
+        error.code || CommonErrors.PROXY_ERROR,
+        error.message || 'Proxy error message failed',
+        error.details
+      );
+    }
+  }
+
+  /**
+   * Adds a route to the routing table
+   * @param {import('./routes').ProxyRoute} route Route definition
+   * @returns {function(): void} Removes the route
+   */
+  route(route) {
+    return this._router.add(route);
+  }
+
+  /**
+   * Gets a proxied request awaiting a response
+   * @param {string} id ID the request was forwarded with
+   * @returns {ActiveProxy|undefined}
+   */
+  getActive(id) {
+    return this._activeProxies.get(id);
+  }
+
+  /**
+   * Checks whether a message type may be proxied and resolves its target,
+   * from the first matching route or else from the proxy middleware.
+   * Denials are answered to the source and return null.
+   * @param {'request'|'response'|'notification'|'errorMessage'} type Message type
+   * @param {*} context Message context
+   * @returns {Promise<Starling|null>}
    * @private
    */
-  async _validateProxy(message) {
-    if (!this._rules) {
-      throw new Error('No proxy rules configured');
+  async _resolveTarget(type, context) {
+    const middleware = `on${type[0].toUpperCase()}${type.slice(1)}`;
+    const allowed = `allow${type[0].toUpperCase()}${type.slice(1)}s`;
+    const handler = this._helios.proxies[middleware];
+
+    if (!this._options[allowed]) {
+      this._deny(type, context, `Proxy is disabled for ${type}s by the server`);
+      return null;
+    }
+
+    const resolution = await this._router.resolve(type, context);
+    if (resolution?.denied) {
+      this._deny(type, context, resolution.denied.message, resolution.denied.code);
+      return null;
+    }
+    if (resolution?.target) {
+      return resolution.target;
     }
 
-    if (message.type === 'request' && !this._rules.options.allowRequests) {
-      throw new Error('Request proxying is disabled');
+    // Routes without an available target fall back to the middleware
+    if (!handler) {
+      if (resolution) {
+        this._deny(type, context, `No proxy target available for ${resolution.route.match}`, 'PROXY_TARGET_NOT_FOUND');
+      } else {
+        this._deny(type, context, `Proxy is disabled for ${type}s by the server`);
+      }
+      return null;
     }
 
-    if (message.type === 'notification' && !this._rules.options.allowNotifications) {
-      throw new Error('Notification proxying is disabled');
+    const target = await Promise.resolve(handler(context, this._helios.starlings));
+
+    if (!target || !(target instanceof Starling)) {
+      this._deny(type, context, 'Invalid proxy target returned');
+      return null;
     }
+
+    return target;
   }
 
   /**
+   * Answers a denied proxy attempt
    * @private
    */
-  async _resolveTarget(message, source) {
-    const target = await this._rules.handler(message, source);
-    
-    if (!target || !this._helios.starlings.has(target)) {
-      this._metrics.deniedProxies++;
-      throw new Error('Proxy target not found or denied');
+  _deny(type, context, message, code = CommonErrors.PROXY_FORBIDDEN) {
+    this._metrics.deniedProxies++;
+
+    this._helios.events.emit('proxy:denied', {
+      starling: context.starling,
+      type,
+      debug: {
+        type: 'warning',
+        message: `Proxy ${type} denied for Starling ${context.starling.id}: ${message}`
+      }
+    });
+
+    if (type === 'request') {
+      context.error(code, message);
+    } else {
+      context.starling.sendError(code, message);
     }
+  }
 
-    return this._helios.starlings.get(target);
+  /**
+   * Starts tracking a proxied request
+   * @param {import('@helios-starling/utils').RequestContext} context Source request context
+   * @param {Starling} target Target Starling
+   * @private
+   */
+  _track(context, target) {
+    const id = crypto.randomUUID();
+    const active = {
+      id,
+      requestId: context.requestId,
+      method: context.method,
+      sourceId: context.starling.id,
+      targetId: target.id,
+      route: [context.starling.id, target.id],
+      timestamp: getCurrentTimestamp(),
+      context,
+      timer: setTimeout(() => this._handleTimeout(id), this._options.timeout)
+    };
+
+    this._activeProxies.set(id, active);
+    this._index(active.sourceId, id);
+    this._index(active.targetId, id);
+    this._helios.inflight.begin(active);
+    return active;
   }
 
   /**
+   * Sends a tracked request to its target
+   * @param {ActiveProxy} active Proxied request
+   * @param {Starling} target Target Starling
    * @private
    */
-  _enrichMessage(message, source) {
-    return {
-      ...message,
-      _proxy: {
-        sourceId: source.id,
-        timestamp: getCurrentTimestamp(),
-        route: [source.id]
+  _send(active, target) {
+    const { context } = active;
+
+    target.send(createRequest(context.method, context.payload, {
+      requestId: active.id,
+      metadata: context.metadata,
+      peer: {
+        source: context.starling.id,
+        _peer: context.peer
       }
-    };
+    }));
   }
 
   /**
+   * Moves a tracked service request to another provider
+   * @param {ActiveProxy} active Proxied request
+   * @param {Starling} lost Provider that was lost
+   * @returns {boolean} Whether another provider took the request
    * @private
    */
-  _trackProxyRequest(message, source) {
-    this._activeProxies.set(message.requestId, {
-      sourceId: source.id,
-      timestamp: getCurrentTimestamp()
+  _failover(active, lost) {
+    const next = this._helios.services.select(active.service, active.context, { exclude: lost });
+    if (!next) {
+      return false;
+    }
+
+    this._unindex(active.targetId, active.id);
+    active.targetId = next.id;
+    active.route.push(next.id);
+    this._index(next.id, active.id);
+
+    this._helios.events.emit('service:failover', {
+      requestId: active.requestId,
+      service: active.service,
+      from: lost.id,
+      to: next.id,
+      debug: {
+        type: 'warning',
+        message: `Request ${active.requestId} moved from provider ${lost.id} to ${next.id}`
+      }
     });
 
-    // Cleanup si pas de réponse
-    setTimeout(() => {
-      if (this._activeProxies.has(message.requestId)) {
-        this._handleProxyTimeout(message);
+    this._send(active, next);
+    return true;
+  }
+
+  /**
+   * Counts the proxied requests awaiting a response from a target
+   * @param {string} targetId Target Starling ID
+   * @returns {number}
+   */
+  pendingFor(targetId) {
+    let count = 0;
+    for (const id of this._byStarling.get(targetId) || []) {
+      if (this._activeProxies.get(id)?.targetId === targetId) {
+        count++;
       }
-    }, this._rules.options.timeout);
+    }
+    return count;
   }
 
   /**
+   * Stops tracking a proxied request
+   * @param {string} id Forwarded ID
+   * @returns {ActiveProxy|null}
    * @private
    */
-  async _sendToTarget(message, target) {
-    try {
-      await target.send(message);
-      this._metrics.byType[message.type]++;
-    } catch (error) {
-      throw new Error(`Failed to send to target: ${error.message}`);
+  _untrack(id) {
+    const active = this._activeProxies.get(id);
+    if (!active) {
+      return null;
     }
+
+    clearTimeout(active.timer);
+    this._activeProxies.delete(id);
+    this._unindex(active.sourceId, id);
+    this._unindex(active.targetId, id);
+    this._helios.inflight.end(active);
+    return active;
   }
 
   /**
    * @private
    */
-  _handleProxyError(error, message, source) {
-    this._events.emit('proxy:error', {
-      error,
-      message,
-      source: source.id,
+  _index(starlingId, id) {
+    let requests = this._byStarling.get(starlingId);
+    if (!requests) {
+      requests = new Set();
+      this._byStarling.set(starlingId, requests);
+    }
+    requests.add(id);
+  }
+
+  /**
+   * @private
+   */
+  _unindex(starlingId, id) {
+    const requests = this._byStarling.get(starlingId);
+    requests?.delete(id);
+    if (requests?.size === 0) {
+      this._byStarling.delete(starlingId);
+    }
+  }
+
+  /**
+   * Records the response of a proxied request
+   * @param {string} id Forwarded ID
+   * @param {boolean} success Whether the response is successful
+   * @returns {ActiveProxy|null}
+   * @private
+   */
+  _complete(id, success) {
+    const active = this._untrack(id);
+    if (!active) {
+      return null;
+    }
+
+    if (success) {
+      this._metrics.successfulProxies++;
+    } else {
+      this._metrics.failedProxies++;
+    }
+
+    this._metrics.latencies.push(getCurrentTimestamp() - active.timestamp);
+
+    // Keep only the last 100 latencies
+    if (this._metrics.latencies.length > 100) {
+      this._metrics.latencies.shift();
+    }
+
+    return active;
+  }
+
+  /**
+   * Drops a response that does not match a request proxied to its sender
+   * @param {import('@helios-starling/utils').ResponseContext} context Response context
+   * @param {ActiveProxy} [active] Request proxied under the same ID to another target
+   * @private
+   */
+  _rejectResponse(context, active) {
+    const { starling, requestId } = context;
+
+    if (!active && this._expired.has(requestId)) {
+      this._helios.events.emit('proxy:response:late', {
+        starling,
+        requestId,
+        debug: {
+          type: 'info',
+          message: `Ignoring late response to proxy request ${requestId} from Starling ${starling.id}`
+        }
+      });
+      return;
+    }
+
+    this._metrics.deniedProxies++;
+
+    this._helios.events.emit('proxy:response:rejected', {
+      starling,
+      requestId,
       debug: {
-        type: 'error',
-        message: `Proxy error: ${error.message}`
+        type: 'warning',
+        message: `Rejected response to unknown proxy request ${requestId} from Starling ${starling.id}`
       }
     });
 
-    if (message.type === 'request') {
-      source.send({
-        type: 'response',
-        requestId: message.requestId,
-        success: false,
-        error: {
-          code: CommonErrors.PROXY_ERROR,
-          message: error.message
-        }
-      });
+    starling.sendError(CommonErrors.PROXY_FORBIDDEN, `No proxied request ${requestId} awaits a response from this Starling`);
+  }
+
+  /**
+   * Fails a proxied request and answers its source
+   * @param {ActiveProxy} active Proxied request
+   * @param {string} code Error code
+   * @param {string} message Error message
+   * @private
+   */
+  _fail(active, code, message) {
+    this._untrack(active.id);
+    this._metrics.failedProxies++;
+
+    this._expired.add(active.id);
+    // Remember only the last 1000 failed requests
+    if (this._expired.size > 1000) {
+      this._expired.delete(this._expired.values().next().value);
+    }
+
+    if (this._helios.starlings.getById(active.sourceId)) {
+      active.context.error(code, message);
     }
   }
 
   /**
+   * Fails the requests proxied to a lost Starling and forgets those it sent
+   * @param {Starling} starling Lost Starling
+   * @param {'closed'|'disconnected'} reason Why the Starling is lost
    * @private
    */
-  _handleProxyTimeout(message) {
-    this._activeProxies.delete(message.requestId);
-    this._events.emit('proxy:timeout', {
-      requestId: message.requestId,
+  _handleStarlingLost(starling, reason) {
+    for (const id of this._byStarling.get(starling.id) || []) {
+      const active = this._activeProxies.get(id);
+      if (!active) continue;
+      const { requestId } = active;
+
+      if (active.targetId === starling.id) {
+        if (active.service && this._failover(active, starling)) continue;
+
+        this._helios.events.emit('proxy:target:lost', {
+          requestId,
+          source: active.sourceId,
+          target: active.targetId,
+          reason,
+          debug: {
+            type: 'warning',
+            message: `Proxy target ${starling.id} ${reason} before answering request ${requestId}`
+          }
+        });
+
+        this._fail(active, 'PROXY_TARGET_LOST', `Proxy target ${reason} before answering ${active.method}`);
+      } else if (reason === 'closed') {
+        this._untrack(id);
+      }
+    }
+  }
+
+  /**
+   * Fails a proxied request that got no response in time
+   * @param {string} id Forwarded ID
+   * @private
+   */
+  _handleTimeout(id) {
+    const active = this._activeProxies.get(id);
+    if (!active) {
+      return;
+    }
+    const { requestId } = active;
+
+    this._helios.events.emit('proxy:timeout', {
+      requestId,
+      source: active.sourceId,
+      target: active.targetId,
       debug: {
         type: 'warning',
-        message: `Proxy request ${message.requestId} timed out`
+        message: `Proxy request ${requestId} timed out`
       }
     });
+
+    this._fail(active, 'PROXY_TIMEOUT', `Proxy request ${active.method} timed out after ${this._options.timeout}ms`);
   }
 
   /**
    * @private
    */
-  _updateMetrics(startTime) {
-    const latency = getCurrentTimestamp() - startTime;
-    this._metrics.latencies.push(latency);
-    
-    // Garder seulement les 100 dernières latences
-    if (this._metrics.latencies.length > 100) {
-      this._metrics.latencies.shift();
-    }
+  _count(type) {
+    this._metrics.totalProxied++;
+    this._metrics.byType[type]++;
   }
 
   /**
-   * Récupère les métriques de proxy
+   * @private
+   */
+  _emitError(error, type, starling, active = null) {
+    this._helios.events.emit('proxy:error', {
+      error,
+      type,
+      starling,
+      requestId: active?.requestId,
+      debug: {
+        type: 'error',
+        message: `Proxy error: ${error.message}`
+      }
+    });
+  }
+
+  /**
+   * Gets the proxy metrics
    * @returns {ProxyMetrics}
    */
   getMetrics() {
+    const { latencies } = this._metrics;
+
     return {
       ...this._metrics,
-      averageLatency: this._metrics.latencies.reduce((a, b) => a + b, 0) / this._metrics.latencies.length
+      activeProxies: this._activeProxies.size,
+      byType: { ...this._metrics.byType },
+      latencies: [...latencies],
+      averageLatency: latencies.length
+        ? latencies.reduce((a, b) => a + b, 0) / latencies.length
+        : 0
     };
   }
-}
\ No newline at end of file
+
+  /**
+   * Gets the routing table
+   */
+  get router() {
+    return this._router;
+  }
+
+  /**
+   * Gets the proxy options
+   * @returns {Required<ProxyOptions>}
+   */
+  get options() {
+    return this._options;
+  }
+}
@@ -0,0 +1,323 @@
+import { createErrorResponse } from "@helios-starling/utils";
+import { matchPattern } from "../utils/patterns.js";
+import { identityKey } from "../utils/identity.js";
+
+/**
+* @typedef {Object} BucketOptions
+* @property {number} capacity Maximum burst size
+* @property {number} refillRate Tokens refilled per second
+*/
+
+/**
+* @typedef {Object} RateLimitOptions
+* @property {BucketOptions} [global] Limit applied to every message of a Starling
+* @property {Object<string, BucketOptions>} [methods] Limits per method name or pattern, per Starling
+* @property {BucketOptions & {key?: function(Object): string}} [identities] Limit shared by all Starlings of an identity
+* @property {'reject'|'delay'|'close'} [policy='reject'] What to do with a message over the limit
+* @property {number} [maxDelay=5000] Longest delay in ms before the delay policy falls back to rejecting
+*/
+
+/**
+* Token bucket
+*/
+class TokenBucket {
+    /**
+    * @param {BucketOptions} options Bucket options
+    */
+    constructor({ capacity, refillRate }) {
+        this.capacity = capacity;
+        this.refillRate = refillRate;
+        this.tokens = capacity;
+        this.updatedAt = Date.now();
+    }
+    
+    /**
+    * Refills the bucket according to elapsed time
+    * @param {number} now Current timestamp
+    */
+    refill(now) {
+        this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) * this.refillRate / 1000);
+        this.updatedAt = now;
+    }
+    
+    /**
+    * Time in ms before a token is available
+    * @returns {number}
+    */
+    wait() {
+        if (this.tokens >= 1) {
+            return 0;
+        }
+        return Math.ceil((1 - this.tokens) * 1000 / this.refillRate);
+    }
+    
+    /**
+    * Consumes a token, possibly going into debt for delayed messages
+    */
+    take() {
+        this.tokens -= 1;
+    }
+    
+    get full() {
+        return this.tokens >= this.capacity;
+    }
+}
+
+/**
+* Applies token-bucket rate limits to incoming Starling messages
+*/
+export class RateLimitManager {
+    /**
+    * @param {import('../core/helios').Helios} helios Helios instance
+    * @param {RateLimitOptions} options Rate limit options
+    */
+    constructor(helios, options) {
+        /** @private */
+        this._helios = helios;
+        
+        /** @private */
+        this._options = {
+            policy: 'reject',
+            maxDelay: 5000,
+            methods: {},
+            ...options
+        };
+        
+        /**
+        * Buckets of each Starling, by Starling ID
+        * @type {Map<string, {global: TokenBucket|null, methods: Map<string, TokenBucket>}>}
+        * @private
+        */
+        this._starlings = new Map();
+        
+        /**
+        * Buckets shared by identity
+        * @type {Map<string, TokenBucket>}
+        * @private
+        */
+        this._identities = new Map();
+        
+        /**
+        * Pending delayed messages of each Starling, by Starling ID
+        * @type {Map<string, Set<ReturnType<typeof setTimeout>>>}
+        * @private
+        */
+        this._delayed = new Map();
+        
+        /**
+        * Periodic removal of idle identity buckets
+        * @private
+        */
+        this._sweeper = setInterval(() => this._sweep(), 60000);
+        this._sweeper.unref?.();
+        
+        this._helios.events.on('starling:closed', event => this.release(event.data.starling));
+        this._helios.events.on('starling:disconnected', event => this._cancel(event.data.starling));
+    }
+    
+    /**
+    * Runs a message through the rate limits, then processes it according to the policy
+    * @param {import('../core/starling').Starling} starling Sending Starling
+    * @param {string|ArrayBuffer|Uint8Array} message Raw message
+    * @param {function(): void} process Processes the message
+    */
+    handle = (starling, message, process) => {
+        // Messages are only parsed here when a method has its own limit
+        const request = Object.keys(this._options.methods).length ? this._parse(message) : null;
+        const buckets = this._buckets(starling, request?.method);
+        const now = Date.now();
+        
+        let wait = 0;
+        for (const bucket of buckets) {
+            bucket.refill(now);
+            wait = Math.max(wait, bucket.wait());
+        }
+        
+        if (wait === 0) {
+            buckets.forEach(bucket => bucket.take());
+            process();
+            return;
+        }
+        
+        const { policy, maxDelay } = this._options;
+        const action = policy === 'delay' && wait > maxDelay ? 'reject' : policy;
+        
+        this._helios.events.emit('starling:ratelimited', {
+            starling,
+            method: request?.method,
+            policy: action,
+            retryAfter: wait,
+            debug: {
+                type: 'warning',
+                message: `Starling ${starling.id} rate limited${request?.method ? ` on ${request.method}` : ''}`
+            }
+        });
+        
+        if (action === 'delay') {
+            buckets.forEach(bucket => bucket.take());
+            this._delay(starling, process, wait);
+            return;
+        }
+        
+        if (action === 'close') {
+            starling.ws?.close(1008, 'Rate limit exceeded');
+            return;
+        }
+        
+        const requestId = (request ?? this._parse(message))?.requestId;
+        if (requestId) {
+            starling.send(createErrorResponse(requestId, 'RATE_LIMITED', 'Rate limit exceeded', { retryAfter: wait }));
+        } else {
+            starling.sendError('RATE_LIMITED', 'Rate limit exceeded', { retryAfter: wait });
+        }
+    }
+    
+    /**
+    * Drops the buckets of a Starling
+    * @param {import('../core/starling').Starling} starling Starling instance
+    */
+    release = (starling) => {
+        this._cancel(starling);
+        this._starlings.delete(starling.id);
+        
+        const key = this._identityKey(starling);
+        if (key && this._identities.get(key)?.full) {
+            this._identities.delete(key);
+        }
+    }
+    
+    /**
+    * Cancels every delayed message and stops the idle buckets sweep
+    */
+    stop = () => {
+        clearInterval(this._sweeper);
+        for (const timers of this._delayed.values()) {
+            timers.forEach(clearTimeout);
+        }
+        this._delayed.clear();
+    }
+    
+    /**
+    * Processes a message once its buckets are refilled, unless the Starling disconnects first
+    * @param {import('../core/starling').Starling} starling Sending Starling
+    * @param {function(): void} process Processes the message
+    * @param {number} wait Delay in ms
+    * @private
+    */
+    _delay = (starling, process, wait) => {
+        let timers = this._delayed.get(starling.id);
+        if (!timers) {
+            timers = new Set();
+            this._delayed.set(starling.id, timers);
+        }
+        
+        const timer = setTimeout(() => {
+            timers.delete(timer);
+            if (timers.size === 0 && this._delayed.get(starling.id) === timers) {
+                this._delayed.delete(starling.id);
+            }
+            process();
+        }, wait);
+        timers.add(timer);
+    }
+    
+    /**
+    * Cancels the delayed messages of a Starling
+    * @param {import('../core/starling').Starling} starling Starling instance
+    * @private
+    */
+    _cancel = (starling) => {
+        this._delayed.get(starling.id)?.forEach(clearTimeout);
+        this._delayed.delete(starling.id);
+    }
+    
+    /**
+    * Drops the identity buckets refilled to capacity, which are the same as new ones
+    * @private
+    */
+    _sweep = () => {
+        const now = Date.now();
+        for (const [key, bucket] of this._identities) {
+            bucket.refill(now);
+            if (bucket.full) {
+                this._identities.delete(key);
+            }
+        }
+    }
+    
+    /**
+    * Gets the buckets a message goes through
+    * @param {import('../core/starling').Starling} starling Sending Starling
+    * @param {string} [method] Requested method
+    * @returns {TokenBucket[]}
+    * @private
+    */
+    _buckets = (starling, method) => {
+        const { global, methods, identities } = this._options;
+        
+        let entry = this._starlings.get(starling.id);
+        if (!entry) {
+            entry = { global: global ? new TokenBucket(global) : null, methods: new Map() };
+            this._starlings.set(starling.id, entry);
+        }
+        
+        const buckets = entry.global ? [entry.global] : [];
+        
+        // Inherited keys such as `toString` are not method limits
+        if (typeof method === 'string') {
+            const pattern = Object.hasOwn(methods, method)
+            ? method
+            : Object.keys(methods).find(pattern => matchPattern(pattern, method));
+            
+            if (pattern) {
+                let bucket = entry.methods.get(pattern);
+                if (!bucket) {
+                    bucket = new TokenBucket(methods[pattern]);
+                    entry.methods.set(pattern, bucket);
+                }
+                buckets.push(bucket);
+            }
+        }
+        
+        const key = identities && this._identityKey(starling);
+        if (key) {
+            let bucket = this._identities.get(key);
+            if (!bucket) {
+                bucket = new TokenBucket(identities);
+                this._identities.set(key, bucket);
+            }
+            buckets.push(bucket);
+        }
+        
+        return buckets;
+    }
+    
+    /**
+    * Gets the identity bucket key of a Starling
+    * @param {import('../core/starling').Starling} starling Starling instance
+    * @returns {string|null}
+    * @private
+    */
+    _identityKey = (starling) => {
+        return identityKey(starling.identity, this._options.identities?.key ?? this._helios.options?.identityKey);
+    }
+    
+    /**
+    * Extracts the request fields of a text message
+    * @param {string|ArrayBuffer|Uint8Array} message Raw message
+    * @returns {{method?: string, requestId?: string}|null}
+    * @private
+    */
+    _parse = (message) => {
+        if (typeof message !== 'string') {
+            return null;
+        }
+        
+        try {
+            const parsed = JSON.parse(message);
+            return parsed?.type === 'request' ? parsed : null;
+        } catch (error) {
+            return null;
+        }
+    }
+}
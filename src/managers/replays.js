@@ -0,0 +1,168 @@
+/**
+* Policy applied when a recovery token is presented again.
+* - `reject` refuses the new connection
+* - `kick-both` also closes the recovered Starling, which cannot be recovered nor rehydrated anymore
+* - `kick-older` closes the current connection of the Starling and recovers it on the new one
+* @typedef {'reject'|'kick-both'|'kick-older'} ReplayPolicy
+*/
+
+/**
+* @typedef {Object} RecoveryOptions
+* @property {boolean} [singleUse=true] Recovery tokens are consumed by their first successful recovery
+* @property {ReplayPolicy} [onReplay='reject'] Policy applied to reused tokens
+* @property {number} [reuseWindow=0] Time in ms during which a consumed token may be presented again
+* while its Starling is not connected, in case the replacing token was lost with the connection, 0 to disable
+* @property {number} [revocationTTL=86400000] Time in ms during which the tokens of a Starling closed on purpose
+* are refused, at least the recovery token lifetime
+*/
+
+/**
+* @typedef {Object} ConsumedToken
+* @property {number} consumedAt Consumption timestamp
+* @property {number} expiresAt Expiration timestamp of the token
+* @property {boolean} [revoked] Whether the token is refused even within the reuse window
+*/
+
+/**
+* Registry of consumed recovery tokens, by `jti`, and of the Starlings closed on purpose, by ID.
+* Tokens are tracked in memory: they are not shared between servers and are forgotten on restart.
+*/
+export class ReplayGuard {
+    /**
+    * @param {RecoveryOptions} [options={}] Recovery options
+    */
+    constructor(options = {}) {
+        /** @private */
+        this._reuseWindow = options.reuseWindow ?? 0;
+
+        /** @private */
+        this._revocationTTL = options.revocationTTL ?? 86400000;
+
+        /**
+        * Consumed tokens
+        * @type {Map<string, ConsumedToken>}
+        * @private
+        */
+        this._consumed = new Map();
+
+        /**
+        * Tokens used by a recovery in progress
+        * @type {Set<string>}
+        * @private
+        */
+        this._pending = new Set();
+
+        /**
+        * Expiration timestamps of the revocations, by ID of the Starlings closed on purpose
+        * @type {Map<string, number>}
+        * @private
+        */
+        this._revoked = new Map();
+
+        /**
+        * Last pruning timestamp
+        * @private
+        */
+        this._prunedAt = 0;
+    }
+
+    /**
+    * Checks whether a token may be used for a recovery
+    * @param {import('jose').JWTPayload} payload Verified token payload
+    * @param {boolean} connected Whether the Starling of the token is connected
+    * @returns {boolean} False when the token is replayed
+    */
+    accepts = (payload, connected) => {
+        this._prune();
+
+        if (this._pending.has(payload.jti)) {
+            return false;
+        }
+
+        const consumed = this._consumed.get(payload.jti);
+        return !consumed || (!consumed.revoked && !connected && Date.now() - consumed.consumedAt <= this._reuseWindow);
+    }
+
+    /**
+    * Checks whether a token belongs to a Starling closed on purpose
+    * @param {import('jose').JWTPayload} payload Verified token payload
+    * @returns {boolean}
+    */
+    revoked = (payload) => {
+        this._prune();
+        return this._revoked.has(payload.starlingId);
+    }
+
+    /**
+    * Revokes the tokens of a Starling closed on purpose, so that they neither recover nor rehydrate it
+    * @param {string} starlingId ID of the closed Starling
+    * @param {import('jose').JWTPayload} [payload] Token whose replay closed it, never accepted again
+    */
+    revoke = (starlingId, payload = null) => {
+        this._revoked.set(starlingId, Date.now() + this._revocationTTL);
+
+        if (payload?.jti) {
+            this._consumed.set(payload.jti, {
+                consumedAt: this._consumed.get(payload.jti)?.consumedAt ?? Date.now(),
+                expiresAt: payload.exp ? payload.exp * 1000 : Date.now() + 86400000,
+                revoked: true
+            });
+        }
+    }
+
+    /**
+    * Marks a token as used by a recovery in progress, until end() is called
+    * @param {import('jose').JWTPayload} payload Verified token payload
+    */
+    begin = (payload) => {
+        this._pending.add(payload.jti);
+    }
+
+    /**
+    * Ends a recovery, consuming its token when it succeeded.
+    * A token presented again within the reuse window keeps its first consumption time.
+    * @param {import('jose').JWTPayload} payload Verified token payload
+    * @param {boolean} recovered Whether the recovery succeeded
+    */
+    end = (payload, recovered) => {
+        this._pending.delete(payload.jti);
+
+        if (recovered && !this._consumed.has(payload.jti)) {
+            this._consumed.set(payload.jti, {
+                consumedAt: Date.now(),
+                expiresAt: payload.exp ? payload.exp * 1000 : Date.now() + 86400000
+            });
+        }
+    }
+
+    /**
+    * Gets the number of tracked tokens
+    */
+    get size() {
+        return this._consumed.size;
+    }
+
+    /**
+    * Forgets expired tokens, which can no longer be presented, and expired revocations.
+    * Tokens do not expire in consumption order, so the whole registry is scanned, once a minute at most.
+    * @private
+    */
+    _prune = () => {
+        const now = Date.now();
+        if (now - this._prunedAt < 60000) {
+            return;
+        }
+        this._prunedAt = now;
+
+        for (const [jti, { expiresAt }] of this._consumed) {
+            if (expiresAt <= now) {
+                this._consumed.delete(jti);
+            }
+        }
+        for (const [starlingId, expiresAt] of this._revoked) {
+            if (expiresAt <= now) {
+                this._revoked.delete(starlingId);
+            }
+        }
+    }
+}
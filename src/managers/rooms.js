@@ -0,0 +1,190 @@
+/**
+* @callback RoomAuthorizationHandler
+* @param {import('../core/starling').Starling} starling Starling asking for access
+* @param {string} room Room name
+* @param {'join'|'leave'} action Requested action
+* @returns {boolean|Promise<boolean>} Whether the action is allowed
+*/
+
+/**
+* Manages room memberships of Starlings.
+* Memberships are kept while a Starling is disconnected and dropped when it is closed.
+*/
+export class RoomsManager {
+    /**
+    * @param {import('../core/helios').Helios} helios Helios instance
+    */
+    constructor(helios) {
+        /** @private */
+        this._helios = helios;
+        
+        /**
+        * Members of each room
+        * @type {Map<string, Set<import('../core/starling').Starling>>}
+        * @private
+        */
+        this._rooms = new Map();
+        
+        /**
+        * Rooms of each Starling, by Starling ID
+        * @type {Map<string, Set<string>>}
+        * @private
+        */
+        this._memberships = new Map();
+        
+        this._helios.events.on('starling:closed', event => this.leaveAll(event.data.starling));
+    }
+    
+    /**
+    * Adds a Starling to a room
+    * @param {import('../core/starling').Starling} starling Starling instance
+    * @param {string} room Room name
+    * @returns {boolean} Whether the Starling was not already a member
+    */
+    join = (starling, room) => {
+        let members = this._rooms.get(room);
+        if (!members) {
+            members = new Set();
+            this._rooms.set(room, members);
+        }
+        
+        if (members.has(starling)) {
+            return false;
+        }
+        
+        members.add(starling);
+        
+        let rooms = this._memberships.get(starling.id);
+        if (!rooms) {
+            rooms = new Set();
+            this._memberships.set(starling.id, rooms);
+        }
+        rooms.add(room);
+        
+        this._helios.events.emit('room:joined', {
+            starling,
+            room,
+            debug: {
+                type: 'info',
+                message: `Starling ${starling.id} joined room ${room}`
+            }
+        });
+        
+        return true;
+    }
+    
+    /**
+    * Removes a Starling from a room
+    * @param {import('../core/starling').Starling} starling Starling instance
+    * @param {string} room Room name
+    * @returns {boolean} Whether the Starling was a member
+    */
+    leave = (starling, room) => {
+        const members = this._rooms.get(room);
+        if (!members?.delete(starling)) {
+            return false;
+        }
+        
+        if (members.size === 0) {
+            this._rooms.delete(room);
+        }
+        
+        const rooms = this._memberships.get(starling.id);
+        rooms?.delete(room);
+        if (rooms?.size === 0) {
+            this._memberships.delete(starling.id);
+        }
+        
+        this._helios.events.emit('room:left', {
+            starling,
+            room,
+            debug: {
+                type: 'info',
+                message: `Starling ${starling.id} left room ${room}`
+            }
+        });
+        
+        return true;
+    }
+    
+    /**
+    * Removes a Starling from every room it belongs to
+    * @param {import('../core/starling').Starling} starling Starling instance
+    */
+    leaveAll = (starling) => {
+        for (const room of this.of(starling)) {
+            this.leave(starling, room);
+        }
+    }
+    
+    /**
+    * Gets the members of a room, connected or not
+    * @param {string} room Room name
+    * @returns {import('../core/starling').Starling[]}
+    */
+    members = (room) => {
+        return Array.from(this._rooms.get(room) || []);
+    }
+    
+    /**
+    * Gets the rooms a Starling belongs to
+    * @param {import('../core/starling').Starling} starling Starling instance
+    * @returns {string[]}
+    */
+    of = (starling) => {
+        return Array.from(this._memberships.get(starling.id) || []);
+    }
+    
+    /**
+    * Checks if a Starling belongs to a room
+    * @param {import('../core/starling').Starling} starling Starling instance
+    * @param {string} room Room name
+    * @returns {boolean}
+    */
+    has = (starling, room) => {
+        return this._rooms.get(room)?.has(starling) || false;
+    }
+    
+    /**
+    * Broadcasts a notification to the connected members of a room
+    * @param {string} room Room name
+    * @param {string} topic Notification topic
+    * @param {*} data Notification data
+    */
+    broadcast = (room, topic, data) => {
+        const members = this._rooms.get(room);
+        if (!members) {
+            return;
+        }
+        
+        for (const starling of members) {
+            if (starling.isConnected) {
+                starling.notify({ topic, data });
+            }
+        }
+    }
+    
+    /**
+    * Checks whether a Starling may join or leave a room
+    * @param {import('../core/starling').Starling} starling Starling instance
+    * @param {string} room Room name
+    * @param {'join'|'leave'} action Requested action
+    * @returns {Promise<boolean>}
+    */
+    authorize = async (starling, room, action) => {
+        const handler = this._helios.options?.authorizeRoom;
+        if (!handler) {
+            return true;
+        }
+        
+        return Boolean(await handler(starling, room, action));
+    }
+    
+    /**
+    * Gets the names of all non-empty rooms
+    * @returns {string[]}
+    */
+    get names() {
+        return Array.from(this._rooms.keys());
+    }
+}
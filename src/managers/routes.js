@@ -0,0 +1,194 @@
+import { matchPattern } from "../utils/patterns.js";
+
+/**
+* A target selector value, either fixed or computed from the message context
+* @typedef {string|function(*): (string|null|undefined)} TargetValue
+*/
+
+/**
+* @typedef {Object} RouteTarget
+* @property {TargetValue} [id] Target Starling ID
+* @property {TargetValue} [identity] Target identity key (e.g. user ID)
+* @property {TargetValue} [tag] Tag carried by the target
+* @property {TargetValue} [room] Room the target belongs to
+*/
+
+/**
+* @callback RouteTargetHandler
+* @param {*} context Message context
+* @param {import('./starlings').StarlingsManager} starlings Starlings manager
+* @returns {import('../core/starling').Starling|null|Promise<import('../core/starling').Starling|null>}
+*/
+
+/**
+* @typedef {Object} ProxyRoute
+* @property {string} match Method or topic glob pattern, e.g. `device:*`
+* @property {Array<'request'|'notification'|'errorMessage'>} [types=['request', 'notification']] Message types the route applies to
+* @property {RouteTarget|RouteTargetHandler} target How the target is chosen, the proxy middleware being used when none is found
+* @property {string[]|function(Object|null, import('../core/starling').Starling): boolean} [allow] Source identity keys (or predicate) allowed to use the route
+* @property {string[]|function(Object|null, import('../core/starling').Starling): boolean} [deny] Source identity keys (or predicate) denied from the route
+* @property {number} [maxPayloadSize] Maximum payload size in bytes
+*/
+
+/**
+* @typedef {Object} RouteResolution
+* @property {ProxyRoute} route Matching route
+* @property {import('../core/starling').Starling|null} target Resolved target, null when none is found
+* @property {{code: string, message: string}|null} denied Denial, if any
+*/
+
+const encoder = new TextEncoder();
+
+/**
+* Checks a source identity against an allow or deny list
+* @param {ProxyRoute['allow']} list Identity keys or predicate
+* @param {import('../core/starling').Starling} source Source Starling
+* @param {import('./starlings').StarlingsManager} starlings Starlings manager, reading the identity keys
+* @returns {boolean}
+*/
+const listed = (list, source, starlings) => {
+    if (typeof list === 'function') {
+        return Boolean(list(source.identity, source));
+    }
+    
+    const key = starlings.identityKey(source.identity);
+    return key !== null && list.includes(key);
+}
+
+/**
+* Declarative routing table evaluated by the ProxyManager before the proxy middlewares
+*/
+export class ProxyRouter {
+    /**
+    * @param {import('../core/helios').Helios} helios Helios instance
+    * @param {ProxyRoute[]} [routes=[]] Initial routes
+    */
+    constructor(helios, routes = []) {
+        /** @private */
+        this._helios = helios;
+        
+        /**
+        * Routes in evaluation order
+        * @type {ProxyRoute[]}
+        * @private
+        */
+        this._routes = [];
+        
+        routes.forEach(route => this.add(route));
+    }
+    
+    /**
+    * Appends a route to the table
+    * @param {ProxyRoute} route Route definition
+    * @returns {function(): void} Removes the route
+    */
+    add = (route) => {
+        if (typeof route?.match !== 'string' || !route.target) {
+            throw new Error('Proxy route must have a match pattern and a target');
+        }
+        
+        const entry = {
+            types: ['request', 'notification'],
+            ...route
+        };
+        
+        this._routes.push(entry);
+        
+        return () => {
+            const index = this._routes.indexOf(entry);
+            if (index !== -1) {
+                this._routes.splice(index, 1);
+            }
+        };
+    }
+    
+    /**
+    * Resolves a message against the first matching route
+    * @param {'request'|'notification'|'errorMessage'} type Message type
+    * @param {*} context Message context
+    * @returns {Promise<RouteResolution|null>} Null when no route matches
+    */
+    resolve = async (type, context) => {
+        const name = type === 'request' ? context.method : type === 'notification' ? context.topic : context.code;
+        if (typeof name !== 'string') {
+            return null;
+        }
+        
+        const route = this._routes.find(route => route.types.includes(type) && matchPattern(route.match, name));
+        if (!route) {
+            return null;
+        }
+        
+        const source = context.starling;
+        
+        if (route.allow && !listed(route.allow, source, this._helios.starlings)) {
+            return { route, target: null, denied: { code: 'PROXY_FORBIDDEN', message: `Not allowed to proxy ${name}` } };
+        }
+        
+        if (route.deny && listed(route.deny, source, this._helios.starlings)) {
+            return { route, target: null, denied: { code: 'PROXY_FORBIDDEN', message: `Not allowed to proxy ${name}` } };
+        }
+        
+        if (route.maxPayloadSize !== undefined) {
+            const payload = type === 'request' ? context.payload : context.data;
+            const size = payload === undefined ? 0 : encoder.encode(JSON.stringify(payload)).length;
+            
+            if (size > route.maxPayloadSize) {
+                return { route, target: null, denied: { code: 'PROXY_PAYLOAD_TOO_LARGE', message: `Payload of ${size} bytes exceeds ${route.maxPayloadSize} bytes` } };
+            }
+        }
+        
+        return { route, target: await this._select(route.target, context), denied: null };
+    }
+    
+    /**
+    * Selects the target of a route, preferring connected Starlings
+    * @param {RouteTarget|RouteTargetHandler} selector Target selector
+    * @param {*} context Message context
+    * @returns {Promise<import('../core/starling').Starling|null>}
+    * @private
+    */
+    _select = async (selector, context) => {
+        const starlings = this._helios.starlings;
+        
+        if (typeof selector === 'function') {
+            return (await selector(context, starlings)) || null;
+        }
+        
+        const field = ['id', 'identity', 'tag', 'room'].find(field => selector[field] !== undefined);
+        if (!field) {
+            return null;
+        }
+        
+        // A selector computing no value matches nothing
+        const value = typeof selector[field] === 'function' ? selector[field](context) : selector[field];
+        if (value == null) {
+            return null;
+        }
+        
+        let candidates;
+        if (field === 'id') {
+            const starling = starlings.getById(value);
+            candidates = starling ? [starling] : [];
+        } else if (field === 'identity') {
+            candidates = starlings.getByIdentity(value);
+        } else if (field === 'tag') {
+            candidates = starlings.getByTag(value);
+        } else {
+            candidates = starlings.rooms.members(value);
+        }
+        
+        // Never route a message back to its sender
+        candidates = candidates.filter(starling => starling !== context.starling);
+        
+        return candidates.find(starling => starling.isConnected) || candidates[0] || null;
+    }
+    
+    /**
+    * Gets the routes in evaluation order
+    * @returns {ProxyRoute[]}
+    */
+    get routes() {
+        return [...this._routes];
+    }
+}
@@ -0,0 +1,240 @@
+import { toJsonSchema } from "../utils/jsonschema.js";
+
+/**
+* @typedef {Object} MethodSchemas
+* @property {import('zod').ZodTypeAny} [input] Schema of the request payload
+* @property {import('zod').ZodTypeAny} [output] Schema of the data passed to `context.success()`, checked when output
+* validation is enabled. Values returned by the handler are not responses and are not checked.
+* @property {string} [description] Description, listed by `system:methods`
+* @property {number} [timeout] Timeout in milliseconds
+*/
+
+/**
+* @typedef {Object} TopicSchemas
+* @property {import('zod').ZodTypeAny} [input] Schema of the notification data
+* @property {string} [description] Description, listed by `system:methods`
+*/
+
+/**
+* @typedef {Object} ValidationIssue
+* @property {string} path Dotted path of the failing value, empty for the payload itself
+* @property {string} code Zod issue code
+* @property {string} message Issue message
+*/
+
+/**
+* Converts a zod error into serializable issues
+* @param {import('zod').ZodError} error Zod error
+* @returns {ValidationIssue[]}
+*/
+export const formatIssues = (error) => error.issues.map(issue => ({
+    path: issue.path.join('.'),
+    code: issue.code,
+    message: issue.message
+}));
+
+/**
+* Checks that a schema option is a zod schema.
+* Schemas are recognized by their API rather than their class, which differs between zod copies.
+* @param {*} schema Schema option
+* @param {string} label Option label, for the error message
+* @throws {TypeError} When the schema is not a zod schema
+*/
+const assertSchema = (schema, label) => {
+    if (schema !== undefined && typeof schema?.safeParseAsync !== 'function') {
+        throw new TypeError(`${label} must be a zod schema`);
+    }
+}
+
+/**
+* Keeps the definitions of methods and topics, and validates their payloads, results
+* and notification data against zod schemas
+*/
+export class SchemaManager {
+    /**
+    * @param {import('../core/helios').Helios} helios Helios instance
+    * @param {{validateOutput?: boolean, introspection?: boolean}} [options={}] Validation options
+    */
+    constructor(helios, options = {}) {
+        /** @private */
+        this._helios = helios;
+
+        /**
+        * Results are checked against output schemas outside of production by default
+        * @private
+        */
+        this._validateOutput = options.validateOutput ?? process.env.NODE_ENV !== 'production';
+
+        /**
+        * Whether `system:methods` describes the definitions, which reveals the API to every client
+        * @private
+        */
+        this._introspection = options.introspection ?? false;
+
+        /**
+        * Definitions of each method
+        * @type {Map<string, MethodSchemas>}
+        * @private
+        */
+        this._methods = new Map();
+
+        /**
+        * Definitions of each notification topic
+        * @type {Map<string, TopicSchemas>}
+        * @private
+        */
+        this._topics = new Map();
+    }
+
+    /**
+    * Wraps a method handler with its schemas
+    * @param {string} method Method name
+    * @param {function(import('@helios-starling/utils').RequestContext): *} handler Method handler
+    * @param {MethodSchemas} [schemas={}] Method schemas
+    * @returns {function(import('@helios-starling/utils').RequestContext): Promise<*>} Handler running only for valid payloads
+    */
+    method = (method, handler, { input, output, description, timeout } = {}) => {
+        assertSchema(input, `Input schema of ${method}`);
+        assertSchema(output, `Output schema of ${method}`);
+
+        this._methods.set(method, { input, output, description, timeout });
+        if (!input && !output) {
+            return handler;
+        }
+
+        return async context => {
+            if (input) {
+                const result = await input.safeParseAsync(context.payload);
+                if (!result.success) {
+                    const issues = this._failed(context.starling, 'input', method, result.error);
+                    context.error('VALIDATION_ERROR', `Invalid payload for ${method}`, { issues });
+                    return;
+                }
+
+                // Handlers get the parsed payload, with defaults and transforms applied
+                Object.defineProperty(context, 'payload', { value: result.data, enumerable: true, configurable: true });
+            }
+
+            if (output && this._validateOutput) {
+                // Responses are only sent through context.success(), the result of the handler is not one
+                const success = context.success;
+                context.success = (data, ...args) => {
+                    const result = output.safeParse(data);
+                    if (!result.success) {
+                        const issues = this._failed(context.starling, 'output', method, result.error);
+                        return context.error('OUTPUT_VALIDATION_ERROR', `Invalid result from ${method}`, { issues });
+                    }
+                    return success.call(context, data, ...args);
+                };
+            }
+
+            return handler(context);
+        };
+    }
+
+    /**
+    * Wraps a notification topic handler with its schema
+    * @param {string} topic Notification topic
+    * @param {function(import('@helios-starling/utils').NotificationContext): *} handler Topic handler
+    * @param {TopicSchemas} [schemas={}] Topic schemas
+    * @returns {function(import('@helios-starling/utils').NotificationContext): Promise<*>} Handler running only for valid data
+    */
+    topic = (topic, handler, { input, description } = {}) => {
+        assertSchema(input, `Input schema of ${topic}`);
+
+        this._topics.set(topic, { input, description });
+        if (!input) {
+            return handler;
+        }
+
+        return async context => {
+            const result = await input.safeParseAsync(context.data);
+            if (!result.success) {
+                const issues = this._failed(context.starling, 'notification', topic, result.error);
+
+                // Notifications have no response, the error is sent on its own
+                context.starling?.sendError('VALIDATION_ERROR', `Invalid data for ${topic}`, { topic, issues });
+                return;
+            }
+
+            Object.defineProperty(context, 'data', { value: result.data, enumerable: true, configurable: true });
+            return handler(context);
+        };
+    }
+
+    /**
+    * Describes the registered methods and topics, with their schemas as JSON Schema
+    * @returns {import('../utils/contract').MethodsDescription}
+    */
+    describe = () => ({
+        methods: Array.from(this._methods, ([name, { input, output, description, timeout }]) => ({
+            name,
+            description: description ?? null,
+            timeout: timeout ?? null,
+            input: input ? toJsonSchema(input, 'input') : null,
+            output: output ? toJsonSchema(output, 'output') : null
+        })),
+        topics: Array.from(this._topics, ([name, { input, description }]) => ({
+            name,
+            description: description ?? null,
+            input: input ? toJsonSchema(input, 'input') : null
+        }))
+    });
+
+    /**
+    * Forgets the definition of a method, which is no longer listed by `system:methods`
+    * @param {string} method Method name
+    */
+    forget = (method) => {
+        this._methods.delete(method);
+    }
+
+    /**
+    * Gets the definition of a method
+    * @param {string} method Method name
+    * @returns {MethodSchemas|null}
+    */
+    ofMethod = (method) => this._methods.get(method) || null;
+
+    /**
+    * Gets the definition of a notification topic
+    * @param {string} topic Notification topic
+    * @returns {TopicSchemas|null}
+    */
+    ofTopic = (topic) => this._topics.get(topic) || null;
+
+    /**
+    * Gets whether results are checked against output schemas
+    */
+    get validatesOutput() {
+        return this._validateOutput;
+    }
+
+    /**
+    * Gets whether `system:methods` is enabled
+    */
+    get introspection() {
+        return this._introspection;
+    }
+
+    /**
+    * Emits a validation failure
+    * @private
+    */
+    _failed = (starling, kind, name, error) => {
+        const issues = formatIssues(error);
+
+        this._helios.events.emit('validation:failed', {
+            starling,
+            kind,
+            name,
+            issues,
+            debug: {
+                type: kind === 'output' ? 'error' : 'warning',
+                message: `Invalid ${kind === 'notification' ? 'data' : kind} for ${name}: ${issues.map(issue => `${issue.path || '(root)'} ${issue.message}`).join(', ')}`
+            }
+        });
+
+        return issues;
+    }
+}
@@ -0,0 +1,314 @@
+import { builtInMethods } from "../config/methods.config.js";
+
+/**
+* @typedef {Object} ServicesOptions
+* @property {'round-robin'|'least-in-flight'|'sticky'} [strategy='round-robin'] How a provider is chosen
+* @property {function(*): (string|null|undefined)} [stickyKey] Key of a request for the sticky strategy,
+* defaults to the source identity key, then the source Starling ID
+* @property {function(import('../core/starling').Starling, string[]): (boolean|Promise<boolean>)} [authorize]
+* Whether a Starling may register as a provider of the given methods (everything is denied when omitted)
+*/
+
+/**
+* Registry of worker Starlings providing methods, and load balancer of the requests sent to them
+*/
+export class ServicesManager {
+    /**
+    * @param {import('../core/helios').Helios} helios Helios instance
+    * @param {ServicesOptions} [options={}] Services options
+    */
+    constructor(helios, options = {}) {
+        /** @private */
+        this._helios = helios;
+        
+        /** @private */
+        this._options = {
+            strategy: 'round-robin',
+            ...options
+        };
+        
+        /**
+        * Providers of each method, in registration order
+        * @type {Map<string, import('../core/starling').Starling[]>}
+        * @private
+        */
+        this._providers = new Map();
+        
+        /**
+        * Round-robin cursor of each method
+        * @type {Map<string, number>}
+        * @private
+        */
+        this._cursors = new Map();
+        
+        /**
+        * Provider ID chosen for each sticky key, by method
+        * @type {Map<string, Map<string, string>>}
+        * @private
+        */
+        this._sticky = new Map();
+        
+        /**
+        * Methods registered on the Helios node to receive service requests, while they have providers
+        * @type {Set<string>}
+        * @private
+        */
+        this._exposed = new Set();
+        
+        /**
+        * Methods whose handler was registered on the Helios node, which keeps it once concealed
+        * @type {Set<string>}
+        * @private
+        */
+        this._registered = new Set();
+        
+        this._helios.events.on('starling:closed', event => this.unregister(event.data.starling));
+    }
+    
+    /**
+    * Registers a Starling as a provider of methods
+    * @param {import('../core/starling').Starling} starling Provider Starling
+    * @param {string[]} methods Provided methods
+    */
+    register = (starling, methods) => {
+        for (const method of methods) {
+            let providers = this._providers.get(method);
+            if (!providers) {
+                providers = [];
+                this._providers.set(method, providers);
+            }
+            
+            if (!providers.includes(starling)) {
+                providers.push(starling);
+            }
+            
+            this._expose(method);
+        }
+        
+        this._helios.events.emit('service:registered', {
+            starling,
+            methods,
+            debug: {
+                type: 'info',
+                message: `Starling ${starling.id} provides ${methods.join(', ')}`
+            }
+        });
+    }
+    
+    /**
+    * Unregisters a provider from some or all of its methods
+    * @param {import('../core/starling').Starling} starling Provider Starling
+    * @param {string[]} [methods] Methods to withdraw, all when omitted
+    */
+    unregister = (starling, methods) => {
+        const withdrawn = [];
+        
+        for (const method of methods || this.of(starling)) {
+            const providers = this._providers.get(method);
+            const index = providers?.indexOf(starling) ?? -1;
+            if (index === -1) continue;
+            
+            providers.splice(index, 1);
+            if (providers.length === 0) {
+                this._providers.delete(method);
+                this._cursors.delete(method);
+                this._sticky.delete(method);
+                this._conceal(method);
+            }
+            
+            for (const [key, id] of this._sticky.get(method) || []) {
+                if (id === starling.id) {
+                    this._sticky.get(method).delete(key);
+                }
+            }
+            
+            withdrawn.push(method);
+        }
+        
+        if (withdrawn.length > 0) {
+            this._helios.events.emit('service:unregistered', {
+                starling,
+                methods: withdrawn,
+                debug: {
+                    type: 'info',
+                    message: `Starling ${starling.id} no longer provides ${withdrawn.join(', ')}`
+                }
+            });
+        }
+    }
+    
+    /**
+    * Checks whether a method is provided by a service
+    * @param {string} method Method name
+    * @returns {boolean}
+    */
+    provides = (method) => {
+        return this._providers.has(method);
+    }
+    
+    /**
+    * Gets the providers of a method
+    * @param {string} method Method name
+    * @returns {import('../core/starling').Starling[]}
+    */
+    providers = (method) => {
+        return [...(this._providers.get(method) || [])];
+    }
+    
+    /**
+    * Gets the methods a Starling provides
+    * @param {import('../core/starling').Starling} starling Provider Starling
+    * @returns {string[]}
+    */
+    of = (starling) => {
+        const methods = [];
+        for (const [method, providers] of this._providers) {
+            if (providers.includes(starling)) {
+                methods.push(method);
+            }
+        }
+        return methods;
+    }
+    
+    /**
+    * Chooses a connected provider for a request according to the strategy
+    * @param {string} method Method name
+    * @param {import('@helios-starling/utils').RequestContext} context Request context
+    * @param {Object} [options]
+    * @param {import('../core/starling').Starling} [options.exclude] Provider to skip
+    * @returns {import('../core/starling').Starling|null}
+    */
+    select = (method, context, { exclude } = {}) => {
+        const providers = (this._providers.get(method) || [])
+        .filter(starling => starling !== exclude && starling.isConnected);
+        
+        if (providers.length === 0) {
+            return null;
+        }
+        
+        switch (this._options.strategy) {
+            case 'least-in-flight':
+                return providers.reduce((best, starling) =>
+                    this._helios.proxy.pendingFor(starling.id) < this._helios.proxy.pendingFor(best.id) ? starling : best
+                );
+            
+            case 'sticky': {
+                const key = this._stickyKey(context);
+                let assignments = this._sticky.get(method);
+                if (!assignments) {
+                    assignments = new Map();
+                    this._sticky.set(method, assignments);
+                }
+                
+                const assigned = providers.find(starling => starling.id === assignments.get(key));
+                if (assigned) {
+                    return assigned;
+                }
+                
+                const provider = this._next(method, providers);
+                assignments.set(key, provider.id);
+                return provider;
+            }
+            
+            default:
+                return this._next(method, providers);
+        }
+    }
+    
+    /**
+    * Forwards a request to a provider of its method
+    * @param {import('@helios-starling/utils').RequestContext} context Request context
+    */
+    dispatch = (context) => {
+        const provider = this.select(context.method, context);
+        
+        if (!provider) {
+            context.error('SERVICE_UNAVAILABLE', `No provider available for ${context.method}`);
+            return;
+        }
+        
+        this._helios.proxy.forward(context, provider, { service: context.method });
+    }
+    
+    /**
+    * Checks whether a Starling may register as a provider.
+    * Nobody may without an `authorize` option, and methods of the node itself are never provided.
+    * @param {import('../core/starling').Starling} starling Starling instance
+    * @param {string[]} methods Methods to provide
+    * @returns {Promise<boolean>}
+    */
+    authorize = async (starling, methods) => {
+        const handler = this._options.authorize;
+        if (!handler || methods.some(this.reserved)) {
+            return false;
+        }
+        
+        return Boolean(await handler(starling, methods));
+    }
+    
+    /**
+    * Checks whether a method is built in or registered on the node, and cannot be provided
+    * @param {string} method Method name
+    * @returns {boolean}
+    */
+    reserved = (method) => {
+        if (Object.hasOwn(builtInMethods, method)) {
+            return true;
+        }
+        return !this._exposed.has(method) && this._helios.schemas.ofMethod(method) !== null;
+    }
+    
+    /**
+    * Picks the next provider in round-robin order
+    * @private
+    */
+    _next = (method, providers) => {
+        const cursor = this._cursors.get(method) || 0;
+        this._cursors.set(method, cursor + 1);
+        return providers[cursor % providers.length];
+    }
+    
+    /**
+    * @private
+    */
+    _stickyKey = (context) => {
+        const key = this._options.stickyKey?.(context);
+        if (key != null) {
+            return String(key);
+        }
+        return this._helios.starlings.identityKey(context.starling.identity) ?? context.starling.id;
+    }
+    
+    /**
+    * Registers a Helios method receiving the requests for a provided method
+    * @private
+    */
+    _expose = (method) => {
+        if (this._exposed.has(method)) {
+            return;
+        }
+        
+        this._exposed.add(method);
+        
+        // A method exposed again keeps its handler, only its definition is recorded again
+        if (this._registered.has(method)) {
+            this._helios.schemas.method(method, this.dispatch);
+            return;
+        }
+        
+        this._registered.add(method);
+        this._helios.method(method, async context => {
+            this.dispatch(context);
+        });
+    }
+    
+    /**
+    * Forgets a method that lost its last provider. Its handler stays on the node
+    * and answers `SERVICE_UNAVAILABLE` until a provider registers again, which exposes it again.
+    * @private
+    */
+    _conceal = (method) => {
+        this._exposed.delete(method);
+        this._helios.schemas.forget(method);
+    }
+}
@@ -1,5 +1,44 @@
-import { Starling } from "../core/starling";
-import { jwtVerify } from "jose";
+import { Starling } from "../core/starling.js";
+import { RoomsManager } from "./rooms.js";
+import { ReplayGuard } from "./replays.js";
+import { checkBinding } from "../core/binding.js";
+import { identityKey } from "../utils/identity.js";
+
+/**
+* Adds a Starling to a set of an index
+* @param {Map<*, Set<import('../core/starling').Starling>>} index Index
+* @param {*} key Index key
+* @param {import('../core/starling').Starling} starling Starling instance
+*/
+const addToIndex = (index, key, starling) => {
+    let starlings = index.get(key);
+    if (!starlings) {
+        starlings = new Set();
+        index.set(key, starlings);
+    }
+    starlings.add(starling);
+}
+
+/**
+* Removes a Starling from a set of an index, dropping the set once empty
+* @param {Map<*, Set<import('../core/starling').Starling>>} index Index
+* @param {*} key Index key
+* @param {import('../core/starling').Starling} starling Starling instance
+*/
+const removeFromIndex = (index, key, starling) => {
+    const starlings = index.get(key);
+    starlings?.delete(starling);
+    if (starlings?.size === 0) {
+        index.delete(key);
+    }
+}
+
+/**
+* @typedef {Object} CustomIndex
+* @property {function(import('../core/starling').Starling): *} key Computes the index key of a Starling
+* @property {Map<*, Set<import('../core/starling').Starling>>} starlings Starlings by key
+* @property {Map<import('../core/starling').Starling, *>} keys Current key of each indexed Starling
+*/
 
 /**
 * Manages Starling connections and their lifecycle
@@ -27,6 +66,55 @@ export class StarlingsManager {
         * @private
         */
         this._starlingsById = new Map();
+        
+        /**
+        * Starlings of each identity, by identity key
+        * @type {Map<string, Set<import('../core/starling').Starling>>}
+        * @private
+        */
+        this._starlingsByIdentity = new Map();
+        
+        /**
+        * Starlings carrying each tag
+        * @type {Map<string, Set<import('../core/starling').Starling>>}
+        * @private
+        */
+        this._starlingsByTag = new Map();
+        
+        /**
+        * User-defined indexes, by name
+        * @type {Map<string, CustomIndex>}
+        * @private
+        */
+        this._indexes = new Map();
+        
+        /**
+        * Connected Starlings
+        * @type {Set<import('../core/starling').Starling>}
+        * @private
+        */
+        this._connected = new Set();
+        
+        /**
+        * Disconnected Starlings awaiting recovery
+        * @type {Set<import('../core/starling').Starling>}
+        * @private
+        */
+        this._disconnected = new Set();
+        
+        /** @private */
+        this._rooms = new RoomsManager(helios);
+        
+        /**
+        * Consumed recovery tokens
+        * @type {ReplayGuard}
+        * @private
+        */
+        this._replays = new ReplayGuard(helios.options?.recovery);
+        
+        // Starlings are closed once disconnectionTTL is over (or by kick-both and the admin API),
+        // after which their tokens must not recover them nor the indexes find them
+        this._helios.events.on('starling:closed', event => this.remove(event.data.starling));
     }
     
     /**
@@ -35,10 +123,9 @@ export class StarlingsManager {
     */
     handleConnection = async (ws) => {
         let shouldCreateNewStarling = true;
-        let recoverToken;
         
         try {
-            recoverToken = ws.data?.recover;
+            const recoverToken = ws.data?.recover;
             
             if (recoverToken) {
                 const recoveredStarling = await this._attemptRecovery(ws, recoverToken);
@@ -54,10 +141,17 @@ export class StarlingsManager {
                     message: `Recovery failed: ${error.message}`
                 }
             });
+            
+            if (error.code === 'RECOVERY_REPLAY') {
+                ws.close(4003, 'Recovery token replayed');
+                return;
+            }
         }
         
+        // A token only restores the Starling it was issued to (states are checked against
+        // its ID), so the Starling created when recovery fails starts without it
         if (shouldCreateNewStarling) {
-            await this._createNewStarling(ws, recoverToken);
+            await this._createNewStarling(ws);
         }
     }
     
@@ -69,28 +163,110 @@ export class StarlingsManager {
     * @private
     */
     _attemptRecovery = async (ws, token) => {
-        const { payload } = await jwtVerify(token, this._helios.keys.connection);
+        const { payload } = await this._helios.keys.verify(token);
+        
+        // Starlings closed on purpose stay closed, within the reuse window or through rehydration
+        if (this._replays.revoked(payload)) {
+            const error = new Error('Recovery token revoked');
+            error.code = 'RECOVERY_REVOKED';
+            throw error;
+        }
+        
         const existingStarling = this._starlingsById.get(payload.starlingId);
         
+        // A Starling keeps its identity: a connection authenticated as someone else cannot recover it.
+        const mismatch = checkBinding(payload, ws.data?.binding, ws.data?.identity, this._helios.options?.identityKey)
+        || (this._sameIdentity(existingStarling?.identity, ws.data?.identity) ? null : 'identity');
+        if (mismatch) {
+            this._helios.events.emit('starling:recovery:mismatch', {
+                starling: existingStarling,
+                binding: mismatch,
+                debug: {
+                    type: 'warning',
+                    message: `Recovery of Starling ${payload.starlingId} refused: ${mismatch} binding mismatch`
+                }
+            });
+            
+            const error = new Error(`Recovery token bound to another ${mismatch}`);
+            error.code = 'RECOVERY_BINDING_MISMATCH';
+            throw error;
+        }
+        
+        const singleUse = this._helios.options?.recovery?.singleUse !== false;
+        if (!singleUse) {
+            return this._recover(ws, token, payload, existingStarling);
+        }
+        
+        // Tokens issued without an ID cannot be tracked
+        if (!payload.jti) {
+            const error = new Error('Recovery token has no ID');
+            error.code = 'RECOVERY_UNTRACKED';
+            throw error;
+        }
+        
+        if (!this._replays.accepts(payload, Boolean(existingStarling?.isConnected))) {
+            this._handleReplay(payload, existingStarling);
+        }
+        
+        // The token is only consumed once the Starling is recovered
+        let recovered = null;
+        this._replays.begin(payload);
+        try {
+            recovered = await this._recover(ws, token, payload, existingStarling);
+            return recovered;
+        } finally {
+            this._replays.end(payload, recovered !== null);
+        }
+    }
+    
+    /**
+    * Recovers a Starling on a new connection, or rehydrates it when it is unknown
+    * @param {import('bun').ServerWebSocket} ws WebSocket connection
+    * @param {string} token Recovery token
+    * @param {import('jose').JWTPayload} payload Verified token payload
+    * @param {import('../core/starling').Starling} [existingStarling] Starling the token belongs to
+    * @returns {Promise<import('../core/starling').Starling|null>} Null when the Starling is unknown and rehydration is off
+    * @private
+    */
+    _recover = async (ws, token, payload, existingStarling) => {
         if (!existingStarling) {
-            return null;
+            return this._helios.options?.rehydration
+            ? this._rehydrateStarling(ws, token, payload)
+            : null;
         }
         
-        // Unlink from old connection if it exists
-        if (this._connections.has(existingStarling.ws)) {
-            this._connections.delete(existingStarling.ws);
+        // Tokens referencing purged or expired stored states are no longer valid
+        if (payload.stateRef) {
+            await existingStarling.states.load(payload);
+        }
+        
+        // Close the previous connection if it is still open
+        const previousWs = existingStarling.ws;
+        if (previousWs && previousWs !== ws) {
+            this._connections.delete(previousWs);
+            try {
+                previousWs.close(4000, 'Connection recovered elsewhere');
+            } catch (error) {
+                error;
+            }
+        }
+        
+        // Refresh the claims of the same identity, or set the first one
+        if (ws.data?.identity) {
+            this.identify(existingStarling, ws.data.identity);
         }
         
         // Link to new connection
         await existingStarling.link(ws);
         this._connections.set(ws, existingStarling);
         
-        // Notify successful recovery
+        // Notify successful recovery, with a fresh token replacing the consumed one
         existingStarling.notify({
             topic: 'connection:recovered',
             data: {
                 timestamp: Date.now(),
-                recoveredFrom: payload.timestamp
+                recoveredFrom: payload.timestamp,
+                token: await this._freshToken(existingStarling)
             }
         });
         
@@ -106,34 +282,148 @@ export class StarlingsManager {
     }
     
     /**
-    * Creates a new Starling instance
-    * @param {import('bun').ServerWebSocket} ws WebSocket connection
-    * @param {string} [recoverToken] Optional recovery token for state restoration
+    * Applies the replay policy to a recovery token presented again
+    * @param {import('jose').JWTPayload} payload Verified token payload
+    * @param {import('../core/starling').Starling} [starling] Starling the token belongs to
+    * @throws {Error} With the `RECOVERY_REPLAY` code, unless the policy lets the recovery proceed
     * @private
     */
-    _createNewStarling = async (ws, recoverToken = null) => {
+    _handleReplay = (payload, starling) => {
+        const policy = this._helios.options?.recovery?.onReplay || 'reject';
+        
+        this._helios.events.emit('starling:recovery:replay', {
+            starling,
+            jti: payload.jti,
+            concurrent: Boolean(starling?.isConnected),
+            policy,
+            debug: {
+                type: 'warning',
+                message: `Recovery token ${payload.jti} of Starling ${payload.starlingId} replayed (${policy})`
+            }
+        });
+        
+        if (policy === 'kick-older') {
+            return;
+        }
+        
+        if (policy === 'kick-both') {
+            this._replays.revoke(payload.starlingId, payload);
+            starling?.close('Recovery token replayed');
+        }
         
+        const error = new Error('Recovery token already used');
+        error.code = 'RECOVERY_REPLAY';
+        throw error;
+    }
+    
+    /**
+    * Generates the token replacing a consumed one
+    * @param {import('../core/starling').Starling} starling Starling instance
+    * @returns {Promise<string|null>}
+    * @private
+    */
+    _freshToken = async (starling) => {
+        try {
+            return await starling.states.generateToken();
+        } catch (error) {
+            this._helios.events.emit('state:token:failed', {
+                starling,
+                error,
+                debug: {
+                    type: 'warning',
+                    message: `Failed to generate a fresh token for Starling ${starling.id}: ${error.message}`
+                }
+            });
+            return null;
+        }
+    }
+    
+    /**
+    * Recreates a Starling unknown to this server (e.g. after a restart) under its original ID.
+    * `starling:new` is emitted before the states are restored so that listeners can register
+    * their state providers, which are then replayed from the token.
+    * @param {import('bun').ServerWebSocket} ws WebSocket connection
+    * @param {string} token Verified recovery token
+    * @param {import('jose').JWTPayload} payload Verified token payload
+    * @returns {Promise<import('../core/starling').Starling>}
+    * @throws {Error} If the states could not be restored
+    * @private
+    */
+    _rehydrateStarling = async (ws, token, payload) => {
         const starling = new Starling(this._helios, ws, {
-            networkNode: this._helios
+            networkNode: this._helios,
+            id: payload.starlingId,
+            identity: ws.data?.identity
         });
         
-        if (recoverToken) {
-            try {
-                await starling.states.restore(recoverToken);
-            } catch (error) {
-                this._helios.events.emit('starling:state:restore:failed', {
-                    error,
-                    starling,
-                    debug: {
-                        type: 'warning',
-                        message: `State restoration failed: ${error.message}`
-                    }
-                });
+        this._register(ws, starling);
+        
+        this._helios.events.emit('starling:new', {
+            starling,
+            rehydrated: true,
+            debug: {
+                type: 'connection',
+                message: `Starling ${starling.id} rehydrated from recovery token`
             }
+        });
+        
+        try {
+            await starling.states.restore(token);
+        } catch (error) {
+            this.remove(starling);
+            throw error;
         }
         
-        this._connections.set(ws, starling);
-        this._starlingsById.set(starling.id, starling);
+        this._helios.events.emit('starling:connected', {
+            starling,
+            debug: {
+                type: 'connection',
+                message: `Starling ${starling.id} rehydrated`
+            }
+        });
+        
+        starling.notify({
+            topic: 'connection:recovered',
+            data: {
+                timestamp: Date.now(),
+                recoveredFrom: payload.timestamp,
+                rehydrated: true,
+                token: await this._freshToken(starling)
+            }
+        });
+        
+        this._helios.events.emit('starling:rehydrated', {
+            starling,
+            debug: {
+                type: 'connection',
+                message: `Starling ${starling.id} rehydrated`
+            }
+        });
+        
+        this._helios.events.emit('starling:recovered', {
+            starling,
+            debug: {
+                type: 'connection',
+                message: `Starling ${starling.id} recovered`
+            }
+        });
+        
+        return starling;
+    }
+    
+    /**
+    * Creates a new Starling instance
+    * @param {import('bun').ServerWebSocket} ws WebSocket connection
+    * @private
+    */
+    _createNewStarling = async (ws) => {
+        
+        const starling = new Starling(this._helios, ws, {
+            networkNode: this._helios,
+            identity: ws.data?.identity
+        });
+        
+        this._register(ws, starling);
         
         this._helios.events.emit('starling:new', {
             starling,
@@ -173,22 +463,311 @@ export class StarlingsManager {
     }
     
     /**
-    * Filters Starlings based on a predicate
-    * @param {function(import('../core/starling').Starling): boolean} predicate Filter function
+    * Gets every Starling (device) of an identity
+    * @param {string} key Identity key, i.e. the `userId` (or `id`) of the identity
+    * @returns {import('../core/starling').Starling[]}
+    */
+    getByIdentity = (key) => {
+        return Array.from(this._starlingsByIdentity.get(String(key)) || []);
+    }
+    
+    /**
+    * Gets the key of an identity, read by the `identityKey` option when set
+    * @param {Object|null} identity Starling identity
+    * @returns {string|null}
+    */
+    identityKey = (identity) => {
+        return identityKey(identity, this._helios.options?.identityKey);
+    }
+    
+    /**
+    * Sends a notification to every Starling of an identity.
+    * Disconnected Starlings buffer it until they recover.
+    * @param {string} key Identity key
+    * @param {string} topic Notification topic
+    * @param {*} data Notification data
+    * @returns {number} Number of notified Starlings
+    */
+    notifyIdentity = (key, topic, data) => {
+        const starlings = this._starlingsByIdentity.get(String(key));
+        if (!starlings) {
+            return 0;
+        }
+        
+        for (const starling of starlings) {
+            starling.notify({ topic, data });
+        }
+        
+        return starlings.size;
+    }
+    
+    /**
+    * Attaches an identity to a Starling, e.g. after an in-band login
+    * @param {import('../core/starling').Starling} starling Starling instance
+    * @param {Object|null} identity Identity (user id, device id, claims...)
+    */
+    identify = (starling, identity) => {
+        this._unindexIdentity(starling);
+        starling._identity = identity || null;
+        
+        if (this._isRegistered(starling)) {
+            this._indexIdentity(starling);
+        }
+        
+        this._helios.events.emit('starling:identified', {
+            starling,
+            identity: starling.identity,
+            debug: {
+                type: 'info',
+                message: `Starling ${starling.id} identified as ${this.identityKey(starling.identity)}`
+            }
+        });
+    }
+    
+    /**
+    * Checks that an identity may replace another, i.e. that both have the same key.
+    * Missing identities never conflict.
+    * @param {Object|null} [current] Current identity
+    * @param {Object|null} [next] New identity
+    * @returns {boolean}
+    * @private
+    */
+    _sameIdentity = (current, next) => {
+        return !current || !next || this.identityKey(current) === this.identityKey(next);
+    }
+    
+    /**
+    * @private
+    */
+    _indexIdentity = (starling) => {
+        const key = this.identityKey(starling.identity);
+        if (key !== null) {
+            addToIndex(this._starlingsByIdentity, key, starling);
+        }
+    }
+    
+    /**
+    * @private
+    */
+    _unindexIdentity = (starling) => {
+        const key = this.identityKey(starling.identity);
+        if (key !== null) {
+            removeFromIndex(this._starlingsByIdentity, key, starling);
+        }
+    }
+    
+    /**
+    * Gets every Starling carrying a tag
+    * @param {string} tag Tag
+    * @returns {import('../core/starling').Starling[]}
+    */
+    getByTag = (tag) => {
+        return Array.from(this._starlingsByTag.get(tag) || []);
+    }
+    
+    /**
+    * Updates the tag index after a Starling is tagged or untagged
+    * @param {import('../core/starling').Starling} starling Starling instance
+    * @param {string} tag Tag
+    * @param {boolean} tagged Whether the Starling now carries the tag
+    * @private
+    */
+    _setTag = (starling, tag, tagged) => {
+        if (!this._isRegistered(starling)) {
+            return;
+        }
+        
+        if (tagged) {
+            addToIndex(this._starlingsByTag, tag, starling);
+        } else {
+            removeFromIndex(this._starlingsByTag, tag, starling);
+        }
+    }
+    
+    /**
+    * Defines a custom index over the Starlings, e.g. `starling => starling.data.get('region')`.
+    * Keys are computed when a Starling is added; call reindex() when they change.
+    * Starlings whose key is `undefined` or `null` are not indexed.
+    * @param {string} name Index name
+    * @param {function(import('../core/starling').Starling): *} key Computes the index key of a Starling
+    */
+    defineIndex = (name, key) => {
+        if (this._indexes.has(name)) {
+            throw new Error(`Starlings index ${name} is already defined`);
+        }
+        
+        this._indexes.set(name, { key, starlings: new Map(), keys: new Map() });
+        
+        for (const starling of this._starlingsById.values()) {
+            this._indexCustom(name, starling);
+        }
+    }
+    
+    /**
+    * Gets the Starlings whose key in a custom index equals a value
+    * @param {string} name Index name
+    * @param {*} value Index key
+    * @returns {import('../core/starling').Starling[]}
+    * @throws {Error} If the index is not defined
+    */
+    getByIndex = (name, value) => {
+        const index = this._indexes.get(name);
+        if (!index) {
+            throw new Error(`Starlings index ${name} is not defined`);
+        }
+        return Array.from(index.starlings.get(value) || []);
+    }
+    
+    /**
+    * Recomputes the custom index keys of a Starling
+    * @param {import('../core/starling').Starling} starling Starling instance
+    */
+    reindex = (starling) => {
+        if (!this._isRegistered(starling)) {
+            return;
+        }
+        
+        for (const name of this._indexes.keys()) {
+            this._unindexCustom(name, starling);
+            this._indexCustom(name, starling);
+        }
+    }
+    
+    /**
+    * @private
+    */
+    _indexCustom = (name, starling) => {
+        const index = this._indexes.get(name);
+        const key = index.key(starling);
+        if (key === undefined || key === null) {
+            return;
+        }
+        
+        index.keys.set(starling, key);
+        addToIndex(index.starlings, key, starling);
+    }
+    
+    /**
+    * @private
+    */
+    _unindexCustom = (name, starling) => {
+        const index = this._indexes.get(name);
+        if (!index.keys.has(starling)) {
+            return;
+        }
+        
+        removeFromIndex(index.starlings, index.keys.get(starling), starling);
+        index.keys.delete(starling);
+    }
+    
+    /**
+    * Moves a Starling between the connected and disconnected sets
+    * @param {import('../core/starling').Starling} starling Starling instance
+    * @param {boolean} connected Whether the Starling is now connected
+    * @private
+    */
+    _setConnected = (starling, connected) => {
+        if (!this._isRegistered(starling)) {
+            return;
+        }
+        
+        if (connected) {
+            this._disconnected.delete(starling);
+            this._connected.add(starling);
+        } else {
+            this._connected.delete(starling);
+            this._disconnected.add(starling);
+        }
+    }
+    
+    /**
+    * Adds a new Starling and its socket to every index
+    * @param {import('bun').ServerWebSocket} ws WebSocket connection
+    * @param {import('../core/starling').Starling} starling Starling instance
+    * @private
+    */
+    _register = (ws, starling) => {
+        this._connections.set(ws, starling);
+        this._starlingsById.set(starling.id, starling);
+        this._connected.add(starling);
+        this._indexIdentity(starling);
+        
+        for (const tag of starling.tags) {
+            addToIndex(this._starlingsByTag, tag, starling);
+        }
+        
+        for (const name of this._indexes.keys()) {
+            this._indexCustom(name, starling);
+        }
+    }
+    
+    /**
+    * @private
+    */
+    _isRegistered = (starling) => {
+        return this._starlingsById.get(starling.id) === starling;
+    }
+    
+    /**
+    * Iterates over Starlings, optionally matching a predicate, without copying the collection
+    * @param {function(import('../core/starling').Starling): boolean} [predicate] Filter function
+    * @param {Object} [options]
+    * @param {boolean} [options.connected] Only connected (true) or disconnected (false) Starlings
+    * @returns {Generator<import('../core/starling').Starling>}
+    */
+    *iterate(predicate = null, { connected } = {}) {
+        const source = connected === true
+        ? this._connected
+        : connected === false ? this._disconnected : this._starlingsById.values();
+        
+        for (const starling of source) {
+            if (!predicate || predicate(starling)) {
+                yield starling;
+            }
+        }
+    }
+    
+    /**
+    * Filters Starlings based on a predicate.
+    * Only the matching Starlings are copied: unlike Array#filter, the predicate gets no array argument.
+    * @param {function(import('../core/starling').Starling, number): boolean} predicate Filter function
     * @returns {import('../core/starling').Starling[]}
     */
     filter = (predicate) => {
-        return Array.from(this._starlingsById.values()).filter(predicate);
+        const matches = [];
+        let index = 0;
+        for (const starling of this._starlingsById.values()) {
+            if (predicate(starling, index++)) {
+                matches.push(starling);
+            }
+        }
+        return matches;
     }
 
     /**
-     * Finds a Starling based on a predicate
-     * @param {function(import('../core/starling').Starling, number, import('../core/starling').Starling[]): boolean} predicate Find function
+     * Finds a Starling based on a predicate, without copying the collection
+     * @param {function(import('../core/starling').Starling, number): boolean} predicate Find function
      * @returns {import('../core/starling').Starling|undefined}
      * @private
      */
     find = (predicate) => {
-        return Array.from(this._starlingsById.values()).find(predicate);
+        let index = 0;
+        for (const starling of this._starlingsById.values()) {
+            if (predicate(starling, index++)) {
+                return starling;
+            }
+        }
+        return undefined;
+    }
+    
+    /**
+    * Closes a Starling on purpose: its recovery tokens can no longer recover nor rehydrate it
+    * @param {import('../core/starling').Starling} starling Starling instance
+    * @param {string} [reason='Connection revoked'] Close reason
+    */
+    revoke = (starling, reason = 'Connection revoked') => {
+        this._replays.revoke(starling.id);
+        starling.close(reason);
     }
     
     /**
@@ -202,7 +781,20 @@ export class StarlingsManager {
         }
         
         this._connections.delete(starling.ws);
+        this._unindexIdentity(starling);
+        this._connected.delete(starling);
+        this._disconnected.delete(starling);
+        
+        for (const tag of starling.tags) {
+            removeFromIndex(this._starlingsByTag, tag, starling);
+        }
+        
+        for (const name of this._indexes.keys()) {
+            this._unindexCustom(name, starling);
+        }
+        
         this._starlingsById.delete(starling.id);
+        this._rooms.leaveAll(starling);
         
         this._helios.events.emit('starling:removed', {
             starling,
@@ -222,24 +814,32 @@ export class StarlingsManager {
     * @param {function(import('../core/starling').Starling): boolean} [filter] Optional filter predicate
     */
     broadcast = (topic, data, filter = null) => {
-        const targets = filter 
-        ? this.filter(filter)
-        : Array.from(this._starlingsById.values());
-        
-        for (const starling of targets) {
-            if (starling.isConnected) {
+        for (const starling of this._connected) {
+            if (starling.isConnected && (!filter || filter(starling))) {
                 starling.notify({ topic, data });
             }
         }
     }
     
+    /**
+    * Gets the rooms manager
+    */
+    get rooms() {
+        return this._rooms;
+    }
+    
     /**
     * Gets the count of connected Starlings
     */
     get connectedCount() {
-        return Array.from(this._starlingsById.values())
-        .filter(s => s.isConnected)
-        .length;
+        return this._connected.size;
+    }
+    
+    /**
+    * Gets the count of disconnected Starlings awaiting recovery
+    */
+    get disconnectedCount() {
+        return this._disconnected.size;
     }
     
     /**
@@ -1,5 +1,6 @@
-import { SignJWT, jwtVerify } from "jose";
 import { getCurrentTimestamp } from "@helios-starling/utils";
+import { bindingClaims } from "../core/binding.js";
+import { checkPattern } from "../utils/patterns.js";
 
 /**
  * @typedef {Object} StateProvider
@@ -11,7 +12,7 @@ import { getCurrentTimestamp } from "@helios-starling/utils";
 /**
  * @typedef {Object} StateTokenOptions
  * @property {string} [expiresIn='1h'] Token expiration time
- * @property {Object} [customClaims={}] Additional JWT claims
+ * @property {Object} [customClaims={}] Additional JWT claims, which cannot set the `bnd` and `stateRef` claims
  */
 
 /**
@@ -49,6 +50,13 @@ export class StatesManager {
     this._stateGenerationLock = null;
     this._currentGenerationId = null;
 
+    /**
+     * Reference of the latest stored states, retired once replaced by a newer token
+     * @type {string|null}
+     * @private
+     */
+    this._stateRef = null;
+
     // Register core states
     this._registerCoreStates();
   }
@@ -154,16 +162,42 @@ export class StatesManager {
         throw new Error(`State token generation failed: ${errors.join(', ')}`);
       }
 
-      return await new SignJWT({
+      const store = this._starling._helios.stateStore;
+      const stateRef = store ? crypto.randomUUID() : null;
+
+      // Custom claims must not loosen the binding nor point to other stored states
+      const reserved = ['bnd', 'stateRef'].find(claim => Object.hasOwn(options.customClaims || {}, claim));
+      if (reserved) {
+        throw new Error(`Custom claims cannot set the reserved ${reserved} claim`);
+      }
+
+      const keys = this._starling._helios.keys;
+      const bnd = bindingClaims(this._starling, this._starling._helios.options?.tokenBinding);
+      const token = await keys.issue({
         starlingId: this._starling.id,
-        states,
+        ...(store ? { stateRef } : { states }),
         timestamp,
+        ...(bnd ? { bnd } : {}),
         ...options.customClaims
-      })
-        .setProtectedHeader({ alg: 'HS256' })
-        .setIssuedAt()
-        .setExpirationTime(options.expiresIn || '1h')
-        .sign(this._starling._helios.keys.connection);
+      }, { expiresIn: options.expiresIn || '1h' });
+
+      if (store) {
+        const { payload: { exp } } = await keys.verify(token);
+        await store.set(stateRef, {
+          starlingId: this._starling.id,
+          states,
+          timestamp,
+          expiresAt: exp ? exp * 1000 : undefined
+        });
+
+        const previous = this._stateRef;
+        this._stateRef = stateRef;
+        if (previous) {
+          await this._retire(previous);
+        }
+      }
+
+      return token;
 
     } finally {
       if (this._currentGenerationId === generationId) {
@@ -181,17 +215,18 @@ export class StatesManager {
    */
   restore = async (token) => {
     try {
-      const { payload } = await jwtVerify(token, this._starling.helios.keys.connection);
+      const { payload } = await this._starling._helios.keys.verify(token);
       
       if (payload.starlingId !== this._starling.id) {
         throw new Error('Token starling ID mismatch');
       }
 
+      const states = await this.load(payload);
       const errors = [];
       const restoredStates = new Set();
 
       // Restore states from token
-      for (const [namespace, state] of Object.entries(payload.states)) {
+      for (const [namespace, state] of Object.entries(states)) {
         const provider = this._providers.get(namespace);
         const options = this._options.get(namespace);
 
@@ -251,6 +286,11 @@ export class StatesManager {
         throw new Error(errors.join(', '));
       }
 
+      // The states now live in the Starling, its next token stores them again
+      if (payload.stateRef) {
+        await this._retire(payload.stateRef);
+      }
+
     } catch (error) {
       this._starling.helios.events.emit('state:restore:failed', {
         starling: this._starling.id,
@@ -264,6 +304,73 @@ export class StatesManager {
     }
   }
 
+  /**
+   * Loads the states referenced by a verified token payload.
+   * States come from the configured state store when the token carries a
+   * reference, and from the token itself otherwise.
+   * @param {import('jose').JWTPayload} payload Verified token payload
+   * @returns {Promise<Object<string, *>>} States by namespace
+   * @throws {Error} If the referenced states are missing or belong to another Starling
+   */
+  load = async (payload) => {
+    if (!payload.stateRef) {
+      return payload.states || {};
+    }
+
+    const store = this._starling._helios.stateStore;
+    if (!store) {
+      throw new Error('Token references stored states but no state store is configured');
+    }
+
+    const record = await store.get(payload.stateRef);
+    if (!record) {
+      throw new Error('Stored states not found or expired');
+    }
+
+    if (record.starlingId !== payload.starlingId) {
+      throw new Error('Stored states starling ID mismatch');
+    }
+
+    return record.states || {};
+  }
+
+  /**
+   * Deletes stored states that were restored or replaced, once the reuse window of
+   * their token is over, as its replacement may have been lost with the connection
+   * @param {string} ref State reference
+   * @returns {Promise<void>}
+   * @private
+   */
+  _retire = async (ref) => {
+    const delay = this._starling.helios.options?.recovery?.reuseWindow ?? 0;
+    if (delay > 0) {
+      setTimeout(() => this._delete(ref), delay).unref?.();
+      return;
+    }
+    await this._delete(ref);
+  }
+
+  /**
+   * Deletes stored states
+   * @param {string} ref State reference
+   * @returns {Promise<void>}
+   * @private
+   */
+  _delete = async (ref) => {
+    try {
+      await this._starling._helios.stateStore?.delete(ref);
+    } catch (error) {
+      this._starling.helios.events.emit('state:store:failed', {
+        starling: this._starling.id,
+        error,
+        debug: {
+          type: 'warning',
+          message: `Failed to delete stored states ${ref}: ${error.message}`
+        }
+      });
+    }
+  }
+
   /**
    * Notifies the Starling of its current state token
    * @param {StateTokenOptions} [options={}] Token options
@@ -322,6 +429,83 @@ export class StatesManager {
       },
       { required: true }
     );
+
+    // Register identity
+    this.register('identity',
+      // Save
+      async () => this._starling.identity,
+      // Restore
+      async (identity) => {
+        if (!identity) {
+          return;
+        }
+        const starlings = this._starling.helios.starlings;
+
+        // The authenticated connection keeps its claims, but must be the same identity
+        if (this._starling.identity) {
+          if (starlings.identityKey(this._starling.identity) !== starlings.identityKey(identity)) {
+            throw new Error('Recovery token belongs to another identity');
+          }
+          return;
+        }
+
+        starlings.identify(this._starling, identity);
+      },
+      // A conflicting identity fails the whole restore
+      { required: true }
+    );
+
+    // Register room memberships
+    this.register('rooms',
+      // Save
+      async () => this._starling._helios.starlings.rooms.of(this._starling),
+      // Restore, authorized again as the recovering identity may differ from the saving one
+      async (rooms) => {
+        const manager = this._starling.helios.starlings.rooms;
+        for (const room of rooms) {
+          if (await manager.authorize(this._starling, room, 'join')) {
+            manager.join(this._starling, room);
+            continue;
+          }
+
+          this._starling.helios.events.emit('room:restore:denied', {
+            starling: this._starling,
+            room,
+            debug: {
+              type: 'warning',
+              message: `Starling ${this._starling.id} not allowed to rejoin room ${room}`
+            }
+          });
+        }
+      },
+      { validate: (rooms) => Array.isArray(rooms) }
+    );
+
+    // Register topic subscriptions
+    this.register('subscriptions',
+      // Save
+      async () => this._starling._helios.subscriptions.of(this._starling),
+      // Restore, checked, authorized again and within the subscriptions limit
+      async (topics) => {
+        const subscriptions = this._starling.helios.subscriptions;
+        for (const topic of topics) {
+          if (!checkPattern(topic) && !subscriptions.isFull(this._starling) && await subscriptions.authorize(this._starling, topic, 'subscribe')) {
+            subscriptions.subscribe(this._starling, topic);
+            continue;
+          }
+
+          this._starling.helios.events.emit('topic:restore:denied', {
+            starling: this._starling,
+            topic,
+            debug: {
+              type: 'warning',
+              message: `Starling ${this._starling.id} not allowed to resubscribe to ${topic}`
+            }
+          });
+        }
+      },
+      { validate: (topics) => Array.isArray(topics) }
+    );
   }
 
   /**
@@ -0,0 +1,230 @@
+import { createNotification } from "@helios-starling/utils";
+import { matchPattern } from "../utils/patterns.js";
+
+/**
+* @callback TopicAuthorizationHandler
+* @param {import('../core/starling').Starling} starling Starling asking for access
+* @param {string} topic Topic or topic pattern
+* @param {'subscribe'|'unsubscribe'} action Requested action
+* @returns {boolean|Promise<boolean>} Whether the action is allowed
+*/
+
+/**
+* Manages client-driven topic subscriptions.
+* Each subscribed topic or pattern is mirrored as a Bun pub/sub channel on the
+* Starling socket, so publishing fans out natively once the server is running.
+*/
+export class SubscriptionsManager {
+    /**
+    * @param {import('../core/helios').Helios} helios Helios instance
+    */
+    constructor(helios) {
+        /** @private */
+        this._helios = helios;
+        
+        /**
+        * Subscribers of each topic or pattern
+        * @type {Map<string, Set<import('../core/starling').Starling>>}
+        * @private
+        */
+        this._subscribers = new Map();
+        
+        /**
+        * Topics and patterns of each Starling, by Starling ID
+        * @type {Map<string, Set<string>>}
+        * @private
+        */
+        this._subscriptions = new Map();
+        
+        this._helios.events.on('starling:closed', event => this.unsubscribeAll(event.data.starling));
+    }
+    
+    /**
+    * Subscribes a Starling to a topic or pattern
+    * @param {import('../core/starling').Starling} starling Starling instance
+    * @param {string} topic Topic or pattern, e.g. `market:*`
+    * @returns {boolean} Whether the Starling was not already subscribed
+    */
+    subscribe = (starling, topic) => {
+        let subscribers = this._subscribers.get(topic);
+        if (!subscribers) {
+            subscribers = new Set();
+            this._subscribers.set(topic, subscribers);
+        }
+        
+        if (subscribers.has(starling)) {
+            return false;
+        }
+        
+        subscribers.add(starling);
+        
+        let topics = this._subscriptions.get(starling.id);
+        if (!topics) {
+            topics = new Set();
+            this._subscriptions.set(starling.id, topics);
+        }
+        topics.add(topic);
+        
+        starling.ws?.subscribe(topic);
+        
+        this._helios.events.emit('topic:subscribed', {
+            starling,
+            topic,
+            debug: {
+                type: 'info',
+                message: `Starling ${starling.id} subscribed to ${topic}`
+            }
+        });
+        
+        return true;
+    }
+    
+    /**
+    * Unsubscribes a Starling from a topic or pattern
+    * @param {import('../core/starling').Starling} starling Starling instance
+    * @param {string} topic Topic or pattern
+    * @returns {boolean} Whether the Starling was subscribed
+    */
+    unsubscribe = (starling, topic) => {
+        const subscribers = this._subscribers.get(topic);
+        if (!subscribers?.delete(starling)) {
+            return false;
+        }
+        
+        if (subscribers.size === 0) {
+            this._subscribers.delete(topic);
+        }
+        
+        const topics = this._subscriptions.get(starling.id);
+        topics?.delete(topic);
+        if (topics?.size === 0) {
+            this._subscriptions.delete(starling.id);
+        }
+        
+        try {
+            starling.ws?.unsubscribe(topic);
+        } catch (error) {
+            error;
+        }
+        
+        this._helios.events.emit('topic:unsubscribed', {
+            starling,
+            topic,
+            debug: {
+                type: 'info',
+                message: `Starling ${starling.id} unsubscribed from ${topic}`
+            }
+        });
+        
+        return true;
+    }
+    
+    /**
+    * Unsubscribes a Starling from everything
+    * @param {import('../core/starling').Starling} starling Starling instance
+    */
+    unsubscribeAll = (starling) => {
+        for (const topic of this.of(starling)) {
+            this.unsubscribe(starling, topic);
+        }
+    }
+    
+    /**
+    * Re-applies the subscriptions of a Starling on its current socket
+    * @param {import('../core/starling').Starling} starling Starling instance
+    */
+    apply = (starling) => {
+        const ws = starling.ws;
+        if (!ws) {
+            return;
+        }
+        
+        for (const topic of this._subscriptions.get(starling.id) || []) {
+            ws.subscribe(topic);
+        }
+    }
+    
+    /**
+    * Publishes a notification to every Starling subscribed to a matching topic or pattern.
+    * Each Starling receives it once, even when subscribed to several matching patterns.
+    * Disconnected Starlings do not receive published notifications.
+    * @param {string} topic Notification topic
+    * @param {*} data Notification data
+    * @returns {number} Number of matching topics and patterns
+    */
+    publish = (topic, data) => {
+        const patterns = [];
+        for (const pattern of this._subscribers.keys()) {
+            if (matchPattern(pattern, topic)) {
+                patterns.push(pattern);
+            }
+        }
+        
+        // A single channel fans out natively, transports without native publishing (e.g. Node)
+        // and overlapping patterns notify each subscriber instead
+        const server = this._helios.server?.publish ? this._helios.server : null;
+        if (server && patterns.length === 1) {
+            server.publish(patterns[0], JSON.stringify(createNotification(topic, data)));
+            return 1;
+        }
+        
+        const recipients = new Set();
+        for (const pattern of patterns) {
+            for (const starling of this._subscribers.get(pattern)) {
+                recipients.add(starling);
+            }
+        }
+        
+        for (const starling of recipients) {
+            if (starling.isConnected) {
+                starling.notify({ topic, data });
+            }
+        }
+        
+        return patterns.length;
+    }
+    
+    /**
+    * Checks whether a Starling may subscribe to or unsubscribe from a topic
+    * @param {import('../core/starling').Starling} starling Starling instance
+    * @param {string} topic Topic or pattern
+    * @param {'subscribe'|'unsubscribe'} action Requested action
+    * @returns {Promise<boolean>}
+    */
+    authorize = async (starling, topic, action) => {
+        const handler = this._helios.options?.authorizeTopic;
+        if (!handler) {
+            return true;
+        }
+        
+        return Boolean(await handler(starling, topic, action));
+    }
+    
+    /**
+    * Checks whether a Starling reached the `maxSubscriptions` limit (100 by default)
+    * @param {import('../core/starling').Starling} starling Starling instance
+    * @returns {boolean}
+    */
+    isFull = (starling) => {
+        const limit = this._helios.options?.maxSubscriptions ?? 100;
+        return (this._subscriptions.get(starling.id)?.size || 0) >= limit;
+    }
+    
+    /**
+    * Gets the topics and patterns a Starling is subscribed to
+    * @param {import('../core/starling').Starling} starling Starling instance
+    * @returns {string[]}
+    */
+    of = (starling) => {
+        return Array.from(this._subscriptions.get(starling.id) || []);
+    }
+    
+    /**
+    * Gets the subscribers of a topic or pattern
+    * @param {string} topic Topic or pattern
+    * @returns {import('../core/starling').Starling[]}
+    */
+    subscribers = (topic) => {
+        return Array.from(this._subscribers.get(topic) || []);
+    }
+}
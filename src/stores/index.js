@@ -0,0 +1,52 @@
+import { MemoryStateStore } from "./memory.js";
+import { SqliteStateStore } from "./sqlite.js";
+
+/**
+* @typedef {Object} StoredState
+* @property {string} starlingId Owner Starling ID
+* @property {Object<string, *>} states Saved states by namespace
+* @property {number} timestamp Generation timestamp
+* @property {number} [expiresAt] Expiration timestamp in ms
+*/
+
+/**
+* @typedef {Object} StateStore
+* @property {function(string): Promise<StoredState|null>} get Gets a record by reference
+* @property {function(string, StoredState): Promise<void>} set Stores a record
+* @property {function(string): Promise<boolean>} delete Deletes a record
+* @property {function(): Promise<number>} [purge] Removes expired records
+*/
+
+/**
+* @typedef {'memory'|'sqlite'|{type: 'memory'}|({type: 'sqlite'} & import('./sqlite').SqliteStateStoreOptions)|StateStore} StateStoreOption
+*/
+
+/**
+* Resolves the `stateStore` Helios option to a store instance
+* @param {StateStoreOption} [option] Store option
+* @returns {StateStore|null}
+*/
+export const createStateStore = (option) => {
+    if (!option) {
+        return null;
+    }
+    
+    if (typeof option === 'string') {
+        option = { type: option };
+    }
+    
+    if (typeof option.get === 'function' && typeof option.set === 'function' && typeof option.delete === 'function') {
+        return option;
+    }
+    
+    switch (option.type) {
+        case 'memory':
+            return new MemoryStateStore();
+        case 'sqlite':
+            return new SqliteStateStore(option);
+        default:
+            throw new Error(`Unknown state store: ${option.type}`);
+    }
+}
+
+export { MemoryStateStore, SqliteStateStore };
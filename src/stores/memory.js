@@ -0,0 +1,74 @@
+/**
+* @typedef {import('./index').StoredState} StoredState
+*/
+
+/**
+* In-memory state store.
+* States are lost when the process exits.
+*/
+export class MemoryStateStore {
+    constructor() {
+        /**
+        * Stored states by reference
+        * @type {Map<string, StoredState>}
+        * @private
+        */
+        this._records = new Map();
+    }
+    
+    /**
+    * Gets a stored state record
+    * @param {string} ref State reference
+    * @returns {Promise<StoredState|null>}
+    */
+    get = async (ref) => {
+        const record = this._records.get(ref);
+        if (!record) {
+            return null;
+        }
+        
+        if (record.expiresAt && record.expiresAt <= Date.now()) {
+            this._records.delete(ref);
+            return null;
+        }
+        
+        return record;
+    }
+    
+    /**
+    * Stores a state record
+    * @param {string} ref State reference
+    * @param {StoredState} record State record
+    * @returns {Promise<void>}
+    */
+    set = async (ref, record) => {
+        this._records.set(ref, record);
+    }
+    
+    /**
+    * Deletes a stored state record
+    * @param {string} ref State reference
+    * @returns {Promise<boolean>} Whether a record was deleted
+    */
+    delete = async (ref) => {
+        return this._records.delete(ref);
+    }
+    
+    /**
+    * Removes every expired record
+    * @returns {Promise<number>} Number of removed records
+    */
+    purge = async () => {
+        const now = Date.now();
+        let removed = 0;
+        
+        for (const [ref, record] of this._records) {
+            if (record.expiresAt && record.expiresAt <= now) {
+                this._records.delete(ref);
+                removed++;
+            }
+        }
+        
+        return removed;
+    }
+}
@@ -0,0 +1,108 @@
+import { createRequire } from "node:module";
+
+// Loaded on first use, so that importing the stores does not require Bun
+const require = createRequire(import.meta.url);
+
+/**
+* @typedef {import('./index').StoredState} StoredState
+*/
+
+/**
+* @typedef {Object} SqliteStateStoreOptions
+* @property {string} [path=':memory:'] Database file path
+* @property {string} [table='helios_states'] Table name
+*/
+
+/**
+* State store backed by a bun:sqlite database, only available under Bun.
+* States survive process restarts when a file path is used.
+*/
+export class SqliteStateStore {
+    /**
+    * @param {SqliteStateStoreOptions} [options={}] Store options
+    */
+    constructor(options = {}) {
+        const table = options.table || 'helios_states';
+        
+        if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(table)) {
+            throw new Error(`Invalid state store table name: ${table}`);
+        }
+        
+        if (!globalThis.Bun) {
+            throw new Error('The sqlite state store requires Bun');
+        }
+        
+        const { Database } = require('bun:sqlite');
+        
+        /** @private */
+        this._db = new Database(options.path || ':memory:', { create: true });
+        
+        this._db.run(`CREATE TABLE IF NOT EXISTS ${table} (
+            ref TEXT PRIMARY KEY,
+            starling_id TEXT NOT NULL,
+            data TEXT NOT NULL,
+            expires_at INTEGER
+        )`);
+        
+        /** @private */
+        this._statements = {
+            get: this._db.query(`SELECT data, expires_at FROM ${table} WHERE ref = ?`),
+            set: this._db.query(`INSERT OR REPLACE INTO ${table} (ref, starling_id, data, expires_at) VALUES (?, ?, ?, ?)`),
+            delete: this._db.query(`DELETE FROM ${table} WHERE ref = ?`),
+            purge: this._db.query(`DELETE FROM ${table} WHERE expires_at IS NOT NULL AND expires_at <= ?`)
+        };
+    }
+    
+    /**
+    * Gets a stored state record
+    * @param {string} ref State reference
+    * @returns {Promise<StoredState|null>}
+    */
+    get = async (ref) => {
+        const row = this._statements.get.get(ref);
+        if (!row) {
+            return null;
+        }
+        
+        if (row.expires_at && row.expires_at <= Date.now()) {
+            this._statements.delete.run(ref);
+            return null;
+        }
+        
+        return JSON.parse(row.data);
+    }
+    
+    /**
+    * Stores a state record
+    * @param {string} ref State reference
+    * @param {StoredState} record State record
+    * @returns {Promise<void>}
+    */
+    set = async (ref, record) => {
+        this._statements.set.run(ref, record.starlingId, JSON.stringify(record), record.expiresAt || null);
+    }
+    
+    /**
+    * Deletes a stored state record
+    * @param {string} ref State reference
+    * @returns {Promise<boolean>} Whether a record was deleted
+    */
+    delete = async (ref) => {
+        return this._statements.delete.run(ref).changes > 0;
+    }
+    
+    /**
+    * Removes every expired record
+    * @returns {Promise<number>} Number of removed records
+    */
+    purge = async () => {
+        return this._statements.purge.run(Date.now()).changes;
+    }
+    
+    /**
+    * Closes the underlying database
+    */
+    close = () => {
+        this._db.close();
+    }
+}
@@ -0,0 +1,3 @@
+export { MockWebSocket } from './websocket.js';
+export { MockStarling } from './starling.js';
+export { FakeTimers } from './timers.js';
@@ -0,0 +1,337 @@
+import { createErrorResponse, createNotification, createRequest, createSuccessResponse } from "@helios-starling/utils";
+import { MockWebSocket } from "./websocket.js";
+
+/**
+* @typedef {Object} MockStarlingOptions
+* @property {Object<string, string>} [headers={}] Headers of the upgrade request, seen by `authenticate`
+* @property {string} [url='http://localhost/'] URL of the upgrade request
+* @property {string} [ip='127.0.0.1'] Client IP
+* @property {Object|null} [identity] Identity attached without going through `authenticate`
+* @property {number} [timeout=5000] Default request timeout in ms
+*/
+
+/**
+* @typedef {Object} ReceivedNotification
+* @property {string} topic Notification topic
+* @property {*} data Notification data
+*/
+
+/**
+* @callback MockMethodHandler
+* @param {*} payload Request payload
+* @param {Object} message Raw request message
+* @returns {*|Promise<*>} Response data, a thrown error answers with an error response
+*/
+
+/**
+* Notifications carrying a new recovery token
+*/
+const TOKEN_TOPICS = ['connection:recovered', 'state:token', 'server:shutdown'];
+
+/**
+* Converts a refused upgrade into an error
+* @param {Response} response Refusal
+* @returns {Promise<Error>} Error with the response `status`
+*/
+const upgradeError = async (response) => {
+    const error = new Error(`Upgrade refused: ${await response.text()}`);
+    error.status = response.status;
+    return error;
+}
+
+/**
+* In-process client connected to a Helios server through a MockWebSocket
+*/
+export class MockStarling {
+    /**
+    * @param {import('../core/helios').Helios} helios Helios instance
+    * @param {MockStarlingOptions} [options={}] Client options
+    */
+    constructor(helios, options = {}) {
+        /** @private */
+        this._helios = helios;
+        
+        /** @private */
+        this._options = {
+            headers: {},
+            url: 'http://localhost/',
+            ip: '127.0.0.1',
+            timeout: 5000,
+            ...options
+        };
+        
+        /**
+        * Current socket, null until connected
+        * @type {MockWebSocket|null}
+        */
+        this.ws = null;
+        
+        /**
+        * Latest recovery token received
+        * @type {string|null}
+        */
+        this.token = null;
+        
+        /**
+        * Every message received, parsed when JSON
+        * @type {Array<Object|ArrayBuffer|Uint8Array>}
+        */
+        this.messages = [];
+        
+        /**
+        * Notifications received
+        * @type {ReceivedNotification[]}
+        */
+        this.notifications = [];
+        
+        /** @private @type {Map<string, {resolve: Function, reject: Function, timer: *}>} */
+        this._pending = new Map();
+        
+        /** @private @type {Map<string, MockMethodHandler>} */
+        this._methods = new Map();
+        
+        /** @private @type {Set<{topic: string, handler: function(ReceivedNotification): void}>} */
+        this._listeners = new Set();
+    }
+    
+    /**
+    * Opens a connection through `helios.fetch()`, going through the connection limits
+    * and authentication like a real upgrade
+    * @param {Object} [options={}]
+    * @param {string|null} [options.recover] Recovery token to present
+    * @returns {Promise<MockStarling>}
+    * @throws {Error} With the response `status` when the upgrade is refused
+    */
+    connect = async ({ recover = null } = {}) => {
+        const { headers, url, ip, identity } = this._options;
+        const request = new Request(url, {
+            headers: { ...headers, upgrade: 'websocket', connection: 'Upgrade' }
+        });
+        
+        // The connection holds an admission slot, released by the close handler
+        const refused = await this._helios.fetch(request, {
+            ip,
+            upgrade: (data) => {
+                if (recover) data.recover = recover;
+                if (identity !== undefined) data.identity = identity;
+                
+                this.ws = new MockWebSocket(this._helios, {
+                    data,
+                    remoteAddress: ip,
+                    onMessage: this._receive
+                });
+                return true;
+            }
+        });
+        if (refused) {
+            throw await upgradeError(refused);
+        }
+        
+        await this._helios.handlers.open(this.ws);
+        return this;
+    }
+    
+    /**
+    * Drops the connection from the client side, the server keeps the Starling for recovery
+    * @param {number} [code=1000] Close code
+    * @param {string} [reason='Connection lost'] Close reason
+    */
+    disconnect = (code = 1000, reason = 'Connection lost') => {
+        this.ws?.close(code, reason);
+    }
+    
+    /**
+    * Reconnects with a recovery token
+    * @param {string} [token] Token to present, the latest received by default
+    * @returns {Promise<MockStarling>}
+    */
+    recover = (token = this.token) => {
+        if (this.ws?.readyState === 1) {
+            this.disconnect();
+        }
+        return this.connect({ recover: token });
+    }
+    
+    /**
+    * Asks the server for a fresh recovery token
+    * @returns {Promise<string>}
+    */
+    refreshToken = async () => {
+        const response = await this.request('starling:state');
+        this.token = response.data?.token || this.token;
+        return this.token;
+    }
+    
+    /**
+    * Sends a request and waits for its response
+    * @param {string} method Method name
+    * @param {*} [payload] Request payload
+    * @param {Object} [options={}]
+    * @param {number} [options.timeout] Timeout in ms
+    * @returns {Promise<Object>} Response message, with `success` and `data` or `error`
+    */
+    request = (method, payload, { timeout = this._options.timeout } = {}) => {
+        const requestId = crypto.randomUUID();
+        
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this._pending.delete(requestId);
+                reject(new Error(`Request ${method} timed out after ${timeout}ms`));
+            }, timeout);
+            
+            this._pending.set(requestId, { resolve, reject, timer });
+            
+            try {
+                this._send(createRequest(method, payload, { requestId }));
+            } catch (error) {
+                clearTimeout(timer);
+                this._pending.delete(requestId);
+                reject(error);
+            }
+        });
+    }
+    
+    /**
+    * Sends a notification to the server
+    * @param {string} topic Notification topic
+    * @param {*} [data] Notification data
+    */
+    notify = (topic, data) => {
+        this._send(createNotification(topic, data));
+    }
+    
+    /**
+    * Answers the requests the server sends to this client, e.g. proxied ones
+    * @param {string} method Method name
+    * @param {MockMethodHandler} handler Handler
+    */
+    handle = (method, handler) => {
+        this._methods.set(method, handler);
+    }
+    
+    /**
+    * Listens to notifications
+    * @param {string} topic Notification topic
+    * @param {function(ReceivedNotification): void} handler Handler
+    * @returns {function(): void} Removes the listener
+    */
+    on = (topic, handler) => {
+        const listener = { topic, handler };
+        this._listeners.add(listener);
+        return () => this._listeners.delete(listener);
+    }
+    
+    /**
+    * Waits for a notification
+    * @param {string} topic Notification topic
+    * @param {Object} [options={}]
+    * @param {number} [options.timeout] Timeout in ms
+    * @returns {Promise<ReceivedNotification>}
+    */
+    waitFor = (topic, { timeout = this._options.timeout } = {}) => {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                off();
+                reject(new Error(`No ${topic} notification after ${timeout}ms`));
+            }, timeout);
+            
+            const off = this.on(topic, notification => {
+                clearTimeout(timer);
+                off();
+                resolve(notification);
+            });
+        });
+    }
+    
+    /**
+    * Gets the server-side Starling of this client
+    * @returns {import('../core/starling').Starling|undefined}
+    */
+    get starling() {
+        return this.ws ? this._helios.starlings.get(this.ws) : undefined;
+    }
+    
+    /**
+    * Whether the client is connected
+    */
+    get connected() {
+        return this.ws?.readyState === 1;
+    }
+    
+    /**
+    * @private
+    */
+    _send = (message) => {
+        if (!this.ws) {
+            throw new Error('MockStarling is not connected');
+        }
+        this.ws.receive(JSON.stringify(message));
+    }
+    
+    /**
+    * Handles a message sent by the server
+    * @private
+    */
+    _receive = (raw) => {
+        let message = raw;
+        if (typeof raw === 'string') {
+            try {
+                message = JSON.parse(raw);
+            } catch {
+                message = raw;
+            }
+        }
+        this.messages.push(message);
+        
+        switch (message?.type) {
+            case 'response': {
+                const pending = this._pending.get(message.requestId);
+                if (pending) {
+                    clearTimeout(pending.timer);
+                    this._pending.delete(message.requestId);
+                    pending.resolve(message);
+                }
+                break;
+            }
+            case 'notification': {
+                const { topic, data } = message.notification || message;
+                const notification = { topic, data };
+                
+                if (TOKEN_TOPICS.includes(topic) && data?.token) {
+                    this.token = data.token;
+                }
+                
+                this.notifications.push(notification);
+                for (const listener of this._listeners) {
+                    if (listener.topic === topic) {
+                        listener.handler(notification);
+                    }
+                }
+                break;
+            }
+            case 'request':
+                this._answer(message);
+                break;
+        }
+    }
+    
+    /**
+    * Answers a request sent by the server
+    * @private
+    */
+    _answer = async (message) => {
+        const handler = this._methods.get(message.method);
+        
+        if (!handler) {
+            this._send(createErrorResponse(message.requestId, 'METHOD_NOT_FOUND', `Method ${message.method} not found`));
+            return;
+        }
+        
+        try {
+            const data = await handler(message.payload, message);
+            this._send(createSuccessResponse(message.requestId, data));
+        } catch (error) {
+            this._send(createErrorResponse(message.requestId, error.code || 'METHOD_ERROR', error.message, error.details));
+        }
+    }
+}
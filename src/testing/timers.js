@@ -0,0 +1,162 @@
+/**
+* @typedef {Object} FakeTimer
+* @property {number} id Timer ID
+* @property {number} at Time the timer fires at
+* @property {function(...*): void} callback Callback
+* @property {Array<*>} args Callback arguments
+* @property {number|null} interval Interval of repeating timers
+*/
+
+/**
+* Controllable replacement of the global timers and clock, to fast-forward
+* through `disconnectionTTL`, proxy timeouts and token expirations
+*/
+export class FakeTimers {
+    /**
+    * @param {Object} [options={}]
+    * @param {number} [options.now=Date.now()] Initial time
+    */
+    constructor({ now = Date.now() } = {}) {
+        /** @private */
+        this._now = now;
+        
+        /** @private */
+        this._nextId = 1;
+        
+        /**
+        * Pending timers
+        * @type {Map<number, FakeTimer>}
+        * @private
+        */
+        this._timers = new Map();
+        
+        /** @private */
+        this._originals = null;
+    }
+    
+    /**
+    * Replaces the global timers and `Date.now()`
+    * @returns {FakeTimers}
+    */
+    install = () => {
+        if (this._originals) {
+            return this;
+        }
+        
+        this._originals = {
+            setTimeout: globalThis.setTimeout,
+            clearTimeout: globalThis.clearTimeout,
+            setInterval: globalThis.setInterval,
+            clearInterval: globalThis.clearInterval,
+            now: Date.now
+        };
+        
+        globalThis.setTimeout = (callback, delay = 0, ...args) => this._schedule(callback, delay, args, null);
+        globalThis.setInterval = (callback, delay = 0, ...args) => this._schedule(callback, delay, args, Math.max(1, delay));
+        globalThis.clearTimeout = globalThis.clearInterval = (timer) => {
+            this._timers.delete(typeof timer === 'object' ? timer?.id : timer);
+        };
+        Date.now = () => this._now;
+        
+        return this;
+    }
+    
+    /**
+    * Restores the global timers and `Date.now()`
+    */
+    uninstall = () => {
+        if (!this._originals) {
+            return;
+        }
+        
+        const { now, ...timers } = this._originals;
+        Object.assign(globalThis, timers);
+        Date.now = now;
+        this._originals = null;
+    }
+    
+    /**
+    * Moves the clock forward, firing the timers due on the way
+    * @param {number} ms Time to advance in ms
+    * @returns {Promise<void>} Resolves once the callbacks and their pending promises ran
+    */
+    advance = async (ms) => {
+        const target = this._now + ms;
+        
+        for (let timer = this._next(target); timer; timer = this._next(target)) {
+            this._now = timer.at;
+            
+            if (timer.interval) {
+                timer.at += timer.interval;
+            } else {
+                this._timers.delete(timer.id);
+            }
+            
+            timer.callback(...timer.args);
+            await this._flush();
+        }
+        
+        this._now = target;
+        await this._flush();
+    }
+    
+    /**
+    * Fires every pending timeout, intervals excluded
+    * @returns {Promise<void>}
+    */
+    runAll = async () => {
+        const timeouts = Array.from(this._timers.values()).filter(timer => !timer.interval);
+        if (timeouts.length) {
+            await this.advance(Math.max(...timeouts.map(timer => timer.at)) - this._now);
+        }
+    }
+    
+    /**
+    * Gets the current fake time
+    */
+    get now() {
+        return this._now;
+    }
+    
+    /**
+    * Gets the number of pending timers
+    */
+    get pending() {
+        return this._timers.size;
+    }
+    
+    /**
+    * @private
+    */
+    _schedule = (callback, delay, args, interval) => {
+        const id = this._nextId++;
+        this._timers.set(id, { id, at: this._now + Math.max(0, delay), callback, args, interval });
+        
+        // Mimics the Timer objects of Bun and Node
+        return { id, unref() { return this; }, ref() { return this; }, hasRef: () => true, [Symbol.toPrimitive]: () => id };
+    }
+    
+    /**
+    * Gets the next timer due before a time
+    * @private
+    */
+    _next = (target) => {
+        let next = null;
+        for (const timer of this._timers.values()) {
+            if (timer.at <= target && (!next || timer.at < next.at)) {
+                next = timer;
+            }
+        }
+        return next;
+    }
+    
+    /**
+    * Lets pending promise callbacks run
+    * @private
+    */
+    _flush = async () => {
+        for (let i = 0; i < 10; i++) {
+            await Promise.resolve();
+        }
+    }
+}
@@ -0,0 +1,137 @@
+/**
+* @typedef {Object} MockWebSocketOptions
+* @property {Object} [data={}] Upgrade data, as returned by the fetch handler
+* @property {string} [remoteAddress='127.0.0.1'] Client address
+* @property {function(string|ArrayBuffer|Uint8Array): void} [onMessage] Receives the messages sent by the server
+*/
+
+/**
+* In-process stand-in for Bun's `ServerWebSocket`, plugged into `helios.handlers`
+*/
+export class MockWebSocket {
+    /**
+    * @param {import('../core/helios').Helios} helios Helios instance
+    * @param {MockWebSocketOptions} [options={}] Socket options
+    */
+    constructor(helios, options = {}) {
+        /** @private */
+        this._helios = helios;
+        
+        /** @private */
+        this._onMessage = options.onMessage || null;
+        
+        /** Upgrade data */
+        this.data = options.data || {};
+        
+        /** Client address */
+        this.remoteAddress = options.remoteAddress || '127.0.0.1';
+        
+        /** 1 while open, 3 once closed */
+        this.readyState = 1;
+        
+        /**
+        * Messages sent by the server
+        * @type {Array<string|ArrayBuffer|Uint8Array>}
+        */
+        this.sent = [];
+        
+        /**
+        * Close code and reason, once closed
+        * @type {{code: number, reason: string}|null}
+        */
+        this.closed = null;
+        
+        /** @private @type {Set<string>} */
+        this._topics = new Set();
+    }
+    
+    /**
+    * Sends a message to the client
+    * @param {string|ArrayBuffer|Uint8Array} message Message
+    * @returns {number} Bytes sent, 0 once closed
+    */
+    send = (message) => {
+        if (this.readyState !== 1) {
+            return 0;
+        }
+        
+        this.sent.push(message);
+        this._onMessage?.(message);
+        return typeof message === 'string' ? message.length : message.byteLength;
+    }
+    
+    /**
+    * Closes the connection from the server side, like `ServerWebSocket.close()`
+    * @param {number} [code=1000] Close code
+    * @param {string} [reason=''] Close reason
+    */
+    close = (code = 1000, reason = '') => {
+        if (this.readyState !== 1) {
+            return;
+        }
+        
+        this.readyState = 3;
+        this.closed = { code, reason };
+        this._helios.handlers.close(this, code, reason);
+    }
+    
+    /**
+    * Closes the connection abruptly
+    */
+    terminate = () => {
+        this.close(1006, 'Terminated');
+    }
+    
+    /**
+    * Delivers a message from the client to the server
+    * @param {string|ArrayBuffer|Uint8Array} message Message
+    */
+    receive = (message) => {
+        if (this.readyState !== 1) {
+            throw new Error('WebSocket is closed');
+        }
+        
+        this._helios.handlers.message(this, message);
+    }
+    
+    /**
+    * Subscribes to a topic
+    * @param {string} topic Topic
+    */
+    subscribe = (topic) => {
+        this._topics.add(topic);
+    }
+    
+    /**
+    * Unsubscribes from a topic
+    * @param {string} topic Topic
+    */
+    unsubscribe = (topic) => {
+        this._topics.delete(topic);
+    }
+    
+    /**
+    * Checks if subscribed to a topic
+    * @param {string} topic Topic
+    * @returns {boolean}
+    */
+    isSubscribed = (topic) => {
+        return this._topics.has(topic);
+    }
+    
+    /**
+    * Runs a callback, batching its sends in Bun
+    * @param {function(MockWebSocket): *} callback Callback
+    */
+    cork = (callback) => {
+        return callback(this);
+    }
+    
+    /**
+    * Gets the subscribed topics
+    * @returns {string[]}
+    */
+    get subscriptions() {
+        return Array.from(this._topics);
+    }
+}
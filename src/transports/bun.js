@@ -0,0 +1,20 @@
+/**
+* Transport serving with `Bun.serve`, whose sockets and server are used as is
+* @type {import('./index').Transport}
+*/
+export const bunTransport = {
+    name: 'bun',
+    
+    listen: ({ port, hostname, tls, websocketOptions, fetch, websocket }) => {
+        return Bun.serve({
+            ...(port !== undefined ? { port } : {}),
+            ...(hostname ? { hostname } : {}),
+            ...(tls ? { tls } : {}),
+            fetch: (req, server) => fetch(req, {
+                ip: server.requestIP(req)?.address ?? null,
+                upgrade: data => server.upgrade(req, { data })
+            }),
+            websocket: { ...websocketOptions, ...websocket }
+        });
+    }
+};
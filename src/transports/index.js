@@ -0,0 +1,82 @@
+import { bunTransport } from "./bun.js";
+import { nodeTransport } from "./node.js";
+import { LoopbackTransport } from "./loopback.js";
+
+/**
+* WebSocket connection as seen by the Helios handlers, modeled on Bun's `ServerWebSocket`
+* @typedef {Object} TransportSocket
+* @property {import('../core/upgrade').UpgradeData} data Upgrade data
+* @property {string} [remoteAddress] Client address
+* @property {number} readyState 1 while open
+* @property {function(string|ArrayBuffer|Uint8Array): number} send Sends a message
+* @property {function(number=, string=): void} close Closes the connection
+* @property {function(string): void} subscribe Subscribes to a topic
+* @property {function(string): void} unsubscribe Unsubscribes from a topic
+* @property {function(string): boolean} isSubscribed Checks a subscription
+*/
+
+/**
+* @typedef {Object} TransportRequestContext
+* @property {string|null} [ip] Client IP
+* @property {function(import('../core/upgrade').UpgradeData): boolean} [upgrade] Upgrades the request to a WebSocket with the given data
+*/
+
+/**
+* @callback TransportFetchHandler
+* @param {Request} req HTTP request
+* @param {TransportRequestContext} [context] Request context
+* @returns {Promise<Response|undefined>} Undefined once upgraded
+*/
+
+/**
+* @typedef {Object} TransportListenOptions
+* @property {number} [port] Port to listen on
+* @property {string} [hostname] Interface to listen on
+* @property {import('../core/http').TlsOptions} [tls] TLS certificates
+* @property {import('../core/http').WebSocketTuning} [websocketOptions] WebSocket tuning
+* @property {TransportFetchHandler} fetch HTTP handler, `helios.fetch`
+* @property {Object} websocket WebSocket handlers, `helios.handlers`
+*/
+
+/**
+* Running server of a transport
+* @typedef {Object} TransportServer
+* @property {number} [port] Listening port
+* @property {string|URL} [url] Server URL
+* @property {function(boolean=): void} stop Stops listening, and closes the open connections when true
+* @property {function(string, string): *} [publish] Publishes to the sockets subscribed to a topic, when natively supported
+*/
+
+/**
+* @typedef {Object} Transport
+* @property {string} name Transport name
+* @property {function(TransportListenOptions): TransportServer|Promise<TransportServer>} listen Starts serving
+*/
+
+/**
+* @typedef {'bun'|'node'|'loopback'|Transport} TransportOption
+*/
+
+/**
+* Resolves the transport option, defaulting to Bun when running under Bun and to Node otherwise
+* @param {TransportOption} [option] Transport option
+* @returns {Transport}
+*/
+export const resolveTransport = (option) => {
+    if (option && typeof option === 'object') {
+        return option;
+    }
+    
+    switch (option ?? (globalThis.Bun ? 'bun' : 'node')) {
+        case 'bun':
+            return bunTransport;
+        case 'node':
+            return nodeTransport;
+        case 'loopback':
+            return new LoopbackTransport();
+        default:
+            throw new Error(`Unknown transport: ${option}`);
+    }
+}
+
+export { bunTransport, nodeTransport, LoopbackTransport };
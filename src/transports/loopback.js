@@ -0,0 +1,260 @@
+/**
+* @typedef {Object} LoopbackConnectOptions
+* @property {Object<string, string>} [headers={}] Headers of the upgrade request
+* @property {string} [ip='127.0.0.1'] Client IP
+*/
+
+/**
+* Server side of an in-process connection
+*/
+export class LoopbackServerSocket {
+    /**
+    * @param {LoopbackClient} client Client side
+    * @param {import('../core/upgrade').UpgradeData} data Upgrade data
+    * @param {string} remoteAddress Client address
+    */
+    constructor(client, data, remoteAddress) {
+        /** @private */
+        this._client = client;
+
+        /** Upgrade data */
+        this.data = data;
+
+        /** Client address */
+        this.remoteAddress = remoteAddress;
+
+        /** @private @type {Set<string>} */
+        this._topics = new Set();
+    }
+
+    /**
+    * Sends a message to the client
+    * @param {string|ArrayBuffer|Uint8Array} message Message
+    * @returns {number} Bytes sent, 0 once closed
+    */
+    send = (message) => {
+        if (this.readyState !== 1) {
+            return 0;
+        }
+
+        this._client.onmessage?.(message);
+        return typeof message === 'string' ? message.length : message.byteLength;
+    }
+
+    /**
+    * Closes the connection from the server side
+    * @param {number} [code=1000] Close code
+    * @param {string} [reason=''] Close reason
+    */
+    close = (code = 1000, reason = '') => {
+        this._client._closed(code, reason);
+    }
+
+    /**
+    * Subscribes to a topic
+    * @param {string} topic Topic
+    */
+    subscribe = (topic) => {
+        this._topics.add(topic);
+    }
+
+    /**
+    * Unsubscribes from a topic
+    * @param {string} topic Topic
+    */
+    unsubscribe = (topic) => {
+        this._topics.delete(topic);
+    }
+
+    /**
+    * Checks if subscribed to a topic
+    * @param {string} topic Topic
+    * @returns {boolean}
+    */
+    isSubscribed = (topic) => {
+        return this._topics.has(topic);
+    }
+
+    /**
+    * Runs a callback, for parity with Bun
+    * @param {function(LoopbackServerSocket): *} callback Callback
+    */
+    cork = (callback) => {
+        return callback(this);
+    }
+
+    /**
+    * Gets the connection state
+    */
+    get readyState() {
+        return this._client.readyState;
+    }
+}
+
+/**
+* Client side of an in-process connection
+*/
+export class LoopbackClient {
+    /**
+    * @param {Object} websocket Helios WebSocket handlers
+    * @param {function(LoopbackClient): void} [onClosed] Called once closed
+    */
+    constructor(websocket, onClosed) {
+        /** @private */
+        this._websocket = websocket;
+
+        /** @private */
+        this._onClosed = onClosed;
+
+        /** 1 while open, 3 once closed */
+        this.readyState = 1;
+
+        /**
+        * Receives the messages sent by the server
+        * @type {function(string|ArrayBuffer|Uint8Array): void|null}
+        */
+        this.onmessage = null;
+
+        /**
+        * Called once the connection is closed, from either side
+        * @type {function(number, string): void|null}
+        */
+        this.onclose = null;
+
+        /**
+        * Server side of the connection
+        * @type {LoopbackServerSocket|null}
+        */
+        this.socket = null;
+    }
+
+    /**
+    * Sends a message to the server
+    * @param {string|ArrayBuffer|Uint8Array} message Message
+    */
+    send = (message) => {
+        if (this.readyState !== 1) {
+            throw new Error('Loopback connection is closed');
+        }
+        this._websocket.message(this.socket, message);
+    }
+
+    /**
+    * Closes the connection from the client side
+    * @param {number} [code=1000] Close code
+    * @param {string} [reason=''] Close reason
+    */
+    close = (code = 1000, reason = '') => {
+        this._closed(code, reason);
+    }
+
+    /**
+    * @private
+    */
+    _closed = (code, reason) => {
+        if (this.readyState !== 1) {
+            return;
+        }
+
+        this.readyState = 3;
+        this._websocket.close(this.socket, code, reason);
+        this._onClosed?.(this);
+        this.onclose?.(code, reason);
+    }
+}
+
+/**
+* In-process transport: requests and connections are made from the same process,
+* through `fetch()` and `connect()`, without opening a port
+*/
+export class LoopbackTransport {
+    constructor() {
+        /** Transport name */
+        this.name = 'loopback';
+
+        /** @private @type {import('./index').TransportListenOptions|null} */
+        this._listening = null;
+
+        /** @private @type {Set<LoopbackClient>} */
+        this._clients = new Set();
+    }
+
+    /**
+    * Starts serving
+    * @param {import('./index').TransportListenOptions} options Listen options
+    * @returns {import('./index').TransportServer}
+    */
+    listen = (options) => {
+        this._listening = options;
+
+        return {
+            port: options.port,
+            url: 'http://localhost/',
+            stop: (closeActiveConnections = false) => {
+                this._listening = null;
+                if (closeActiveConnections) {
+                    for (const client of this._clients) {
+                        client.close(1001, 'Server stopped');
+                    }
+                }
+            }
+        };
+    }
+
+    /**
+    * Sends an HTTP request to the server
+    * @param {Request|string} input Request, or path
+    * @param {RequestInit & {ip?: string}} [init] Request options
+    * @returns {Promise<Response>}
+    */
+    fetch = async (input, { ip = '127.0.0.1', ...init } = {}) => {
+        const { fetch } = this._server();
+        const req = input instanceof Request ? input : new Request(new URL(input, 'http://localhost/'), init);
+
+        return (await fetch(req, { ip, upgrade: () => false })) || new Response('Upgrade required', { status: 426 });
+    }
+
+    /**
+    * Opens an in-process WebSocket connection
+    * @param {string} [path='/'] Upgrade path, with its query string
+    * @param {LoopbackConnectOptions} [options={}] Connection options
+    * @returns {Promise<LoopbackClient>}
+    * @throws {Error} With the response `status` when the upgrade is refused
+    */
+    connect = async (path = '/', { headers = {}, ip = '127.0.0.1' } = {}) => {
+        const { fetch, websocket } = this._server();
+        const client = new LoopbackClient(websocket, closed => this._clients.delete(closed));
+
+        const request = new Request(new URL(path, 'http://localhost/'), {
+            headers: { ...headers, upgrade: 'websocket', connection: 'Upgrade' }
+        });
+        const response = await fetch(request, {
+            ip,
+            upgrade: data => {
+                client.socket = new LoopbackServerSocket(client, data, ip);
+                return true;
+            }
+        });
+
+        if (response) {
+            const error = new Error(`Upgrade refused: ${await response.text()}`);
+            error.status = response.status;
+            throw error;
+        }
+
+        this._clients.add(client);
+
+        await websocket.open(client.socket);
+        return client;
+    }
+
+    /**
+    * @private
+    */
+    _server = () => {
+        if (!this._listening) {
+            throw new Error('Loopback transport is not listening');
+        }
+        return this._listening;
+    }
+}
@@ -0,0 +1,243 @@
+import { STATUS_CODES } from "node:http";
+import { Readable } from "node:stream";
+
+/**
+* Adapts a `ws` WebSocket to the `ServerWebSocket` interface the Helios handlers expect.
+* Topics are tracked locally, publishing falls back to notifying each subscriber.
+*/
+export class NodeServerWebSocket {
+    /**
+    * @param {import('ws').WebSocket} ws `ws` socket
+    * @param {import('../core/upgrade').UpgradeData} data Upgrade data
+    * @param {string|null} remoteAddress Client address
+    */
+    constructor(ws, data, remoteAddress) {
+        /** @private */
+        this._ws = ws;
+
+        /** Upgrade data */
+        this.data = data;
+
+        /** Client address */
+        this.remoteAddress = remoteAddress;
+
+        /** @private @type {Set<string>} */
+        this._topics = new Set();
+    }
+
+    /**
+    * Sends a message
+    * @param {string|ArrayBuffer|Uint8Array} message Message
+    * @returns {number} Bytes sent, 0 when the socket is not open
+    */
+    send = (message) => {
+        if (this._ws.readyState !== 1) {
+            return 0;
+        }
+
+        this._ws.send(message);
+        return typeof message === 'string' ? Buffer.byteLength(message) : message.byteLength;
+    }
+
+    /**
+    * Closes the connection
+    * @param {number} [code] Close code
+    * @param {string} [reason] Close reason
+    */
+    close = (code, reason) => {
+        this._ws.close(code, reason);
+    }
+
+    /**
+    * Subscribes to a topic
+    * @param {string} topic Topic
+    */
+    subscribe = (topic) => {
+        this._topics.add(topic);
+    }
+
+    /**
+    * Unsubscribes from a topic
+    * @param {string} topic Topic
+    */
+    unsubscribe = (topic) => {
+        this._topics.delete(topic);
+    }
+
+    /**
+    * Checks if subscribed to a topic
+    * @param {string} topic Topic
+    * @returns {boolean}
+    */
+    isSubscribed = (topic) => {
+        return this._topics.has(topic);
+    }
+
+    /**
+    * Runs a callback, for parity with Bun
+    * @param {function(NodeServerWebSocket): *} callback Callback
+    */
+    cork = (callback) => {
+        return callback(this);
+    }
+
+    /**
+    * Gets the connection state
+    */
+    get readyState() {
+        return this._ws.readyState;
+    }
+}
+
+/**
+* Converts a Node request into a Fetch API request
+* @param {import('node:http').IncomingMessage} req Node request
+* @param {boolean} [withBody=true] Whether to stream the body
+* @returns {Request}
+*/
+const toRequest = (req, withBody = true) => {
+    const headers = new Headers();
+    for (const [name, value] of Object.entries(req.headers)) {
+        if (value !== undefined) {
+            headers.set(name, Array.isArray(value) ? value.join(', ') : value);
+        }
+    }
+
+    const hasBody = withBody && req.method !== 'GET' && req.method !== 'HEAD';
+
+    return new Request(`http://${req.headers.host || 'localhost'}${req.url}`, {
+        method: req.method,
+        headers,
+        ...(hasBody ? { body: Readable.toWeb(req), duplex: 'half' } : {})
+    });
+}
+
+/**
+* Writes a Fetch API response to a Node response
+* @param {import('node:http').ServerResponse} res Node response
+* @param {Response} response Response
+*/
+const writeResponse = async (res, response) => {
+    const body = Buffer.from(await response.arrayBuffer());
+    res.writeHead(response.status, Object.fromEntries(response.headers));
+    res.end(body);
+}
+
+/**
+* Writes a Fetch API response on a raw socket, refusing an upgrade
+* @param {import('node:stream').Duplex} socket Raw socket
+* @param {Response} response Response
+*/
+const refuseUpgrade = async (socket, response) => {
+    const body = Buffer.from(await response.arrayBuffer());
+    const headers = [...response.headers]
+    .filter(([name]) => name !== 'content-length' && name !== 'connection')
+    .map(([name, value]) => `${name}: ${value}\r\n`)
+    .join('');
+
+    socket.write(`HTTP/1.1 ${response.status} ${STATUS_CODES[response.status] || ''}\r\n${headers}Content-Length: ${body.length}\r\nConnection: close\r\n\r\n`);
+    socket.end(body);
+}
+
+/**
+* Reads the Blob values of the TLS options, which `node:https` does not accept
+* @param {import('../core/http').TlsOptions} tls TLS options
+* @returns {Promise<Object>} Options for `https.createServer`
+*/
+const readTls = async (tls) => {
+    const options = { ...tls };
+    for (const name of ['cert', 'key', 'ca']) {
+        if (options[name] instanceof Blob) {
+            options[name] = Buffer.from(await options[name].arrayBuffer());
+        }
+    }
+    return options;
+}
+
+/**
+* Transport serving with `node:http` and the `ws` package, which must be installed
+* @type {import('./index').Transport}
+*/
+export const nodeTransport = {
+    name: 'node',
+
+    listen: async ({ port, hostname, tls, websocketOptions = {}, fetch, websocket }) => {
+        const { createServer } = await import(tls ? 'node:https' : 'node:http');
+        const { WebSocketServer } = await import('ws').catch(() => {
+            throw new Error('The node transport requires the "ws" package');
+        });
+
+        const wss = new WebSocketServer({
+            noServer: true,
+            maxPayload: websocketOptions.maxPayloadLength ?? 16 * 1024 * 1024,
+            perMessageDeflate: websocketOptions.perMessageDeflate ?? false
+        });
+
+        const attach = (ws, data, ip) => {
+            const socket = new NodeServerWebSocket(ws, data, ip);
+
+            // Messages received before the open handler completes are queued
+            const opened = Promise.resolve(websocket.open(socket));
+            ws.on('message', (message, isBinary) => opened.then(() => websocket.message(socket, isBinary ? message : message.toString())));
+            ws.on('close', (code, reason) => opened.then(() => websocket.close(socket, code, reason.toString())));
+            ws.on('error', error => websocket.error?.(socket, error));
+        };
+
+        const handler = async (req, res) => {
+            try {
+                const response = await fetch(toRequest(req), {
+                    ip: req.socket.remoteAddress ?? null,
+                    upgrade: () => false
+                });
+                await writeResponse(res, response || new Response('Upgrade required', { status: 426 }));
+            } catch (error) {
+                res.writeHead(500).end('Internal server error');
+            }
+        };
+        const server = tls ? createServer(await readTls(tls), handler) : createServer(handler);
+
+        server.on('upgrade', async (req, socket, head) => {
+            const ip = req.socket.remoteAddress ?? null;
+
+            try {
+                const response = await fetch(toRequest(req, false), {
+                    ip,
+                    upgrade: data => {
+                        wss.handleUpgrade(req, socket, head, ws => attach(ws, data, ip));
+                        return true;
+                    }
+                });
+                if (response) {
+                    await refuseUpgrade(socket, response);
+                }
+            } catch (error) {
+                socket.destroy(error);
+            }
+        });
+
+        await new Promise((resolve, reject) => {
+            server.once('error', reject);
+            server.listen(port ?? 3000, hostname, () => {
+                server.off('error', reject);
+                resolve();
+            });
+        });
+
+        const { port: listening } = server.address();
+        const host = !hostname || hostname === '0.0.0.0' || hostname === '::' ? 'localhost' : hostname;
+
+        return {
+            port: listening,
+            url: `${tls ? 'https' : 'http'}://${host}:${listening}/`,
+            stop: (closeActiveConnections = false) => {
+                server.close();
+                if (closeActiveConnections) {
+                    for (const client of wss.clients) {
+                        client.terminate();
+                    }
+                    server.closeAllConnections?.();
+                }
+            }
+        };
+    }
+};
@@ -0,0 +1,176 @@
+/**
+* @typedef {Object} MethodDescription
+* @property {string} name Method name
+* @property {string|null} description Method description
+* @property {number|null} timeout Method timeout in milliseconds
+* @property {Object|null} input JSON Schema of the request payload
+* @property {Object|null} output JSON Schema of the success data
+*/
+
+/**
+* @typedef {Object} TopicDescription
+* @property {string} name Notification topic
+* @property {string|null} description Topic description
+* @property {Object|null} input JSON Schema of the notification data
+*/
+
+/**
+* Result of the `system:methods` method
+* @typedef {Object} MethodsDescription
+* @property {MethodDescription[]} methods Registered methods
+* @property {TopicDescription[]} topics Registered notification topics
+*/
+
+/**
+* @typedef {Object} ClientTypesOptions
+* @property {string} [methodsInterface='HeliosMethods'] Name of the methods interface
+* @property {string} [topicsInterface='HeliosTopics'] Name of the topics interface
+*/
+
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+
+/**
+* Quotes a property name when it is not an identifier
+* @param {string} name Property name
+* @returns {string}
+*/
+const propertyName = (name) => IDENTIFIER.test(name) ? name : JSON.stringify(name);
+
+/**
+* Writes a JSDoc comment
+* @param {string|null|undefined} text Comment text
+* @param {string} indent Indentation
+* @returns {string}
+*/
+const comment = (text, indent) => {
+    if (!text) {
+        return '';
+    }
+    const lines = text.replace(/\*\//g, '*\\/').split('\n');
+    return lines.length === 1
+    ? `${indent}/** ${lines[0]} */\n`
+    : `${indent}/**\n${lines.map(line => `${indent} * ${line}`).join('\n')}\n${indent} */\n`;
+}
+
+/**
+* Converts a JSON Schema into a TypeScript type
+* @param {Object|null|undefined} schema JSON Schema
+* @param {string} [indent=''] Indentation of the enclosing declaration
+* @returns {string}
+*/
+export const schemaToType = (schema, indent = '') => {
+    if (!schema || typeof schema !== 'object') {
+        return 'unknown';
+    }
+
+    if ('const' in schema) {
+        return JSON.stringify(schema.const);
+    }
+    if (schema.enum) {
+        return schema.enum.map(value => JSON.stringify(value)).join(' | ');
+    }
+    if (schema.anyOf || schema.oneOf) {
+        return (schema.anyOf || schema.oneOf).map(option => wrap(schemaToType(option, indent))).join(' | ');
+    }
+    if (schema.allOf) {
+        return schema.allOf.map(option => wrap(schemaToType(option, indent))).join(' & ');
+    }
+    if (Array.isArray(schema.type)) {
+        return schema.type.map(type => schemaToType({ ...schema, type }, indent)).join(' | ');
+    }
+
+    switch (schema.type) {
+        case 'string':
+            return 'string';
+        case 'number':
+        case 'integer':
+            return 'number';
+        case 'boolean':
+            return 'boolean';
+        case 'null':
+            return 'null';
+        case 'array': {
+            // Tuples are `items` arrays up to draft-07, `prefixItems` since 2020-12
+            const tuple = Array.isArray(schema.items) ? schema.items : schema.prefixItems;
+            if (tuple) {
+                const items = tuple.map(item => schemaToType(item, indent));
+                const rest = Array.isArray(schema.items) ? schema.additionalItems : schema.items;
+                if (rest && typeof rest === 'object') {
+                    items.push(`...${wrap(schemaToType(rest, indent))}[]`);
+                }
+                return `[${items.join(', ')}]`;
+            }
+            return `${wrap(schemaToType(schema.items, indent))}[]`;
+        }
+        case 'object':
+            return objectType(schema, indent);
+        default:
+            return schema.not ? 'never' : 'unknown';
+    }
+}
+
+/**
+* Wraps union and intersection types in parentheses
+* @param {string} type TypeScript type
+* @returns {string}
+*/
+const wrap = (type) => /[|&]/.test(type) && !/^[{[]/.test(type) ? `(${type})` : type;
+
+/**
+* Converts an object JSON Schema into a TypeScript type
+* @param {Object} schema JSON Schema
+* @param {string} indent Indentation of the enclosing declaration
+* @returns {string}
+*/
+const objectType = (schema, indent) => {
+    const inner = `${indent}    `;
+    const required = new Set(schema.required || []);
+    const members = Object.entries(schema.properties || {}).map(([name, property]) =>
+        `${comment(property.description, inner)}${inner}${propertyName(name)}${required.has(name) ? '' : '?'}: ${schemaToType(property, inner)};\n`
+    );
+
+    if (schema.additionalProperties && schema.additionalProperties !== true) {
+        members.push(`${inner}[key: string]: ${schemaToType(schema.additionalProperties, inner)};\n`);
+    } else if (schema.additionalProperties === true || (!schema.properties && schema.additionalProperties !== false)) {
+        members.push(`${inner}[key: string]: unknown;\n`);
+    }
+
+    return members.length ? `{\n${members.join('')}${indent}}` : '{}';
+}
+
+/**
+* Generates a TypeScript declaration file describing the methods and topics of a server,
+* for clients to type their requests and notifications
+* @param {MethodsDescription|{schemas: {describe: function(): MethodsDescription}}} source
+* Result of `system:methods`, or an in-process Helios instance
+* @param {ClientTypesOptions} [options={}] Generation options
+* @returns {string} Declaration file content
+*/
+export const generateClientTypes = (source, options = {}) => {
+    const { methodsInterface = 'HeliosMethods', topicsInterface = 'HeliosTopics' } = options;
+    const { methods = [], topics = [] } = source.schemas ? source.schemas.describe() : source;
+    const indent = '    ';
+
+    const methodMembers = methods.map(method => {
+        const doc = [method.description, method.timeout ? `Times out after ${method.timeout}ms` : null].filter(Boolean).join('\n');
+        return `${comment(doc, indent)}${indent}${JSON.stringify(method.name)}: {\n`
+        + `${indent}    input: ${schemaToType(method.input, `${indent}    `)};\n`
+        + `${indent}    output: ${schemaToType(method.output, `${indent}    `)};\n`
+        + `${indent}};\n`;
+    });
+
+    const topicMembers = topics.map(topic =>
+        `${comment(topic.description, indent)}${indent}${JSON.stringify(topic.name)}: ${schemaToType(topic.input, indent)};\n`
+    );
+
+    return [
+        '// Generated from the Helios method definitions. Do not edit.\n',
+        `export interface ${methodsInterface} {\n${methodMembers.join('')}}\n`,
+        `export interface ${topicsInterface} {\n${topicMembers.join('')}}\n`,
+        `export type MethodName = keyof ${methodsInterface};\n`
+        + `export type MethodInput<M extends MethodName> = ${methodsInterface}[M]['input'];\n`
+        + `export type MethodOutput<M extends MethodName> = ${methodsInterface}[M]['output'];\n`
+        + `export type TopicName = keyof ${topicsInterface};\n`
+        + `export type TopicData<T extends TopicName> = ${topicsInterface}[T];\n`
+    ].join('\n');
+}
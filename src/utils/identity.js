@@ -0,0 +1,15 @@
+/**
+* Gets the key identifying an identity, used to group the Starlings of a same user.
+* Reads `userId`, then `id`, unless a custom key function is given.
+* @param {Object|null} identity Starling identity
+* @param {function(Object): *} [key] Custom key function
+* @returns {string|null}
+*/
+export const identityKey = (identity, key) => {
+    if (!identity) {
+        return null;
+    }
+    
+    const value = key ? key(identity) : identity.userId ?? identity.id;
+    return value == null ? null : String(value);
+}
@@ -0,0 +1,16 @@
+import { zodToJsonSchema } from "zod-to-json-schema";
+
+/**
+* Converts a zod schema into a JSON Schema (draft-07), with zod-to-json-schema.
+* Recursive schemas are cut at their first repetition, and types without a JSON equivalent become `{}`.
+* @param {import('zod').ZodTypeAny} schema Zod schema
+* @param {'input'|'output'} [io='input'] Side of the schema: pipelines and transforms are described by what they take or produce
+* @returns {Object} JSON Schema
+*/
+export const toJsonSchema = (schema, io = 'input') => {
+    return zodToJsonSchema(schema, {
+        $refStrategy: 'none',
+        pipeStrategy: io,
+        effectStrategy: io === 'input' ? 'input' : 'any'
+    });
+}
@@ -0,0 +1,96 @@
+/** Maximum length of a pattern sent by a client */
+export const MAX_PATTERN_LENGTH = 256;
+
+/** Maximum number of wildcards (`*` or `**`) in a pattern sent by a client */
+export const MAX_PATTERN_WILDCARDS = 8;
+
+/**
+* Matches a sequence against a sequence of tokens, where star tokens match any run of items.
+* On a mismatch, only the latest star is retried one item further, so the cost is bounded
+* by the product of both lengths where a backtracking regex grows exponentially.
+* @template T
+* @param {T[]} tokens Pattern tokens
+* @param {T[]} items Items to match
+* @param {function(T): boolean} isStar Whether a token is a star
+* @param {function(T, T): boolean} matches Whether a token matches a single item
+* @returns {boolean}
+*/
+const matchTokens = (tokens, items, isStar, matches) => {
+    let token = 0;
+    let item = 0;
+    let star = -1;
+    let resume = 0;
+
+    while (item < items.length) {
+        if (token < tokens.length && isStar(tokens[token])) {
+            star = token++;
+            resume = item;
+        } else if (token < tokens.length && matches(tokens[token], items[item])) {
+            token++;
+            item++;
+        } else if (star !== -1) {
+            token = star + 1;
+            item = ++resume;
+        } else {
+            return false;
+        }
+    }
+
+    while (token < tokens.length && isStar(tokens[token])) {
+        token++;
+    }
+    return token === tokens.length;
+}
+
+/**
+* Matches a segment against a segment pattern, where `*` matches any characters
+* @param {string} pattern Segment pattern
+* @param {string} segment Segment
+* @returns {boolean}
+*/
+const matchSegment = (pattern, segment) => {
+    if (!pattern.includes('*')) {
+        return pattern === segment;
+    }
+    return matchTokens(pattern.replace(/\*+/g, '*').split(''), segment.split(''), char => char === '*', (a, b) => a === b);
+}
+
+/**
+* Checks whether a pattern contains wildcards
+* @param {string} pattern Pattern to check
+* @returns {boolean}
+*/
+export const isPattern = (pattern) => pattern.includes('*');
+
+/**
+* Checks a pattern sent by a client against the length and wildcard limits
+* @param {string} pattern Pattern to check
+* @returns {string|null} Reason of the refusal, null when the pattern is accepted
+*/
+export const checkPattern = (pattern) => {
+    if (pattern.length > MAX_PATTERN_LENGTH) {
+        return `Patterns are limited to ${MAX_PATTERN_LENGTH} characters`;
+    }
+    if ((pattern.match(/\*+/g)?.length || 0) > MAX_PATTERN_WILDCARDS) {
+        return `Patterns are limited to ${MAX_PATTERN_WILDCARDS} wildcards`;
+    }
+    return null;
+}
+
+/**
+* Checks whether a name (topic or method) matches a glob pattern.
+* Names are compared by `:`-separated segment: a `**` segment matches one or more segments,
+* and `*` matches any characters within a segment.
+* @param {string} pattern Glob pattern, e.g. `market:*` or `chat:**`
+* @param {string} name Name to test
+* @returns {boolean}
+*/
+export const matchPattern = (pattern, name) => {
+    if (!isPattern(pattern)) {
+        return pattern === name;
+    }
+
+    // `**` is any segment followed by any number of them
+    const tokens = pattern.split(':').flatMap(segment => segment === '**' ? ['*', '**'] : [segment]);
+    return matchTokens(tokens, name.split(':'), token => token === '**', matchSegment);
+}
@@ -0,0 +1,19 @@
+/**
+* Generates a time-ordered UUID (version 7), without depending on the runtime
+* @returns {string}
+*/
+export const uuidv7 = () => {
+    const bytes = crypto.getRandomValues(new Uint8Array(16));
+    const timestamp = Date.now();
+    
+    // 48-bit big-endian Unix timestamp in ms
+    for (let i = 0; i < 6; i++) {
+        bytes[i] = Math.floor(timestamp / 2 ** (8 * (5 - i))) & 0xff;
+    }
+    
+    bytes[6] = (bytes[6] & 0x0f) | 0x70;
+    bytes[8] = (bytes[8] & 0x3f) | 0x80;
+    
+    const hex = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
@@ -0,0 +1,54 @@
+import { describe, it, expect, beforeEach } from 'bun:test';
+import { z } from 'zod';
+import { Helios, generateClientTypes } from '../src/index.js';
+
+describe('Client contract', () => {
+  let server;
+
+  beforeEach(() => {
+    server = new Helios();
+    server.method('user:create', context => context.success({ id: '1' }), {
+      description: 'Creates a user',
+      input: z.object({
+        name: z.string().min(1),
+        tags: z.tuple([z.string(), z.number()]),
+        age: z.number().int().default(18)
+      }),
+      output: z.object({ id: z.string() })
+    });
+    server.on('chat:typing', () => {}, { input: z.object({ room: z.string() }) });
+  });
+
+  it('should disable introspection by default', () => {
+    expect(server.schemas.introspection).toBe(false);
+    expect(new Helios({ introspection: true }).schemas.introspection).toBe(true);
+  });
+
+  it('should list the built-in and registered methods', () => {
+    const { methods, topics } = server.schemas.describe();
+    const names = methods.map(method => method.name);
+
+    expect(names).toContain('system:ping');
+    expect(names).toContain('user:create');
+    expect(topics.map(topic => topic.name)).toEqual(['chat:typing']);
+  });
+
+  it('should convert the schemas to JSON Schema', () => {
+    const { input, output } = server.schemas.describe().methods.find(method => method.name === 'user:create');
+
+    expect(input.properties.name).toEqual({ type: 'string', minLength: 1 });
+    expect(input.properties.age).toEqual({ type: 'integer', default: 18 });
+    expect(input.required).toEqual(['name', 'tags']);
+    expect(output.required).toEqual(['id']);
+  });
+
+  it('should generate the client types', () => {
+    const types = generateClientTypes(server);
+
+    expect(types).toContain('/** Creates a user */');
+    expect(types).toContain('name: string;');
+    expect(types).toContain('tags: [string, number];');
+    expect(types).toContain('age?: number;');
+    expect(types).toContain('"chat:typing": {\n        room: string;\n    };');
+  });
+});
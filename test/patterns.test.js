@@ -0,0 +1,30 @@
+import { describe, it, expect } from 'bun:test';
+import { matchPattern, checkPattern } from '../src/utils/patterns.js';
+
+describe('Patterns', () => {
+  it('should match names by segment', () => {
+    expect(matchPattern('market:btc', 'market:btc')).toBe(true);
+    expect(matchPattern('market:*', 'market:btc')).toBe(true);
+    expect(matchPattern('market:*', 'market:btc:usd')).toBe(false);
+    expect(matchPattern('market:b*', 'market:btc')).toBe(true);
+    expect(matchPattern('market:**', 'market:btc:usd')).toBe(true);
+    expect(matchPattern('market:**', 'market')).toBe(false);
+    expect(matchPattern('**:usd', 'market:btc:usd')).toBe(true);
+    expect(matchPattern('market:**:usd', 'market:usd')).toBe(false);
+  });
+
+  it('should match pathological patterns without backtracking', () => {
+    const started = performance.now();
+
+    expect(matchPattern('*a'.repeat(12) + '*b', 'a'.repeat(40))).toBe(false);
+    expect(matchPattern('**:'.repeat(12) + 'b', 'a:'.repeat(40) + 'c')).toBe(false);
+
+    expect(performance.now() - started).toBeLessThan(100);
+  });
+
+  it('should refuse patterns beyond the length and wildcard limits', () => {
+    expect(checkPattern('market:*')).toBeNull();
+    expect(checkPattern('a'.repeat(257))).toBeString();
+    expect(checkPattern('*a'.repeat(12) + '*b')).toBeString();
+  });
+});
@@ -0,0 +1,292 @@
+import { describe, it, expect, beforeEach, afterEach } from 'bun:test';
+import { Helios } from '../src/index.js';
+import { MockStarling, FakeTimers } from '../src/testing/index.js';
+
+describe('MockStarling', () => {
+  let timers;
+  let server;
+
+  beforeEach(() => {
+    // Installed before the server, which schedules timers at construction
+    timers = new FakeTimers().install();
+    server = new Helios({ maxConnectionsPerIp: 1 });
+    server.method('test:echo', context => context.success(context.payload));
+  });
+
+  afterEach(() => {
+    timers.uninstall();
+  });
+
+  /**
+  * Waits for a request, firing the timers the server defers its processing with
+  */
+  const settle = async (pending) => {
+    await timers.advance(0);
+    return pending;
+  };
+
+  it('should round-trip requests through the server handlers', async () => {
+    const starling = await new MockStarling(server).connect();
+
+    const response = await settle(starling.request('test:echo', { message: 'hello' }));
+
+    expect(response.success).toBe(true);
+    expect(response.data).toEqual({ message: 'hello' });
+    expect(starling.ws.sent.length).toBeGreaterThan(0);
+  });
+
+  it('should hold an admission slot until disconnected', async () => {
+    const starling = await new MockStarling(server).connect();
+    expect(server.admission.connections).toBe(1);
+
+    const refused = await new MockStarling(server).connect().catch(error => error);
+    expect(refused.status).toBe(429);
+    expect(server.admission.connections).toBe(1);
+
+    starling.disconnect();
+    expect(starling.ws.closed).toEqual({ code: 1000, reason: 'Connection lost' });
+    expect(server.admission.connections).toBe(0);
+
+    await new MockStarling(server).connect();
+    expect(server.admission.connections).toBe(1);
+  });
+
+  it('should notify overlapping subscriptions once', async () => {
+    const client = await new MockStarling(server).connect();
+    await settle(client.request('topic:subscribe', { topic: 'market:*' }));
+    await settle(client.request('topic:subscribe', { topic: 'market:btc' }));
+
+    expect(server.publish('market:btc', { price: 1 })).toBe(2);
+
+    expect(client.notifications.filter(({ topic }) => topic === 'market:btc')).toEqual([
+      { topic: 'market:btc', data: { price: 1 } }
+    ]);
+  });
+
+  it('should refuse patterns beyond the limits', async () => {
+    const client = await new MockStarling(server).connect();
+
+    const response = await settle(client.request('topic:subscribe', { topic: '*a'.repeat(12) + '*b' }));
+
+    expect(response.success).toBe(false);
+    expect(response.error.code).toBe('INVALID_TOPIC');
+    expect(server.subscriptions.of(client.starling)).toEqual([]);
+  });
+
+  it('should query and broadcast to the Starlings matching a predicate', async () => {
+    server = new Helios();
+    const first = await new MockStarling(server).connect();
+    const second = await new MockStarling(server).connect();
+    const isSecond = starling => starling.id === second.starling.id;
+
+    expect(server.starlings.filter(isSecond)).toEqual([second.starling]);
+    expect(server.starlings.find((starling, index) => index === 0)).toBe(first.starling);
+    expect(server.starlings.find(() => false)).toBeUndefined();
+
+    server.starlings.broadcast('room:news', 'hello', isSecond);
+
+    expect(first.notifications).toEqual([]);
+    expect(second.notifications).toEqual([{ topic: 'room:news', data: 'hello' }]);
+  });
+
+  it('should recover within disconnectionTTL and remove the Starling after it', async () => {
+    const client = await new MockStarling(server).connect();
+    const id = client.starling.id;
+    await settle(client.refreshToken());
+    expect(client.token).toBeString();
+
+    client.disconnect();
+    await timers.advance(1000);
+    await client.recover();
+
+    expect(server.starlings.totalCount).toBe(1);
+    expect(client.starling.id).toBe(id);
+
+    client.disconnect();
+    await timers.advance(300000);
+
+    expect(server.starlings.totalCount).toBe(0);
+    expect(server.admission.connections).toBe(0);
+  });
+
+  it('should not rehydrate a Starling closed by a replayed token', async () => {
+    server = new Helios({ rehydration: true, recovery: { onReplay: 'kick-both', reuseWindow: 30000 } });
+    const client = await new MockStarling(server).connect();
+    const id = client.starling.id;
+    const token = await settle(client.refreshToken());
+    await client.recover(token);
+
+    const thief = await new MockStarling(server).connect({ recover: token });
+    expect(thief.ws.closed.code).toBe(4003);
+    expect(server.starlings.totalCount).toBe(0);
+
+    const replay = await new MockStarling(server).connect({ recover: token });
+    expect(replay.starling.id).not.toBe(id);
+  });
+
+  it('should not recover a Starling closed by the admin API', async () => {
+    server = new Helios({ rehydration: true, admin: { secret: 'admin-secret' } });
+    const client = await new MockStarling(server).connect();
+    const id = client.starling.id;
+    await settle(client.refreshToken());
+    client.disconnect();
+
+    const response = await server.fetch(new Request(`http://localhost/admin/starlings/${id}/close`, {
+      method: 'POST',
+      headers: { authorization: 'Bearer admin-secret' }
+    }));
+    expect(response.status).toBe(200);
+
+    await client.recover();
+    expect(client.starling.id).not.toBe(id);
+  });
+
+  it('should bind recovery tokens to the identity key of the identityKey option', async () => {
+    const options = {
+      connectionKey: 'shared-secret',
+      rehydration: true,
+      tokenBinding: { identity: true },
+      identityKey: ({ email }) => email
+    };
+    const client = await new MockStarling(new Helios(options), { identity: { email: 'ada@example.com', userId: 'session-1' } }).connect();
+    const id = client.starling.id;
+    const token = await settle(client.refreshToken());
+
+    // Rehydrated by another server, which only has the token binding to check
+    server = new Helios(options);
+    const other = await new MockStarling(server, { identity: { email: 'bob@example.com', userId: 'session-1' } }).connect({ recover: token });
+    expect(other.starling.id).not.toBe(id);
+
+    const owner = await new MockStarling(server, { identity: { email: 'ada@example.com', userId: 'session-2' } }).connect({ recover: token });
+    expect(owner.starling.id).toBe(id);
+  });
+
+  describe('rate limits', () => {
+    it('should limit methods per Starling and ignore inherited keys', async () => {
+      server = new Helios({ rateLimit: { methods: { 'test:*': { capacity: 1, refillRate: 1 } } } });
+      server.method('test:echo', context => context.success(context.payload));
+      const client = await new MockStarling(server).connect();
+
+      expect((await settle(client.request('test:echo', 1))).success).toBe(true);
+      expect((await settle(client.request('test:echo', 2))).error.code).toBe('RATE_LIMITED');
+      expect((await settle(client.request('other:method'))).error?.code).not.toBe('RATE_LIMITED');
+      expect((await settle(client.request('toString'))).error?.code).not.toBe('RATE_LIMITED');
+      expect((await settle(client.request('toString'))).error?.code).not.toBe('RATE_LIMITED');
+    });
+
+    it('should share the identity limit between the devices of an identity', async () => {
+      server = new Helios({ rateLimit: { identities: { capacity: 1, refillRate: 1 } } });
+      server.method('test:echo', context => context.success(context.payload));
+      const phone = await new MockStarling(server, { identity: { userId: 'ada' } }).connect();
+      const laptop = await new MockStarling(server, { identity: { userId: 'ada' } }).connect();
+      const other = await new MockStarling(server, { identity: { userId: 'bob' } }).connect();
+
+      expect((await settle(phone.request('test:echo'))).success).toBe(true);
+      expect((await settle(laptop.request('test:echo'))).error.code).toBe('RATE_LIMITED');
+      expect((await settle(other.request('test:echo'))).success).toBe(true);
+    });
+
+    it('should delay messages over the limit with the delay policy', async () => {
+      server = new Helios({ rateLimit: { global: { capacity: 1, refillRate: 1 }, policy: 'delay' } });
+      server.method('test:echo', context => context.success(context.payload));
+      const client = await new MockStarling(server).connect();
+      await settle(client.request('test:echo'));
+
+      let response = null;
+      client.request('test:echo').then(received => response = received);
+      await timers.advance(500);
+      expect(response).toBeNull();
+
+      await timers.advance(500);
+      expect(response.success).toBe(true);
+    });
+
+    it('should close the connection with the close policy', async () => {
+      server = new Helios({ rateLimit: { global: { capacity: 1, refillRate: 1 }, policy: 'close' } });
+      server.method('test:echo', context => context.success(context.payload));
+      const client = await new MockStarling(server).connect();
+      await settle(client.request('test:echo'));
+
+      client.request('test:echo').catch(() => {});
+      await timers.advance(0);
+
+      expect(client.ws.closed.code).toBe(1008);
+    });
+  });
+
+  describe('keys', () => {
+    it('should verify the tokens of a retired key until its retention expires', async () => {
+      server = new Helios({ keys: { retention: 1000 } });
+      const token = await server.keys.issue({ starlingId: 'a' });
+      const retiredKid = server.keys.kid;
+
+      server.rotateKeys();
+      expect(server.keys.kid).not.toBe(retiredKid);
+      expect((await server.keys.verify(token)).payload.starlingId).toBe('a');
+
+      await timers.advance(1001);
+      expect(server.keys.kids).not.toContain(retiredKid);
+      await expect(server.keys.verify(token)).rejects.toThrow('unknown or expired key');
+    });
+
+    it('should issue encrypted tokens and refuse signed ones when asked to', async () => {
+      const signed = await server.keys.issue({ starlingId: 'a' });
+      server = new Helios({ keys: { current: server.keys.connection, encrypt: true, acceptSigned: false } });
+
+      const encrypted = await server.keys.issue({ starlingId: 'a' });
+      expect(encrypted.split('.')).toHaveLength(5);
+      expect((await server.keys.verify(encrypted)).payload.starlingId).toBe('a');
+      await expect(server.keys.verify(signed)).rejects.toThrow('Signed tokens are no longer accepted');
+    });
+  });
+
+  describe('services', () => {
+    /**
+    * Connects a provider of calc:add answering with its name
+    */
+    const provider = async (name) => {
+      const starling = await new MockStarling(server).connect();
+      starling.handle('calc:add', ({ a, b }) => ({ sum: a + b, by: name }));
+      await settle(starling.request('service:register', { methods: ['calc:add'] }));
+      return starling;
+    };
+
+    beforeEach(() => {
+      server = new Helios({ services: { authorize: () => true } });
+    });
+
+    it('should balance requests between the providers', async () => {
+      await provider('first');
+      await provider('second');
+      const client = await new MockStarling(server).connect();
+
+      const responses = [];
+      for (let i = 0; i < 3; i++) {
+        responses.push(await settle(client.request('calc:add', { a: i, b: 1 })));
+      }
+
+      expect(responses.map(({ data }) => data.by)).toEqual(['first', 'second', 'first']);
+      expect(responses.map(({ data }) => data.sum)).toEqual([1, 2, 3]);
+    });
+
+    it('should answer once for a method withdrawn then provided again', async () => {
+      const worker = await provider('worker');
+      const client = await new MockStarling(server).connect();
+
+      await settle(worker.request('service:unregister', { methods: ['calc:add'] }));
+      expect(server.schemas.ofMethod('calc:add')).toBeNull();
+      expect((await settle(client.request('calc:add', { a: 1, b: 1 }))).error.code).toBe('SERVICE_UNAVAILABLE');
+
+      await settle(worker.request('service:register', { methods: ['calc:add'] }));
+      expect(server.schemas.ofMethod('calc:add')).not.toBeNull();
+
+      const before = worker.messages.length;
+      const response = await settle(client.request('calc:add', { a: 1, b: 1 }));
+      await timers.advance(0);
+
+      expect(response.data).toEqual({ sum: 2, by: 'worker' });
+      expect(worker.messages.slice(before).filter(({ type }) => type === 'request')).toHaveLength(1);
+      expect(client.messages.filter(({ requestId }) => requestId === response.requestId)).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,113 @@
+import { describe, it, expect, beforeEach, afterEach } from 'bun:test';
+import { createRequest } from '@helios-starling/utils';
+import { Helios } from '../src/index.js';
+
+describe('Loopback transport', () => {
+  let server;
+
+  beforeEach(async () => {
+    server = new Helios({ transport: 'loopback' });
+    server.method('test:echo', context => context.success(context.payload));
+    await server.serve({
+      routes: { 'GET /users/:id': (req, { params }) => new Response(params.id) }
+    });
+  });
+
+  afterEach(async () => {
+    await server.stop({ timeout: 0 });
+  });
+
+  it('should round-trip requests over a connection', async () => {
+    const client = await server.transport.connect('/');
+    expect(server.admission.connections).toBe(1);
+
+    const response = new Promise(resolve => {
+      client.onmessage = raw => {
+        const message = JSON.parse(raw);
+        if (message.type === 'response') {
+          resolve(message);
+        }
+      };
+    });
+    client.send(JSON.stringify(createRequest('test:echo', { message: 'hello' })));
+
+    const { success, data } = await response;
+    expect(success).toBe(true);
+    expect(data).toEqual({ message: 'hello' });
+
+    client.close();
+    expect(server.admission.connections).toBe(0);
+  });
+
+  it('should answer the built-in routes', async () => {
+    const response = await server.transport.fetch('/healthz');
+
+    expect(response.status).toBe(200);
+    expect(await response.json()).toEqual({ status: 'ok' });
+  });
+
+  it('should decode route parameters and refuse malformed ones', async () => {
+    const decoded = await server.transport.fetch('/users/a%20b');
+    expect(await decoded.text()).toBe('a b');
+
+    const malformed = await server.transport.fetch('/users/%E0%A4%A');
+    expect(malformed.status).toBe(400);
+  });
+
+  it('should refuse upgrades without an upgrade function', async () => {
+    const request = new Request('http://localhost/', {
+      headers: { upgrade: 'websocket', connection: 'Upgrade' }
+    });
+
+    const response = await server.fetch(request);
+
+    expect(response.status).toBe(426);
+    expect(server.admission.connections).toBe(0);
+  });
+
+  it('should report not ready and refuse upgrades while stopping', async () => {
+    const ready = await server.fetch(new Request('http://localhost/readyz'));
+    expect(ready.status).toBe(200);
+
+    const stopped = server.stop({ timeout: 0 });
+    let upgraded = false;
+    const readiness = await server.fetch(new Request('http://localhost/readyz'));
+    const refused = await server.fetch(new Request('http://localhost/', {
+      headers: { upgrade: 'websocket', connection: 'Upgrade' }
+    }), { upgrade: () => upgraded = true });
+
+    expect(readiness.status).toBe(503);
+    expect(await readiness.json()).toEqual({ status: 'stopping' });
+    expect(refused.status).toBe(503);
+    expect(upgraded).toBe(false);
+    expect(server.admission.connections).toBe(0);
+    await stopped;
+  });
+});
+
+describe('Node transport', () => {
+  it('should import the package and serve under Node', async () => {
+    const script = `
+      import { Helios } from './src/index.js';
+      const server = new Helios({ transport: 'node' });
+      const { url } = await server.serve({ port: 0, hostname: '127.0.0.1' });
+      const response = await fetch(url + '/healthz');
+      console.log(JSON.stringify(await response.json()));
+      await server.stop({ timeout: 0 });
+    `;
+    const node = Bun.spawn(['node', '--input-type=module', '-e', script], {
+      cwd: `${import.meta.dir}/..`,
+      stderr: 'pipe'
+    });
+
+    const [output, errors, code] = await Promise.all([
+      new Response(node.stdout).text(),
+      new Response(node.stderr).text(),
+      node.exited
+    ]);
+
+    expect(errors).toBe('');
+    expect(code).toBe(0);
+    expect(JSON.parse(output)).toEqual({ status: 'ok' });
+  }, 10000);
+});
@@ -2,6 +2,7 @@
  * @typedef {import("@helios-starling/utils").ProxyHandlers} ProxyHandlers
  */
 /**
+ * Delegates every proxied message to the Helios ProxyManager
  * @type {import("@helios-starling/utils").ProxyHandlers}
  */
 export const proxyConfiguration: import("@helios-starling/utils").ProxyHandlers;
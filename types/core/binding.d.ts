@@ -0,0 +1,50 @@
+export function subnetOf(ip: string | null, { v4, v6 }?: {
+    v4?: number;
+    v6?: number;
+}): string | null;
+export function captureBinding(req: Request, ip: string | null, options?: TokenBindingOptions): Promise<BindingContext | null>;
+export function bindingClaims(starling: import("./starling").Starling, options?: TokenBindingOptions): any | null;
+export function checkBinding(payload: import("jose").JWTPayload, context: BindingContext | null, identity: any | null, key?: (arg0: any) => any): string | null;
+export type ThumbprintResolver = (req: Request) => string | null | Promise<string | null>;
+/**
+ * Client context recovery tokens are bound to. Each enabled binding is embedded
+ * in the tokens, and recoveries from a request that does not match are refused.
+ */
+export type TokenBindingOptions = {
+    /**
+     * Bind to the client subnet, /24 and /64 by default
+     */
+    subnet?: boolean | {
+        v4?: number;
+        v6?: number;
+    };
+    /**
+     * Bind to a hash of the User-Agent header
+     */
+    userAgent?: boolean;
+    /**
+     * Bind to the authenticated identity key
+     */
+    identity?: boolean;
+    /**
+     * Bind to a client key thumbprint
+     */
+    thumbprint?: ThumbprintResolver;
+};
+/**
+ * Client context captured at upgrade
+ */
+export type BindingContext = {
+    /**
+     * Client subnet, in CIDR notation
+     */
+    subnet: string | null;
+    /**
+     * User-Agent hash
+     */
+    userAgent: string | null;
+    /**
+     * Client key thumbprint
+     */
+    thumbprint: string | null;
+};
@@ -4,7 +4,29 @@
 
 /**
 * @typedef {NetworkNodeOptions & {
-*   connectionKey?: Uint8Array|string
+*   connectionKey?: Uint8Array|string,
+*   keys?: import('../managers/keyring').KeyringOptions,
+*   stateStore?: import('../stores').StateStoreOption,
+*   statePurgeInterval?: number,
+*   rehydration?: boolean,
+*   authenticate?: import('./upgrade').AuthenticateHandler,
+*   recoveryToken?: import('./upgrade').RecoveryTokenSources,
+*   recovery?: import('../managers/replays').RecoveryOptions,
+*   identityKey?: function(Object): *,
+*   tokenBinding?: import('./binding').TokenBindingOptions,
+*   transport?: import('../transports').TransportOption,
+*   authorizeRoom?: import('../managers/rooms').RoomAuthorizationHandler,
+*   authorizeTopic?: import('../managers/subscriptions').TopicAuthorizationHandler,
+*   maxSubscriptions?: number,
+*   rateLimit?: import('../managers/ratelimits').RateLimitOptions,
+*   proxy?: import('../managers/proxy').ProxyOptions,
+*   services?: import('../managers/services').ServicesOptions,
+*   metrics?: import('../managers/metrics').MetricsOptions,
+*   admin?: import('../managers/admin').AdminOptions,
+*   maxConnections?: number,
+*   maxConnectionsPerIp?: number,
+*   validateOutput?: boolean,
+*   introspection?: boolean
 * }} HeliosOptions
 */
 /**
@@ -21,7 +43,7 @@
 /**
  * @typedef {Object} ProxiesMiddlewares
  * @property {RequestProxyHandler?} [onRequest]
- * @property {ResponseProxyHandler?} [onResponse]
+ * @property {ResponseProxyHandler?} [onResponse] Picks the Starling receiving the response of a proxied request, its source by default
  * @property {NotificationProxyHandler?} [onNotification]
  * @property {ErrorMessageProxyHandler?} [onErrorMessage]
  */
@@ -32,16 +54,125 @@ export class Helios extends NetworkNode {
     /** @param {HeliosOptions} options */
     constructor(options?: HeliosOptions);
     /**
-    * Encryption keys used by the server
+    * Keys signing and verifying the recovery tokens
+    * @type {Keyring}
     * @private
     */
     private _keys;
+    /**
+    * Server-side store for recovery states.
+    * When null, states are embedded in the recovery tokens.
+    * @type {import('../stores').StateStore|null}
+    * @private
+    */
+    private _stateStore;
+    /**
+    * Periodic removal of expired stored states
+    * @private
+    */
+    private _purgeTimer;
     /**
      * Proxy middlewares
      * @type {ProxiesMiddlewares}
      */
     _proxies: ProxiesMiddlewares;
     _starlings: StarlingsManager;
+    _subscriptions: SubscriptionsManager;
+    /**
+    * Rate limits, when configured
+    * @type {RateLimitManager|null}
+    * @private
+    */
+    private _rateLimits;
+    /**
+    * Bun server handle, set by serve()
+    * @type {import('bun').Server|null}
+    * @private
+    */
+    private _server;
+    /**
+    * In-flight method handlers and proxied requests, drained on stop()
+    * @private
+    */
+    private _inflight;
+    /**
+    * Proxy pipeline behind proxyConfiguration
+    * @private
+    */
+    private _proxy;
+    /**
+    * Registry of worker Starlings providing methods
+    * @private
+    */
+    private _services;
+    /**
+    * Prometheus metrics, when enabled
+    * @type {MetricsManager|null}
+    * @private
+    */
+    private _metrics;
+    /**
+    * Admin HTTP API, when enabled
+    * @type {AdminManager|null}
+    * @private
+    */
+    private _admin;
+    /**
+    * Connection limits
+    * @type {AdmissionManager}
+    * @private
+    */
+    private _admission;
+    /**
+    * Transport serving the HTTP requests and WebSocket connections
+    * @type {import('../transports').Transport}
+    * @private
+    */
+    private _transport;
+    /**
+    * WebSocket path and HTTP routes, set by serve()
+    * @type {{path: string|null, router: ReturnType<typeof createRouter>}}
+    * @private
+    */
+    private _http;
+    /**
+    * Pending stop, once stop() has been called
+    * @type {Promise<void>|null}
+    * @private
+    */
+    private _stopping;
+    /**
+    * Definitions and schemas of methods and topics
+    * @type {SchemaManager}
+    * @private
+    */
+    private _schemas;
+    /**
+    * Method registration of the NetworkNode, wrapped by method()
+    * @private
+    */
+    private _registerMethod;
+    /**
+     * Registers a method. Its payloads are validated against its schemas, and its handler
+     * is refused while stopping, tracked so that stop() can wait for it, and measured.
+     * @param {string} name Method name
+     * @param {function(import('@helios-starling/utils').RequestContext): *} handler Method handler
+     * @param {import('../managers/schemas').MethodSchemas} [options] Method options and schemas
+     */
+    method: (name: string, handler: (arg0: import("@helios-starling/utils").RequestContext) => any, options?: import("../managers/schemas").MethodSchemas) => any;
+    /**
+    * Notification topic registration of the NetworkNode, wrapped by on().
+    * Server events are listened to through `helios.events`, not `on()`.
+    * @private
+    */
+    private _registerTopic;
+    /**
+     * Registers a notification topic handler. Its data is validated against its schema.
+     * @param {string} topic Notification topic
+     * @param {function(import('@helios-starling/utils').NotificationContext): *} handler Topic handler
+     * @param {import('../managers/schemas').TopicSchemas} [options] Topic options and schema
+     */
+    on: (topic: string, handler: (arg0: import("@helios-starling/utils").NotificationContext) => any, options?: import("../managers/schemas").TopicSchemas) => any;
     _handlers: {
         /**
         * Handles new WebSocket connections
@@ -71,10 +202,69 @@ export class Helios extends NetworkNode {
         error: (ws: Bun.ServerWebSocket, error: Error) => void;
     };
     /**
-     * Starts the Helios server with Bun
-     * @param {number?} [port]
+     * Handles an HTTP request: built-in routes, then the WebSocket upgrade.
+     * Transports call it for every request, and it can be mounted in another HTTP server.
+     * @param {Request} req HTTP request
+     * @param {import('../transports').TransportRequestContext} [context={}] Client IP and upgrade function of the transport,
+     * upgrades are answered with 426 without the latter
+     * @returns {Promise<Response|undefined>} Undefined once upgraded
+     */
+    fetch: (req: Request, { ip, upgrade }?: import("../transports").TransportRequestContext) => Promise<Response | undefined>;
+    /**
+     * Starts the Helios server with the configured transport (Bun by default under Bun, Node otherwise)
+     * @param {import('./http').ServeOptions|number} [options={}] Serve options, or a port
+     * @returns {Promise<import('./http').ServeHandle>}
+     * @throws {Error} If the server cannot start, e.g. when the port is in use
+     */
+    serve: (options?: import("./http").ServeOptions | number) => Promise<import("./http").ServeHandle>;
+    /**
+     * Gracefully stops the server.
+     * New upgrades are refused, every connected Starling receives a `server:shutdown`
+     * notification with a fresh recovery token, new requests are refused while in-flight
+     * method handlers and proxied requests are drained, then the remaining sockets are closed.
+     * @param {Object} [options]
+     * @param {number} [options.timeout=10000] Maximum time in ms to wait for in-flight work, 0 to not wait
+     * @param {number} [options.code=1001] Close code sent to the Starlings
+     * @param {string} [options.reason='Server shutting down'] Close reason
+     * @returns {Promise<void>}
+     */
+    stop: ({ timeout, code, reason }?: {
+        timeout?: number;
+        code?: number;
+        reason?: string;
+    }) => Promise<void>;
+    /**
+     * Runs a method handler, unless the server is stopping
+     * @param {string} name Method name
+     * @param {function(import('@helios-starling/utils').RequestContext): *} handler Method handler
+     * @param {import('@helios-starling/utils').RequestContext} context Request context
+     * @returns {Promise<*>|undefined}
+     * @private
+     */
+    private _runMethod;
+    /**
+     * Removes the expired records of the state store
+     * @returns {Promise<void>}
+     * @private
+     */
+    private _purgeStates;
+    /**
+     * Rotates the connection key. Tokens signed with the previous key stay
+     * valid until its retention expires.
+     * @param {Uint8Array|string|{kid?: string, key: Uint8Array|string}} [key] New key, random when omitted
+     * @returns {string} ID of the new active key
      */
-    serve: (port?: number | null) => void;
+    rotateKeys: (key?: Uint8Array | string | {
+        kid?: string;
+        key: Uint8Array | string;
+    }) => string;
+    /**
+     * Publishes a notification to the Starlings subscribed to a matching topic or pattern
+     * @param {string} topic Notification topic
+     * @param {*} data Notification data
+     * @returns {number} Number of matching topics and patterns
+     */
+    publish: (topic: string, data: any) => number;
     /**
      * @param {ProxiesMiddlewares} proxies
      */
@@ -134,10 +324,66 @@ export class Helios extends NetworkNode {
      * Gets the Proxy middlewares
      */
     get proxies(): ProxiesMiddlewares;
+    /**
+     * Gets the state store, if any
+     */
+    get stateStore(): import("../stores/index.js").StateStore;
+    /**
+     * Gets the proxy manager
+     */
+    get proxy(): ProxyManager;
+    /**
+     * Gets the metrics manager, when enabled
+     */
+    get metrics(): MetricsManager;
+    /**
+     * Gets the admin API, when enabled
+     */
+    get admin(): AdminManager;
+    /**
+     * Gets the keyring signing the recovery tokens
+     */
+    get keys(): Keyring;
+    /**
+     * Gets the transport serving the requests
+     */
+    get transport(): import("../transports/index.js").Transport;
+    /**
+     * Gets the definitions and schemas of methods and topics
+     */
+    get schemas(): SchemaManager;
+    /**
+     * Gets the admission control of new connections
+     */
+    get admission(): AdmissionManager;
+    /**
+     * Whether the server accepts new connections: false while stopping or at capacity
+     */
+    get ready(): boolean;
+    /**
+     * Gets the services registry
+     */
+    get services(): ServicesManager;
     /**
      * Gets the Starlings manager
      */
     get starlings(): StarlingsManager;
+    /**
+     * Gets the topic subscriptions manager
+     */
+    get subscriptions(): SubscriptionsManager;
+    /**
+     * Gets the in-flight work tracker
+     */
+    get inflight(): InflightTracker;
+    /**
+     * Whether stop() has been called
+     */
+    get stopping(): boolean;
+    /**
+     * Gets the Bun server handle, once serving
+     */
+    get server(): import("bun").Server;
 }
 /**
  * /**
@@ -145,6 +391,28 @@ export class Helios extends NetworkNode {
 export type NetworkNodeOptions = import("@helios-starling/utils").NetworkNodeOptions;
 export type HeliosOptions = NetworkNodeOptions & {
     connectionKey?: Uint8Array | string;
+    keys?: import("../managers/keyring").KeyringOptions;
+    stateStore?: import("../stores").StateStoreOption;
+    statePurgeInterval?: number;
+    rehydration?: boolean;
+    authenticate?: import("./upgrade").AuthenticateHandler;
+    recoveryToken?: import("./upgrade").RecoveryTokenSources;
+    recovery?: import("../managers/replays").RecoveryOptions;
+    identityKey?: (arg0: any) => any;
+    tokenBinding?: import("./binding").TokenBindingOptions;
+    transport?: import("../transports").TransportOption;
+    authorizeRoom?: import("../managers/rooms").RoomAuthorizationHandler;
+    authorizeTopic?: import("../managers/subscriptions").TopicAuthorizationHandler;
+    maxSubscriptions?: number;
+    rateLimit?: import("../managers/ratelimits").RateLimitOptions;
+    proxy?: import("../managers/proxy").ProxyOptions;
+    services?: import("../managers/services").ServicesOptions;
+    metrics?: import("../managers/metrics").MetricsOptions;
+    admin?: import("../managers/admin").AdminOptions;
+    maxConnections?: number;
+    maxConnectionsPerIp?: number;
+    validateOutput?: boolean;
+    introspection?: boolean;
 };
 export type ProxyCallback = (: any) => false | import("./starling").Starling;
 export type RequestProxyHandler = (context: import("@helios-starling/utils").RequestContext, starlings: import("../managers/starlings").StarlingsManager) => import("./starling").Starling;
@@ -153,9 +421,21 @@ export type NotificationProxyHandler = (context: import("@helios-starling/utils"
 export type ErrorMessageProxyHandler = (context: import("@helios-starling/utils").ErrorMessageContext, starlings: import("../managers/starlings").StarlingsManager) => import("./starling").Starling;
 export type ProxiesMiddlewares = {
     onRequest?: RequestProxyHandler | null;
+    /**
+     * Picks the Starling receiving the response of a proxied request, its source by default
+     */
     onResponse?: ResponseProxyHandler | null;
     onNotification?: NotificationProxyHandler | null;
     onErrorMessage?: ErrorMessageProxyHandler | null;
 };
 import { NetworkNode } from "@helios-starling/utils";
-import { StarlingsManager } from "../managers/starlings";
+import { StarlingsManager } from "../managers/starlings.js";
+import { SubscriptionsManager } from "../managers/subscriptions.js";
+import { ProxyManager } from "../managers/proxy.js";
+import { MetricsManager } from "../managers/metrics.js";
+import { AdminManager } from "../managers/admin.js";
+import { Keyring } from "../managers/keyring.js";
+import { SchemaManager } from "../managers/schemas.js";
+import { AdmissionManager } from "../managers/admission.js";
+import { ServicesManager } from "../managers/services.js";
+import { InflightTracker } from "../managers/inflight.js";
@@ -0,0 +1,111 @@
+export function createRouter(routes?: Routes): (arg0: Request, arg1: URL) => {
+    handler: RouteHandler | Response;
+    params: {
+        [x: string]: string;
+    };
+} | Response | null;
+export function isUpgradeRequest(req: Request): boolean;
+export type RouteHandler = (req: Request, context: {
+    params: {
+        [x: string]: string;
+    };
+    helios: import("./helios").Helios;
+}) => Response | Promise<Response>;
+/**
+ * Routes served alongside the WebSocket endpoint, by `[METHOD ]path`.
+ * Paths may have `:name` parameters, and a route without a method answers every method.
+ */
+export type Routes = {
+    [x: string]: Response | RouteHandler;
+};
+/**
+ * TLS certificates. Blobs, such as `Bun.file()`, are read by the Node transport.
+ */
+export type TlsOptions = {
+    /**
+     * Certificate chain, PEM
+     */
+    cert: string | Buffer | Blob;
+    /**
+     * Private key, PEM
+     */
+    key: string | Buffer | Blob;
+    /**
+     * Certificate authorities, PEM
+     */
+    ca?: string | Buffer | Blob;
+    /**
+     * Private key passphrase
+     */
+    passphrase?: string;
+};
+/**
+ * WebSocket tuning, passed to Bun's `websocket` options.
+ * The Node transport maps `maxPayloadLength` and `perMessageDeflate`.
+ */
+export type WebSocketTuning = {
+    /**
+     * Seconds without messages before a connection is closed
+     */
+    idleTimeout?: number;
+    /**
+     * Maximum message size in bytes
+     */
+    maxPayloadLength?: number;
+    /**
+     * Message compression
+     */
+    perMessageDeflate?: boolean | any;
+    /**
+     * Bytes buffered before send() reports backpressure
+     */
+    backpressureLimit?: number;
+};
+export type ServeOptions = {
+    /**
+     * Port to listen on, 0 for a random one
+     */
+    port?: number;
+    /**
+     * Interface to listen on
+     */
+    hostname?: string;
+    /**
+     * Serves HTTPS and WSS
+     */
+    tls?: TlsOptions;
+    /**
+     * Path of the WebSocket endpoint, any path when omitted
+     */
+    path?: string;
+    /**
+     * WebSocket tuning
+     */
+    websocket?: WebSocketTuning;
+    /**
+     * HTTP routes
+     */
+    routes?: Routes;
+};
+export type ServeHandle = {
+    /**
+     * Listening port
+     */
+    port: number;
+    /**
+     * Server URL
+     */
+    url: string;
+    /**
+     * WebSocket endpoint URL
+     */
+    websocketUrl: string;
+    /**
+     * Transport server
+     */
+    server: import("../transports").TransportServer;
+    /**
+     * Gracefully stops the server, see `helios.stop()`
+     */
+    stop: (arg0: any | undefined) => Promise<void>;
+};
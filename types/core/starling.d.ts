@@ -4,6 +4,8 @@
 /**
 * @typedef {Object} StarlingOptions
 * @property {number} [disconnectionTTL=300000] Time in ms before a disconnected Starling is removed
+* @property {Object|null} [identity=null] Identity attached by the authentication hook
+* @property {string[]} [tags=[]] Initial tags
 */
 /**
 * Starling instance
@@ -19,6 +21,12 @@ export class Starling extends BaseStarling {
     /** @protected */
     protected _helios: import("../core/helios").Helios;
     _reconnecting: boolean;
+    /** @protected @type {Object|null} */
+    protected _identity: any | null;
+    /** @protected @type {Set<string>} */
+    protected _tags: Set<string>;
+    /** @protected @type {import('./binding').BindingContext|null} */
+    protected _binding: import("./binding").BindingContext | null;
     _states: StatesManager;
     /**
     * Closes the Starling connection permanently
@@ -36,6 +44,36 @@ export class Starling extends BaseStarling {
     */
     unlink: () => void;
     get states(): StatesManager;
+    /**
+    * Adds tags to the Starling
+    * @param {...string} tags Tags to add
+    */
+    tag: (...tags: string[]) => void;
+    /**
+    * Removes tags from the Starling
+    * @param {...string} tags Tags to remove
+    */
+    untag: (...tags: string[]) => void;
+    /**
+    * Tags of the Starling, used by proxy routes
+    * @returns {Set<string>}
+    */
+    get tags(): Set<string>;
+    /**
+    * Client context of the latest connection, bound to the recovery tokens
+    * @returns {import('./binding').BindingContext|null}
+    */
+    get binding(): import("./binding").BindingContext | null;
+    /**
+    * Helios instance holding the Starling
+    * @returns {import('./helios').Helios}
+    */
+    get helios(): import("./helios").Helios;
+    /**
+    * Identity attached by the authentication hook, if any
+    * @returns {Object|null}
+    */
+    get identity(): any | null;
 }
 export type BaseStarlingOptions = import("@helios-starling/utils").BaseStarlingOptions;
 export type StarlingOptions = {
@@ -43,6 +81,14 @@ export type StarlingOptions = {
      * Time in ms before a disconnected Starling is removed
      */
     disconnectionTTL?: number;
+    /**
+     * Identity attached by the authentication hook
+     */
+    identity?: any | null;
+    /**
+     * Initial tags
+     */
+    tags?: string[];
 };
 import { BaseStarling } from "@helios-starling/utils";
-import { StatesManager } from "../managers/states";
+import { StatesManager } from "../managers/states.js";
@@ -0,0 +1,41 @@
+export function readRecoveryToken(req: Request, sources?: RecoveryTokenSources): string | null;
+export function prepareUpgrade(helios: import("./helios").Helios, req: Request, ip?: string | null): Promise<UpgradeData | Response>;
+export type RecoveryTokenSources = {
+    /**
+     * Query parameter holding the recovery token
+     */
+    query?: string | false;
+    /**
+     * Header holding the recovery token
+     */
+    header?: string | false;
+    /**
+     * Cookie holding the recovery token
+     */
+    cookie?: string | false;
+};
+/**
+ * Result of an authentication hook.
+ * `true` accepts the upgrade, an object accepts it and becomes the Starling identity,
+ * a `Response` is sent as is, and any falsy value rejects with 401.
+ */
+export type AuthenticationResult = boolean | any | Response | null | undefined;
+export type AuthenticateHandler = (req: Request) => AuthenticationResult | Promise<AuthenticationResult>;
+export type UpgradeData = {
+    /**
+     * Recovery token, if any
+     */
+    recover: string | null;
+    /**
+     * Identity returned by the authentication hook
+     */
+    identity: any | null;
+    /**
+     * Client context recovery tokens are bound to
+     */
+    binding: import("./binding").BindingContext | null;
+    /**
+     * Client IP, added by `serve()` once the connection is admitted
+     */
+    ip?: string | null;
+};
@@ -1,4 +1,7 @@
 export { Helios } from './core/helios.js';
+export { MemoryStateStore, SqliteStateStore } from './stores/index.js';
+export { generateClientTypes } from './utils/contract.js';
+export { toJsonSchema } from './utils/jsonschema.js';
 
 // Types
 
@@ -6,6 +9,11 @@ export { Helios } from './core/helios.js';
  * @typedef {import('./core/starling.js').Starling} Starling
  */
 
+/**
+ * @typedef {import('./stores/index.js').StateStore} StateStore
+ * @typedef {import('./stores/index.js').StoredState} StoredState
+ */
+
 /**
  * @typedef {import('@helios-starling/utils').RequestContext} RequestContext
  * * @typedef {import('@helios-starling/utils').ResponseContext} ResponseContext
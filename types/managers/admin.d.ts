@@ -0,0 +1,118 @@
+/**
+* HTTP API to inspect and manage live Starlings, mounted by `serve()`
+*/
+export class AdminManager {
+    /**
+    * @param {import('../core/helios').Helios} helios Helios instance
+    * @param {AdminOptions} options Admin options
+    */
+    constructor(helios: import("../core/helios").Helios, options: AdminOptions);
+    /** @private */
+    private _helios;
+    /** @private */
+    private _options;
+    /** @private */
+    private _secret;
+    /**
+    * Routes of the API, relative to the mount path
+    * @private
+    */
+    private _routes;
+    /**
+    * Handles a request to the admin API
+    * @param {Request} req HTTP request
+    * @returns {Promise<Response|null>} Null when the request is not for the admin API
+    */
+    handle: (req: Request) => Promise<Response | null>;
+    /**
+    * Summarizes a Starling
+    * @param {import('../core/starling').Starling} starling Starling instance
+    * @returns {StarlingSummary}
+    */
+    summarize: (starling: import("../core/starling").Starling) => StarlingSummary;
+    /**
+    * @private
+    */
+    private _authenticate;
+    /**
+    * GET /starlings[?connected=true|false]
+    * @private
+    */
+    private _list;
+    /**
+    * GET /starlings/:id
+    * @private
+    */
+    private _inspect;
+    /**
+    * POST /starlings/:id/close { reason? }
+    * Closes the Starling permanently, its recovery tokens are revoked
+    * @private
+    */
+    private _close;
+    /**
+    * POST /starlings/:id/disconnect { reason? }
+    * Drops the connection, the Starling may still recover
+    * @private
+    */
+    private _disconnect;
+    /**
+    * POST /starlings/:id/notify { topic, data? }
+    * @private
+    */
+    private _notify;
+    /**
+    * POST /starlings/:id/request { method, payload?, timeout? }
+    * @private
+    */
+    private _request;
+    /**
+    * POST /broadcast { topic, data? }
+    * @private
+    */
+    private _broadcast;
+}
+export type AdminOptions = {
+    /**
+     * Bearer secret required on every admin request
+     */
+    secret: string;
+    /**
+     * Mount path of the admin API
+     */
+    path?: string;
+    /**
+     * Timeout in ms of requests sent to Starlings
+     */
+    requestTimeout?: number;
+};
+export type StarlingSummary = {
+    /**
+     * Starling ID
+     */
+    id: string;
+    /**
+     * Whether the Starling is connected
+     */
+    connected: boolean;
+    /**
+     * Last connection timestamp
+     */
+    lastConnected: number | null;
+    /**
+     * Disconnection timestamp, while disconnected
+     */
+    disconnectedAt: number | null;
+    /**
+     * Attached identity
+     */
+    identity: any | null;
+    /**
+     * Messages buffered while disconnected
+     */
+    bufferedMessages: number;
+    /**
+     * Requests queued while disconnected
+     */
+    queuedRequests: number;
+};
@@ -0,0 +1,63 @@
+/**
+* @typedef {Object} AdmissionOptions
+* @property {number} [maxConnections] Maximum open connections, refused with 503 beyond
+* @property {number} [maxConnectionsPerIp] Maximum open connections per client IP, refused with 429 beyond
+*/
+/**
+* Admission control of new WebSocket connections
+*/
+export class AdmissionManager {
+    /**
+    * @param {import('../core/helios').Helios} helios Helios instance
+    * @param {AdmissionOptions} [options={}] Connection limits
+    */
+    constructor(helios: import("../core/helios").Helios, options?: AdmissionOptions);
+    /** @private */
+    private _helios;
+    /** @private */
+    private _options;
+    /**
+    * Open connections, counted from their upgrade
+    * @private
+    */
+    private _connections;
+    /**
+    * Open connections by client IP
+    * @type {Map<string, number>}
+    * @private
+    */
+    private _byIp;
+    /**
+    * Reserves a connection slot for an upgrade request
+    * @param {string|null} ip Client IP
+    * @returns {Response|null} The refusal, or null when the connection is admitted
+    */
+    acquire: (ip: string | null) => Response | null;
+    /**
+    * Releases the slot of a closed or failed connection
+    * @param {string|null} ip Client IP
+    */
+    release: (ip: string | null) => void;
+    /**
+    * Gets the number of open connections
+    */
+    get connections(): number;
+    /**
+    * Whether the server reached its connection limit
+    */
+    get overloaded(): boolean;
+    /**
+    * @private
+    */
+    private _refuse;
+}
+export type AdmissionOptions = {
+    /**
+     * Maximum open connections, refused with 503 beyond
+     */
+    maxConnections?: number;
+    /**
+     * Maximum open connections per client IP, refused with 429 beyond
+     */
+    maxConnectionsPerIp?: number;
+};
@@ -0,0 +1,44 @@
+/**
+* Tracks in-flight work (method handlers, proxied requests) so that it can be drained
+*/
+export class InflightTracker {
+    /**
+    * In-flight work keys
+    * @type {Set<*>}
+    * @private
+    */
+    private _pending;
+    /**
+    * Resolvers waiting for the tracker to be empty
+    * @type {Set<function(): void>}
+    * @private
+    */
+    private _waiters;
+    /**
+    * Marks a piece of work as started
+    * @param {*} key Work key
+    */
+    begin: (key: any) => void;
+    /**
+    * Marks a piece of work as finished
+    * @param {*} key Work key
+    */
+    end: (key: any) => void;
+    /**
+    * Tracks a promise until it settles
+    * @template T
+    * @param {Promise<T>} promise Promise to track
+    * @returns {Promise<T>}
+    */
+    track: <T>(promise: Promise<T>) => Promise<T>;
+    /**
+    * Waits for every in-flight piece of work to finish
+    * @param {number} [timeout=10000] Maximum wait in ms, 0 to not wait
+    * @returns {Promise<boolean>} Whether everything finished before the timeout
+    */
+    drain: (timeout?: number) => Promise<boolean>;
+    /**
+    * Gets the number of in-flight pieces of work
+    */
+    get size(): number;
+}
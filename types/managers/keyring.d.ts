@@ -0,0 +1,151 @@
+/**
+* Keys issuing and verifying the recovery tokens.
+* Tokens are signed or encrypted with the active key and carry its ID, and are
+* verified against the active key and the retired keys still in retention.
+*/
+export class Keyring {
+    /**
+    * @param {import('../core/helios').Helios} helios Helios instance
+    * @param {KeyringOptions} [options={}] Keyring options
+    */
+    constructor(helios: import("../core/helios").Helios, options?: KeyringOptions);
+    /** @private */
+    private _helios;
+    /** @private */
+    private _options;
+    /**
+    * Keys by ID, the active key included
+    * @type {Map<string, KeyringKey>}
+    * @private
+    */
+    private _keys;
+    /**
+    * @type {KeyringKey}
+    * @private
+    */
+    private _active;
+    /** @private */
+    private _timer;
+    /**
+    * Issues a token holding the given claims with the active key, under a unique `jti`,
+    * encrypted or signed depending on the `encrypt` option
+    * @param {Object} claims Token claims
+    * @param {Object} [options={}]
+    * @param {string|number} [options.expiresIn='1h'] Token lifetime
+    * @returns {Promise<string>}
+    */
+    issue: (claims: any, { expiresIn }?: {
+        expiresIn?: string | number;
+    }) => Promise<string>;
+    /**
+    * Signs a JWT with the active key
+    * @param {import('jose').SignJWT} jwt JWT to sign
+    * @returns {Promise<string>}
+    */
+    sign: (jwt: import("jose").SignJWT) => Promise<string>;
+    /**
+    * Verifies a signed or decrypts an encrypted token against the active and retired keys
+    * @param {string} token JWT, signed (JWS) or encrypted (JWE)
+    * @returns {Promise<{payload: import('jose').JWTPayload}>}
+    * @throws {Error} If the token is invalid, expired, issued with an unknown key, or signed while only encrypted tokens are accepted
+    */
+    verify: (token: string) => Promise<{
+        payload: import("jose").JWTPayload;
+    }>;
+    /**
+    * Makes a new key active, the previous one is retired
+    * @param {KeyMaterial|{kid?: string, key: KeyMaterial}} [key] New key, random when omitted
+    * @returns {string} ID of the new active key
+    */
+    rotate: (key?: KeyMaterial | {
+        kid?: string;
+        key: KeyMaterial;
+    }) => string;
+    /**
+    * Stops the scheduled rotations
+    */
+    stop: () => void;
+    /**
+    * Gets the active key ID
+    */
+    get kid(): string;
+    /**
+    * Gets the active key
+    * @deprecated Use sign() and verify(), which also accept retired keys
+    */
+    get connection(): Uint8Array<ArrayBufferLike>;
+    /**
+    * Gets the IDs of the keys accepted for verification
+    * @returns {string[]}
+    */
+    get kids(): string[];
+    /**
+    * Finds the key a token was issued with
+    * @private
+    */
+    private _resolve;
+    /**
+    * @private
+    */
+    private _activate;
+    /**
+    * Forgets the retired keys past their retention
+    * @private
+    */
+    private _prune;
+}
+export type KeyMaterial = Uint8Array | string;
+export type KeyringKey = {
+    /**
+     * Key ID, written in the `kid` header of signed tokens
+     */
+    kid: string;
+    /**
+     * HMAC secret
+     */
+    key: Uint8Array;
+    /**
+     * A256GCM key derived from the secret
+     */
+    encryptionKey: Uint8Array;
+    /**
+     * Creation timestamp
+     */
+    createdAt: number;
+    /**
+     * Retirement timestamp, null for the active key
+     */
+    retiredAt: number | null;
+};
+export type KeyringOptions = {
+    /**
+     * Signing key, random when omitted
+     */
+    current?: KeyMaterial | {
+        kid?: string;
+        key: KeyMaterial;
+    };
+    /**
+     * Previous keys still accepted for verification
+     */
+    retired?: Array<KeyMaterial | {
+        kid?: string;
+        key: KeyMaterial;
+    }>;
+    /**
+     * Interval in ms between automatic rotations, disabled when omitted
+     */
+    rotationInterval?: number;
+    /**
+     * Time in ms a retired key stays valid, at least the recovery token lifetime
+     */
+    retention?: number;
+    /**
+     * Issue encrypted tokens (JWE dir/A256GCM) instead of signed ones
+     */
+    encrypt?: boolean;
+    /**
+     * Keep accepting signed tokens, e.g. while migrating to encrypted ones
+     */
+    acceptSigned?: boolean;
+};
@@ -0,0 +1,89 @@
+/**
+* Aggregates server metrics and renders them in the Prometheus text format
+*/
+export class MetricsManager {
+    /**
+    * @param {import('../core/helios').Helios} helios Helios instance
+    * @param {MetricsOptions} [options={}] Metrics options
+    */
+    constructor(helios: import("../core/helios").Helios, options?: MetricsOptions);
+    /** @private */
+    private _helios;
+    /** @private */
+    private _options;
+    /** @private */
+    private _token;
+    /** @private */
+    private _counters;
+    /**
+    * Metrics of each method
+    * @type {Map<string, MethodMetrics>}
+    * @private
+    */
+    private _methods;
+    /**
+    * Runs a method handler while recording its count, errors and latency.
+    * The handler gets a view of the context whose `error()` answers are counted,
+    * the context itself is left untouched.
+    * @param {string} method Method name
+    * @param {import('@helios-starling/utils').RequestContext} context Request context
+    * @param {function(*): Promise<*>} run Runs the handler
+    * @returns {Promise<*>}
+    */
+    measure: (method: string, context: import("@helios-starling/utils").RequestContext, run: (arg0: any) => Promise<any>) => Promise<any>;
+    /**
+    * Handles a request to the metrics endpoint
+    * @param {Request} req HTTP request
+    * @returns {Response|null} Null when the request is not for the metrics endpoint
+    */
+    handle: (req: Request) => Response | null;
+    /**
+    * Renders every metric in the Prometheus text format
+    * @returns {string}
+    */
+    render: () => string;
+    /**
+    * @private
+    */
+    private _authenticate;
+    /**
+    * @private
+    */
+    private _method;
+}
+export type MetricsOptions = {
+    /**
+     * Bearer token required to scrape the metrics endpoint
+     */
+    token: string;
+    /**
+     * HTTP path of the metrics endpoint
+     */
+    path?: string;
+    /**
+     * Latency histogram buckets in seconds
+     */
+    buckets?: number[];
+    /**
+     * Metric names prefix
+     */
+    prefix?: string;
+};
+export type MethodMetrics = {
+    /**
+     * Handled requests
+     */
+    requests: number;
+    /**
+     * Requests that threw or answered an error
+     */
+    errors: number;
+    /**
+     * Cumulative latency counts per bucket
+     */
+    buckets: number[];
+    /**
+     * Total latency in seconds
+     */
+    sum: number;
+};
@@ -1,136 +1,359 @@
 /**
  * @typedef {Object} ProxyMetrics
- * @property {number} totalProxied Nombre total de messages proxy
- * @property {number} activeProxies Messages en cours de proxy
- * @property {number} deniedProxies Nombre de proxy refusés
- * @property {number} successfulProxies Nombre de proxy réussis
- * @property {Object} byType Statistiques par type de message
- * @property {number[]} latencies Latences des derniers proxy (ms)
+ * @property {number} totalProxied Total number of proxied messages
+ * @property {number} activeProxies Proxied requests awaiting a response
+ * @property {number} deniedProxies Number of denied proxy attempts
+ * @property {number} successfulProxies Number of proxied requests that got a response
+ * @property {number} failedProxies Number of proxied requests that failed or timed out
+ * @property {{request: number, response: number, notification: number, errorMessage: number}} byType Proxied messages by type
+ * @property {number[]} latencies Round-trip latencies of the last proxied requests (ms)
+ * @property {number} averageLatency Average of the recorded latencies (ms)
  */
 /**
- * @callback ProxyRuleHandler
- * @returns {Promise<import('../core/starling').Starling>} Cible du proxy
+ * @typedef {Object} ProxyOptions
+ * @property {boolean} [allowRequests=true] Allows request proxying
+ * @property {boolean} [allowResponses=true] Allows response proxying
+ * @property {boolean} [allowNotifications=true] Allows notification proxying
+ * @property {boolean} [allowErrorMessages=true] Allows error message proxying
+ * @property {number} [timeout=30000] Timeout for proxied requests (ms)
+ * @property {boolean} [failOnTargetDisconnect=true] Fails proxied requests as soon as their target disconnects,
+ * instead of waiting for it to be closed
+ * @property {import('./routes').ProxyRoute[]} [routes] Routing table evaluated before the proxy middlewares
  */
 /**
- * @typedef {Object} ProxyRule
- * @property {Function} handler Handler de décision pour le proxy
- * @property {Object} options Options du handler
- * @property {boolean} [options.allowRequests=true] Autorise les requêtes
- * @property {boolean} [options.allowNotifications=true] Autorise les notifications
- * @property {number} [options.timeout=30000] Timeout pour les requêtes proxy
+ * @typedef {Object} ActiveProxy
+ * @property {string} id ID the request is forwarded with, generated by the server
+ * @property {string} requestId Request ID chosen by the source
+ * @property {string} method Requested method
+ * @property {string} sourceId Requesting Starling ID
+ * @property {string} targetId Target Starling ID
+ * @property {string[]} route Starling IDs the request went through
+ * @property {number} timestamp Forwarding timestamp
+ * @property {import('@helios-starling/utils').RequestContext} context Source request context
+ * @property {Timer} timer Timeout timer
+ * @property {string} [service] Service the request is addressed to
  */
 /**
- * Gère le routage proxy entre clients
+ * Routes messages between Starlings and keeps track of proxied requests
  */
 export class ProxyManager {
     /**
-     * @param {import('../core/helios').Helios} helios Instance Helios
+     * @param {import('../core/helios').Helios} helios Helios instance
+     * @param {ProxyOptions} [options={}] Proxy options
      */
-    constructor(helios: import("../core/helios").Helios);
+    constructor(helios: import("../core/helios").Helios, options?: ProxyOptions);
     /** @private */
     private _helios;
-    /** @private */
-    private _events;
-    /** @private */
-    private _rules;
+    /**
+     * @type {Required<ProxyOptions>}
+     * @private
+     */
+    private _options;
     /** @private */
     private _metrics;
-    /** @private */
-    private _activeProxies;
     /**
-     * Configure les règles de proxy
-     * @param {ProxyRule} rule Configuration du proxy
+     * Proxied requests awaiting a response, by forwarded ID
+     * @type {Map<string, ActiveProxy>}
+     * @private
      */
-    setRule(rule: ProxyRule): void;
+    private _activeProxies;
     /**
-     * Gère un message à proxifier
-     * @param {import('@helios-starling/utils').BaseMessage} message Message à proxy
-     * @param {import('../core/starling').Starling} source Client source
-     * @returns {Promise<boolean>} Succès du proxy
+     * Forwarded IDs of the proxied requests each Starling is involved in, as source or target
+     * @type {Map<string, Set<string>>}
+     * @private
      */
-    handleProxy(message: import("@helios-starling/utils").BaseMessage, source: import("../core/starling").Starling): Promise<boolean>;
+    private _byStarling;
     /**
-     * Gère une réponse à une requête proxy
-     * @param {import('@helios-starling/utils').Response} response Réponse
-     * @param {import('../core/starling').Starling} source Client répondant
+     * Forwarded IDs of recently failed requests, whose late responses are ignored
+     * @type {Set<string>}
+     * @private
      */
-    handleProxyResponse(response: import("@helios-starling/utils").Response, source: import("../core/starling").Starling): Promise<void>;
+    private _expired;
     /**
+     * Declarative routing table
      * @private
      */
-    private _validateProxy;
+    private _router;
+    /**
+     * Updates the proxy options
+     * @param {ProxyOptions} options Proxy options
+     */
+    configure(options?: ProxyOptions): void;
+    /**
+     * Proxies a request to the target chosen by the `onRequest` middleware
+     * @param {import('@helios-starling/utils').RequestContext} context Request context
+     */
+    request(context: import("@helios-starling/utils").RequestContext): Promise<void>;
+    /**
+     * Forwards a request to a target and tracks it until its response.
+     * The request is forwarded under an ID generated by the server, so that sources
+     * choosing the same request ID do not collide.
+     * @param {import('@helios-starling/utils').RequestContext} context Source request context
+     * @param {Starling} target Target Starling
+     * @param {Object} [options]
+     * @param {string} [options.service] Service the request is addressed to, enabling failover
+     */
+    forward(context: import("@helios-starling/utils").RequestContext, target: Starling, { service }?: {
+        service?: string;
+    }): void;
+    /**
+     * Routes the response of a proxied request to its source, or to the Starling
+     * returned by the `onResponse` middleware when one is set.
+     * Responses are only accepted from the target of a request the server proxied;
+     * late responses to failed requests are dropped.
+     * @param {import('@helios-starling/utils').ResponseContext} context Response context
+     */
+    response(context: import("@helios-starling/utils").ResponseContext): Promise<void>;
+    /**
+     * Proxies a notification to the target chosen by the `onNotification` middleware
+     * @param {import('@helios-starling/utils').NotificationContext} context Notification context
+     */
+    notification(context: import("@helios-starling/utils").NotificationContext): Promise<void>;
     /**
+     * Proxies an error message to the target chosen by the `onErrorMessage` middleware
+     * @param {import('@helios-starling/utils').ErrorMessageContext} context Error message context
+     */
+    errorMessage(context: import("@helios-starling/utils").ErrorMessageContext): Promise<void>;
+    /**
+     * Adds a route to the routing table
+     * @param {import('./routes').ProxyRoute} route Route definition
+     * @returns {function(): void} Removes the route
+     */
+    route(route: import("./routes").ProxyRoute): () => void;
+    /**
+     * Gets a proxied request awaiting a response
+     * @param {string} id ID the request was forwarded with
+     * @returns {ActiveProxy|undefined}
+     */
+    getActive(id: string): ActiveProxy | undefined;
+    /**
+     * Checks whether a message type may be proxied and resolves its target,
+     * from the first matching route or else from the proxy middleware.
+     * Denials are answered to the source and return null.
+     * @param {'request'|'response'|'notification'|'errorMessage'} type Message type
+     * @param {*} context Message context
+     * @returns {Promise<Starling|null>}
      * @private
      */
     private _resolveTarget;
+    /**
+     * Answers a denied proxy attempt
+     * @private
+     */
+    private _deny;
+    /**
+     * Starts tracking a proxied request
+     * @param {import('@helios-starling/utils').RequestContext} context Source request context
+     * @param {Starling} target Target Starling
+     * @private
+     */
+    private _track;
+    /**
+     * Sends a tracked request to its target
+     * @param {ActiveProxy} active Proxied request
+     * @param {Starling} target Target Starling
+     * @private
+     */
+    private _send;
+    /**
+     * Moves a tracked service request to another provider
+     * @param {ActiveProxy} active Proxied request
+     * @param {Starling} lost Provider that was lost
+     * @returns {boolean} Whether another provider took the request
+     * @private
+     */
+    private _failover;
+    /**
+     * Counts the proxied requests awaiting a response from a target
+     * @param {string} targetId Target Starling ID
+     * @returns {number}
+     */
+    pendingFor(targetId: string): number;
+    /**
+     * Stops tracking a proxied request
+     * @param {string} id Forwarded ID
+     * @returns {ActiveProxy|null}
+     * @private
+     */
+    private _untrack;
+    /**
+     * @private
+     */
+    private _index;
     /**
      * @private
      */
-    private _enrichMessage;
+    private _unindex;
     /**
+     * Records the response of a proxied request
+     * @param {string} id Forwarded ID
+     * @param {boolean} success Whether the response is successful
+     * @returns {ActiveProxy|null}
      * @private
      */
-    private _trackProxyRequest;
+    private _complete;
     /**
+     * Drops a response that does not match a request proxied to its sender
+     * @param {import('@helios-starling/utils').ResponseContext} context Response context
+     * @param {ActiveProxy} [active] Request proxied under the same ID to another target
      * @private
      */
-    private _sendToTarget;
+    private _rejectResponse;
     /**
+     * Fails a proxied request and answers its source
+     * @param {ActiveProxy} active Proxied request
+     * @param {string} code Error code
+     * @param {string} message Error message
      * @private
      */
-    private _handleProxyError;
+    private _fail;
     /**
+     * Fails the requests proxied to a lost Starling and forgets those it sent
+     * @param {Starling} starling Lost Starling
+     * @param {'closed'|'disconnected'} reason Why the Starling is lost
      * @private
      */
-    private _handleProxyTimeout;
+    private _handleStarlingLost;
     /**
+     * Fails a proxied request that got no response in time
+     * @param {string} id Forwarded ID
      * @private
      */
-    private _updateMetrics;
+    private _handleTimeout;
     /**
-     * Récupère les métriques de proxy
+     * @private
+     */
+    private _count;
+    /**
+     * @private
+     */
+    private _emitError;
+    /**
+     * Gets the proxy metrics
      * @returns {ProxyMetrics}
      */
     getMetrics(): ProxyMetrics;
+    /**
+     * Gets the routing table
+     */
+    get router(): ProxyRouter;
+    /**
+     * Gets the proxy options
+     * @returns {Required<ProxyOptions>}
+     */
+    get options(): Required<ProxyOptions>;
 }
 export type ProxyMetrics = {
     /**
-     * Nombre total de messages proxy
+     * Total number of proxied messages
      */
     totalProxied: number;
     /**
-     * Messages en cours de proxy
+     * Proxied requests awaiting a response
      */
     activeProxies: number;
     /**
-     * Nombre de proxy refusés
+     * Number of denied proxy attempts
      */
     deniedProxies: number;
     /**
-     * Nombre de proxy réussis
+     * Number of proxied requests that got a response
      */
     successfulProxies: number;
     /**
-     * Statistiques par type de message
+     * Number of proxied requests that failed or timed out
+     */
+    failedProxies: number;
+    /**
+     * Proxied messages by type
      */
-    byType: any;
+    byType: {
+        request: number;
+        response: number;
+        notification: number;
+        errorMessage: number;
+    };
     /**
-     * Latences des derniers proxy (ms)
+     * Round-trip latencies of the last proxied requests (ms)
      */
     latencies: number[];
+    /**
+     * Average of the recorded latencies (ms)
+     */
+    averageLatency: number;
 };
-export type ProxyRuleHandler = () => Promise<import("../core/starling").Starling>;
-export type ProxyRule = {
+export type ProxyOptions = {
     /**
-     * Handler de décision pour le proxy
+     * Allows request proxying
      */
-    handler: Function;
+    allowRequests?: boolean;
     /**
-     * Options du handler
+     * Allows response proxying
      */
-    options: {
-        allowRequests?: boolean;
-        allowNotifications?: boolean;
-        timeout?: number;
-    };
+    allowResponses?: boolean;
+    /**
+     * Allows notification proxying
+     */
+    allowNotifications?: boolean;
+    /**
+     * Allows error message proxying
+     */
+    allowErrorMessages?: boolean;
+    /**
+     * Timeout for proxied requests (ms)
+     */
+    timeout?: number;
+    /**
+     * Fails proxied requests as soon as their target disconnects,
+     * instead of waiting for it to be closed
+     */
+    failOnTargetDisconnect?: boolean;
+    /**
+     * Routing table evaluated before the proxy middlewares
+     */
+    routes?: import("./routes").ProxyRoute[];
+};
+export type ActiveProxy = {
+    /**
+     * ID the request is forwarded with, generated by the server
+     */
+    id: string;
+    /**
+     * Request ID chosen by the source
+     */
+    requestId: string;
+    /**
+     * Requested method
+     */
+    method: string;
+    /**
+     * Requesting Starling ID
+     */
+    sourceId: string;
+    /**
+     * Target Starling ID
+     */
+    targetId: string;
+    /**
+     * Starling IDs the request went through
+     */
+    route: string[];
+    /**
+     * Forwarding timestamp
+     */
+    timestamp: number;
+    /**
+     * Source request context
+     */
+    context: import("@helios-starling/utils").RequestContext;
+    /**
+     * Timeout timer
+     */
+    timer: Timer;
+    /**
+     * Service the request is addressed to
+     */
+    service?: string;
 };
+import { Starling } from "../core/starling.js";
+import { ProxyRouter } from "./routes.js";
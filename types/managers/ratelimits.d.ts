@@ -0,0 +1,130 @@
+/**
+* Applies token-bucket rate limits to incoming Starling messages
+*/
+export class RateLimitManager {
+    /**
+    * @param {import('../core/helios').Helios} helios Helios instance
+    * @param {RateLimitOptions} options Rate limit options
+    */
+    constructor(helios: import("../core/helios").Helios, options: RateLimitOptions);
+    /** @private */
+    private _helios;
+    /** @private */
+    private _options;
+    /**
+    * Buckets of each Starling, by Starling ID
+    * @type {Map<string, {global: TokenBucket|null, methods: Map<string, TokenBucket>}>}
+    * @private
+    */
+    private _starlings;
+    /**
+    * Buckets shared by identity
+    * @type {Map<string, TokenBucket>}
+    * @private
+    */
+    private _identities;
+    /**
+    * Pending delayed messages of each Starling, by Starling ID
+    * @type {Map<string, Set<ReturnType<typeof setTimeout>>>}
+    * @private
+    */
+    private _delayed;
+    /**
+    * Periodic removal of idle identity buckets
+    * @private
+    */
+    private _sweeper;
+    /**
+    * Runs a message through the rate limits, then processes it according to the policy
+    * @param {import('../core/starling').Starling} starling Sending Starling
+    * @param {string|ArrayBuffer|Uint8Array} message Raw message
+    * @param {function(): void} process Processes the message
+    */
+    handle: (starling: import("../core/starling").Starling, message: string | ArrayBuffer | Uint8Array, process: () => void) => void;
+    /**
+    * Drops the buckets of a Starling
+    * @param {import('../core/starling').Starling} starling Starling instance
+    */
+    release: (starling: import("../core/starling").Starling) => void;
+    /**
+    * Cancels every delayed message and stops the idle buckets sweep
+    */
+    stop: () => void;
+    /**
+    * Processes a message once its buckets are refilled, unless the Starling disconnects first
+    * @param {import('../core/starling').Starling} starling Sending Starling
+    * @param {function(): void} process Processes the message
+    * @param {number} wait Delay in ms
+    * @private
+    */
+    private _delay;
+    /**
+    * Cancels the delayed messages of a Starling
+    * @param {import('../core/starling').Starling} starling Starling instance
+    * @private
+    */
+    private _cancel;
+    /**
+    * Drops the identity buckets refilled to capacity, which are the same as new ones
+    * @private
+    */
+    private _sweep;
+    /**
+    * Gets the buckets a message goes through
+    * @param {import('../core/starling').Starling} starling Sending Starling
+    * @param {string} [method] Requested method
+    * @returns {TokenBucket[]}
+    * @private
+    */
+    private _buckets;
+    /**
+    * Gets the identity bucket key of a Starling
+    * @param {import('../core/starling').Starling} starling Starling instance
+    * @returns {string|null}
+    * @private
+    */
+    private _identityKey;
+    /**
+    * Extracts the request fields of a text message
+    * @param {string|ArrayBuffer|Uint8Array} message Raw message
+    * @returns {{method?: string, requestId?: string}|null}
+    * @private
+    */
+    private _parse;
+}
+export type BucketOptions = {
+    /**
+     * Maximum burst size
+     */
+    capacity: number;
+    /**
+     * Tokens refilled per second
+     */
+    refillRate: number;
+};
+export type RateLimitOptions = {
+    /**
+     * Limit applied to every message of a Starling
+     */
+    global?: BucketOptions;
+    /**
+     * Limits per method name or pattern, per Starling
+     */
+    methods?: {
+        [x: string]: BucketOptions;
+    };
+    /**
+     * Limit shared by all Starlings of an identity
+     */
+    identities?: BucketOptions & {
+        key?: (arg0: any) => string;
+    };
+    /**
+     * What to do with a message over the limit
+     */
+    policy?: "reject" | "delay" | "close";
+    /**
+     * Longest delay in ms before the delay policy falls back to rejecting
+     */
+    maxDelay?: number;
+};
@@ -0,0 +1,141 @@
+/**
+* Policy applied when a recovery token is presented again.
+* - `reject` refuses the new connection
+* - `kick-both` also closes the recovered Starling, which cannot be recovered nor rehydrated anymore
+* - `kick-older` closes the current connection of the Starling and recovers it on the new one
+* @typedef {'reject'|'kick-both'|'kick-older'} ReplayPolicy
+*/
+/**
+* @typedef {Object} RecoveryOptions
+* @property {boolean} [singleUse=true] Recovery tokens are consumed by their first successful recovery
+* @property {ReplayPolicy} [onReplay='reject'] Policy applied to reused tokens
+* @property {number} [reuseWindow=0] Time in ms during which a consumed token may be presented again
+* while its Starling is not connected, in case the replacing token was lost with the connection, 0 to disable
+* @property {number} [revocationTTL=86400000] Time in ms during which the tokens of a Starling closed on purpose
+* are refused, at least the recovery token lifetime
+*/
+/**
+* @typedef {Object} ConsumedToken
+* @property {number} consumedAt Consumption timestamp
+* @property {number} expiresAt Expiration timestamp of the token
+* @property {boolean} [revoked] Whether the token is refused even within the reuse window
+*/
+/**
+* Registry of consumed recovery tokens, by `jti`, and of the Starlings closed on purpose, by ID.
+* Tokens are tracked in memory: they are not shared between servers and are forgotten on restart.
+*/
+export class ReplayGuard {
+    /**
+    * @param {RecoveryOptions} [options={}] Recovery options
+    */
+    constructor(options?: RecoveryOptions);
+    /** @private */
+    private _reuseWindow;
+    /** @private */
+    private _revocationTTL;
+    /**
+    * Consumed tokens
+    * @type {Map<string, ConsumedToken>}
+    * @private
+    */
+    private _consumed;
+    /**
+    * Tokens used by a recovery in progress
+    * @type {Set<string>}
+    * @private
+    */
+    private _pending;
+    /**
+    * Expiration timestamps of the revocations, by ID of the Starlings closed on purpose
+    * @type {Map<string, number>}
+    * @private
+    */
+    private _revoked;
+    /**
+    * Last pruning timestamp
+    * @private
+    */
+    private _prunedAt;
+    /**
+    * Checks whether a token may be used for a recovery
+    * @param {import('jose').JWTPayload} payload Verified token payload
+    * @param {boolean} connected Whether the Starling of the token is connected
+    * @returns {boolean} False when the token is replayed
+    */
+    accepts: (payload: import("jose").JWTPayload, connected: boolean) => boolean;
+    /**
+    * Checks whether a token belongs to a Starling closed on purpose
+    * @param {import('jose').JWTPayload} payload Verified token payload
+    * @returns {boolean}
+    */
+    revoked: (payload: import("jose").JWTPayload) => boolean;
+    /**
+    * Revokes the tokens of a Starling closed on purpose, so that they neither recover nor rehydrate it
+    * @param {string} starlingId ID of the closed Starling
+    * @param {import('jose').JWTPayload} [payload] Token whose replay closed it, never accepted again
+    */
+    revoke: (starlingId: string, payload?: import("jose").JWTPayload) => void;
+    /**
+    * Marks a token as used by a recovery in progress, until end() is called
+    * @param {import('jose').JWTPayload} payload Verified token payload
+    */
+    begin: (payload: import("jose").JWTPayload) => void;
+    /**
+    * Ends a recovery, consuming its token when it succeeded.
+    * A token presented again within the reuse window keeps its first consumption time.
+    * @param {import('jose').JWTPayload} payload Verified token payload
+    * @param {boolean} recovered Whether the recovery succeeded
+    */
+    end: (payload: import("jose").JWTPayload, recovered: boolean) => void;
+    /**
+    * Gets the number of tracked tokens
+    */
+    get size(): number;
+    /**
+    * Forgets expired tokens, which can no longer be presented, and expired revocations.
+    * Tokens do not expire in consumption order, so the whole registry is scanned, once a minute at most.
+    * @private
+    */
+    private _prune;
+}
+/**
+ * Policy applied when a recovery token is presented again.
+ * - `reject` refuses the new connection
+ * - `kick-both` also closes the recovered Starling, which cannot be recovered nor rehydrated anymore
+ * - `kick-older` closes the current connection of the Starling and recovers it on the new one
+ */
+export type ReplayPolicy = "reject" | "kick-both" | "kick-older";
+export type RecoveryOptions = {
+    /**
+     * Recovery tokens are consumed by their first successful recovery
+     */
+    singleUse?: boolean;
+    /**
+     * Policy applied to reused tokens
+     */
+    onReplay?: ReplayPolicy;
+    /**
+     * Time in ms during which a consumed token may be presented again
+     * while its Starling is not connected, in case the replacing token was lost with the connection, 0 to disable
+     */
+    reuseWindow?: number;
+    /**
+     * Time in ms during which the tokens of a Starling closed on purpose
+     * are refused, at least the recovery token lifetime
+     */
+    revocationTTL?: number;
+};
+export type ConsumedToken = {
+    /**
+     * Consumption timestamp
+     */
+    consumedAt: number;
+    /**
+     * Expiration timestamp of the token
+     */
+    expiresAt: number;
+    /**
+     * Whether the token is refused even within the reuse window
+     */
+    revoked?: boolean;
+};
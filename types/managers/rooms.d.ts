@@ -0,0 +1,90 @@
+/**
+* @callback RoomAuthorizationHandler
+* @param {import('../core/starling').Starling} starling Starling asking for access
+* @param {string} room Room name
+* @param {'join'|'leave'} action Requested action
+* @returns {boolean|Promise<boolean>} Whether the action is allowed
+*/
+/**
+* Manages room memberships of Starlings.
+* Memberships are kept while a Starling is disconnected and dropped when it is closed.
+*/
+export class RoomsManager {
+    /**
+    * @param {import('../core/helios').Helios} helios Helios instance
+    */
+    constructor(helios: import("../core/helios").Helios);
+    /** @private */
+    private _helios;
+    /**
+    * Members of each room
+    * @type {Map<string, Set<import('../core/starling').Starling>>}
+    * @private
+    */
+    private _rooms;
+    /**
+    * Rooms of each Starling, by Starling ID
+    * @type {Map<string, Set<string>>}
+    * @private
+    */
+    private _memberships;
+    /**
+    * Adds a Starling to a room
+    * @param {import('../core/starling').Starling} starling Starling instance
+    * @param {string} room Room name
+    * @returns {boolean} Whether the Starling was not already a member
+    */
+    join: (starling: import("../core/starling").Starling, room: string) => boolean;
+    /**
+    * Removes a Starling from a room
+    * @param {import('../core/starling').Starling} starling Starling instance
+    * @param {string} room Room name
+    * @returns {boolean} Whether the Starling was a member
+    */
+    leave: (starling: import("../core/starling").Starling, room: string) => boolean;
+    /**
+    * Removes a Starling from every room it belongs to
+    * @param {import('../core/starling').Starling} starling Starling instance
+    */
+    leaveAll: (starling: import("../core/starling").Starling) => void;
+    /**
+    * Gets the members of a room, connected or not
+    * @param {string} room Room name
+    * @returns {import('../core/starling').Starling[]}
+    */
+    members: (room: string) => import("../core/starling").Starling[];
+    /**
+    * Gets the rooms a Starling belongs to
+    * @param {import('../core/starling').Starling} starling Starling instance
+    * @returns {string[]}
+    */
+    of: (starling: import("../core/starling").Starling) => string[];
+    /**
+    * Checks if a Starling belongs to a room
+    * @param {import('../core/starling').Starling} starling Starling instance
+    * @param {string} room Room name
+    * @returns {boolean}
+    */
+    has: (starling: import("../core/starling").Starling, room: string) => boolean;
+    /**
+    * Broadcasts a notification to the connected members of a room
+    * @param {string} room Room name
+    * @param {string} topic Notification topic
+    * @param {*} data Notification data
+    */
+    broadcast: (room: string, topic: string, data: any) => void;
+    /**
+    * Checks whether a Starling may join or leave a room
+    * @param {import('../core/starling').Starling} starling Starling instance
+    * @param {string} room Room name
+    * @param {'join'|'leave'} action Requested action
+    * @returns {Promise<boolean>}
+    */
+    authorize: (starling: import("../core/starling").Starling, room: string, action: "join" | "leave") => Promise<boolean>;
+    /**
+    * Gets the names of all non-empty rooms
+    * @returns {string[]}
+    */
+    get names(): string[];
+}
+export type RoomAuthorizationHandler = (starling: import("../core/starling").Starling, room: string, action: "join" | "leave") => boolean | Promise<boolean>;
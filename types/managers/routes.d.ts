@@ -0,0 +1,110 @@
+/**
+* Declarative routing table evaluated by the ProxyManager before the proxy middlewares
+*/
+export class ProxyRouter {
+    /**
+    * @param {import('../core/helios').Helios} helios Helios instance
+    * @param {ProxyRoute[]} [routes=[]] Initial routes
+    */
+    constructor(helios: import("../core/helios").Helios, routes?: ProxyRoute[]);
+    /** @private */
+    private _helios;
+    /**
+    * Routes in evaluation order
+    * @type {ProxyRoute[]}
+    * @private
+    */
+    private _routes;
+    /**
+    * Appends a route to the table
+    * @param {ProxyRoute} route Route definition
+    * @returns {function(): void} Removes the route
+    */
+    add: (route: ProxyRoute) => () => void;
+    /**
+    * Resolves a message against the first matching route
+    * @param {'request'|'notification'|'errorMessage'} type Message type
+    * @param {*} context Message context
+    * @returns {Promise<RouteResolution|null>} Null when no route matches
+    */
+    resolve: (type: "request" | "notification" | "errorMessage", context: any) => Promise<RouteResolution | null>;
+    /**
+    * Selects the target of a route, preferring connected Starlings
+    * @param {RouteTarget|RouteTargetHandler} selector Target selector
+    * @param {*} context Message context
+    * @returns {Promise<import('../core/starling').Starling|null>}
+    * @private
+    */
+    private _select;
+    /**
+    * Gets the routes in evaluation order
+    * @returns {ProxyRoute[]}
+    */
+    get routes(): ProxyRoute[];
+}
+/**
+ * A target selector value, either fixed or computed from the message context
+ */
+export type TargetValue = string | ((arg0: any) => (string | null | undefined));
+export type RouteTarget = {
+    /**
+     * Target Starling ID
+     */
+    id?: TargetValue;
+    /**
+     * Target identity key (e.g. user ID)
+     */
+    identity?: TargetValue;
+    /**
+     * Tag carried by the target
+     */
+    tag?: TargetValue;
+    /**
+     * Room the target belongs to
+     */
+    room?: TargetValue;
+};
+export type RouteTargetHandler = (context: any, starlings: import("./starlings").StarlingsManager) => import("../core/starling").Starling | null | Promise<import("../core/starling").Starling | null>;
+export type ProxyRoute = {
+    /**
+     * Method or topic glob pattern, e.g. `device:*`
+     */
+    match: string;
+    /**
+     * Message types the route applies to
+     */
+    types?: Array<"request" | "notification" | "errorMessage">;
+    /**
+     * How the target is chosen, the proxy middleware being used when none is found
+     */
+    target: RouteTarget | RouteTargetHandler;
+    /**
+     * Source identity keys (or predicate) allowed to use the route
+     */
+    allow?: string[] | ((arg0: any | null, arg1: import("../core/starling").Starling) => boolean);
+    /**
+     * Source identity keys (or predicate) denied from the route
+     */
+    deny?: string[] | ((arg0: any | null, arg1: import("../core/starling").Starling) => boolean);
+    /**
+     * Maximum payload size in bytes
+     */
+    maxPayloadSize?: number;
+};
+export type RouteResolution = {
+    /**
+     * Matching route
+     */
+    route: ProxyRoute;
+    /**
+     * Resolved target, null when none is found
+     */
+    target: import("../core/starling").Starling | null;
+    /**
+     * Denial, if any
+     */
+    denied: {
+        code: string;
+        message: string;
+    } | null;
+};
@@ -0,0 +1,133 @@
+export function formatIssues(error: import("zod").ZodError): ValidationIssue[];
+/**
+* Keeps the definitions of methods and topics, and validates their payloads, results
+* and notification data against zod schemas
+*/
+export class SchemaManager {
+    /**
+    * @param {import('../core/helios').Helios} helios Helios instance
+    * @param {{validateOutput?: boolean, introspection?: boolean}} [options={}] Validation options
+    */
+    constructor(helios: import("../core/helios").Helios, options?: {
+        validateOutput?: boolean;
+        introspection?: boolean;
+    });
+    /** @private */
+    private _helios;
+    /**
+    * Results are checked against output schemas outside of production by default
+    * @private
+    */
+    private _validateOutput;
+    /**
+    * Whether `system:methods` describes the definitions, which reveals the API to every client
+    * @private
+    */
+    private _introspection;
+    /**
+    * Definitions of each method
+    * @type {Map<string, MethodSchemas>}
+    * @private
+    */
+    private _methods;
+    /**
+    * Definitions of each notification topic
+    * @type {Map<string, TopicSchemas>}
+    * @private
+    */
+    private _topics;
+    /**
+    * Wraps a method handler with its schemas
+    * @param {string} method Method name
+    * @param {function(import('@helios-starling/utils').RequestContext): *} handler Method handler
+    * @param {MethodSchemas} [schemas={}] Method schemas
+    * @returns {function(import('@helios-starling/utils').RequestContext): Promise<*>} Handler running only for valid payloads
+    */
+    method: (method: string, handler: (arg0: import("@helios-starling/utils").RequestContext) => any, { input, output, description, timeout }?: MethodSchemas) => (arg0: import("@helios-starling/utils").RequestContext) => Promise<any>;
+    /**
+    * Wraps a notification topic handler with its schema
+    * @param {string} topic Notification topic
+    * @param {function(import('@helios-starling/utils').NotificationContext): *} handler Topic handler
+    * @param {TopicSchemas} [schemas={}] Topic schemas
+    * @returns {function(import('@helios-starling/utils').NotificationContext): Promise<*>} Handler running only for valid data
+    */
+    topic: (topic: string, handler: (arg0: import("@helios-starling/utils").NotificationContext) => any, { input, description }?: TopicSchemas) => (arg0: import("@helios-starling/utils").NotificationContext) => Promise<any>;
+    /**
+    * Describes the registered methods and topics, with their schemas as JSON Schema
+    * @returns {import('../utils/contract').MethodsDescription}
+    */
+    describe: () => import("../utils/contract").MethodsDescription;
+    /**
+    * Forgets the definition of a method, which is no longer listed by `system:methods`
+    * @param {string} method Method name
+    */
+    forget: (method: string) => void;
+    /**
+    * Gets the definition of a method
+    * @param {string} method Method name
+    * @returns {MethodSchemas|null}
+    */
+    ofMethod: (method: string) => MethodSchemas | null;
+    /**
+    * Gets the definition of a notification topic
+    * @param {string} topic Notification topic
+    * @returns {TopicSchemas|null}
+    */
+    ofTopic: (topic: string) => TopicSchemas | null;
+    /**
+    * Gets whether results are checked against output schemas
+    */
+    get validatesOutput(): boolean;
+    /**
+    * Gets whether `system:methods` is enabled
+    */
+    get introspection(): boolean;
+    /**
+    * Emits a validation failure
+    * @private
+    */
+    private _failed;
+}
+export type MethodSchemas = {
+    /**
+     * Schema of the request payload
+     */
+    input?: import("zod").ZodTypeAny;
+    /**
+     * Schema of the data passed to `context.success()`, checked when output
+     * validation is enabled. Values returned by the handler are not responses and are not checked.
+     */
+    output?: import("zod").ZodTypeAny;
+    /**
+     * Description, listed by `system:methods`
+     */
+    description?: string;
+    /**
+     * Timeout in milliseconds
+     */
+    timeout?: number;
+};
+export type TopicSchemas = {
+    /**
+     * Schema of the notification data
+     */
+    input?: import("zod").ZodTypeAny;
+    /**
+     * Description, listed by `system:methods`
+     */
+    description?: string;
+};
+export type ValidationIssue = {
+    /**
+     * Dotted path of the failing value, empty for the payload itself
+     */
+    path: string;
+    /**
+     * Zod issue code
+     */
+    code: string;
+    /**
+     * Issue message
+     */
+    message: string;
+};
@@ -0,0 +1,147 @@
+/**
+* @typedef {Object} ServicesOptions
+* @property {'round-robin'|'least-in-flight'|'sticky'} [strategy='round-robin'] How a provider is chosen
+* @property {function(*): (string|null|undefined)} [stickyKey] Key of a request for the sticky strategy,
+* defaults to the source identity key, then the source Starling ID
+* @property {function(import('../core/starling').Starling, string[]): (boolean|Promise<boolean>)} [authorize]
+* Whether a Starling may register as a provider of the given methods (everything is denied when omitted)
+*/
+/**
+* Registry of worker Starlings providing methods, and load balancer of the requests sent to them
+*/
+export class ServicesManager {
+    /**
+    * @param {import('../core/helios').Helios} helios Helios instance
+    * @param {ServicesOptions} [options={}] Services options
+    */
+    constructor(helios: import("../core/helios").Helios, options?: ServicesOptions);
+    /** @private */
+    private _helios;
+    /** @private */
+    private _options;
+    /**
+    * Providers of each method, in registration order
+    * @type {Map<string, import('../core/starling').Starling[]>}
+    * @private
+    */
+    private _providers;
+    /**
+    * Round-robin cursor of each method
+    * @type {Map<string, number>}
+    * @private
+    */
+    private _cursors;
+    /**
+    * Provider ID chosen for each sticky key, by method
+    * @type {Map<string, Map<string, string>>}
+    * @private
+    */
+    private _sticky;
+    /**
+    * Methods registered on the Helios node to receive service requests, while they have providers
+    * @type {Set<string>}
+    * @private
+    */
+    private _exposed;
+    /**
+    * Methods whose handler was registered on the Helios node, which keeps it once concealed
+    * @type {Set<string>}
+    * @private
+    */
+    private _registered;
+    /**
+    * Registers a Starling as a provider of methods
+    * @param {import('../core/starling').Starling} starling Provider Starling
+    * @param {string[]} methods Provided methods
+    */
+    register: (starling: import("../core/starling").Starling, methods: string[]) => void;
+    /**
+    * Unregisters a provider from some or all of its methods
+    * @param {import('../core/starling').Starling} starling Provider Starling
+    * @param {string[]} [methods] Methods to withdraw, all when omitted
+    */
+    unregister: (starling: import("../core/starling").Starling, methods?: string[]) => void;
+    /**
+    * Checks whether a method is provided by a service
+    * @param {string} method Method name
+    * @returns {boolean}
+    */
+    provides: (method: string) => boolean;
+    /**
+    * Gets the providers of a method
+    * @param {string} method Method name
+    * @returns {import('../core/starling').Starling[]}
+    */
+    providers: (method: string) => import("../core/starling").Starling[];
+    /**
+    * Gets the methods a Starling provides
+    * @param {import('../core/starling').Starling} starling Provider Starling
+    * @returns {string[]}
+    */
+    of: (starling: import("../core/starling").Starling) => string[];
+    /**
+    * Chooses a connected provider for a request according to the strategy
+    * @param {string} method Method name
+    * @param {import('@helios-starling/utils').RequestContext} context Request context
+    * @param {Object} [options]
+    * @param {import('../core/starling').Starling} [options.exclude] Provider to skip
+    * @returns {import('../core/starling').Starling|null}
+    */
+    select: (method: string, context: import("@helios-starling/utils").RequestContext, { exclude }?: {
+        exclude?: import("../core/starling").Starling;
+    }) => import("../core/starling").Starling | null;
+    /**
+    * Forwards a request to a provider of its method
+    * @param {import('@helios-starling/utils').RequestContext} context Request context
+    */
+    dispatch: (context: import("@helios-starling/utils").RequestContext) => void;
+    /**
+    * Checks whether a Starling may register as a provider.
+    * Nobody may without an `authorize` option, and methods of the node itself are never provided.
+    * @param {import('../core/starling').Starling} starling Starling instance
+    * @param {string[]} methods Methods to provide
+    * @returns {Promise<boolean>}
+    */
+    authorize: (starling: import("../core/starling").Starling, methods: string[]) => Promise<boolean>;
+    /**
+    * Checks whether a method is built in or registered on the node, and cannot be provided
+    * @param {string} method Method name
+    * @returns {boolean}
+    */
+    reserved: (method: string) => boolean;
+    /**
+    * Picks the next provider in round-robin order
+    * @private
+    */
+    private _next;
+    /**
+    * @private
+    */
+    private _stickyKey;
+    /**
+    * Registers a Helios method receiving the requests for a provided method
+    * @private
+    */
+    private _expose;
+    /**
+    * Forgets a method that lost its last provider. Its handler stays on the node
+    * and answers `SERVICE_UNAVAILABLE` until a provider registers again, which exposes it again.
+    * @private
+    */
+    private _conceal;
+}
+export type ServicesOptions = {
+    /**
+     * How a provider is chosen
+     */
+    strategy?: "round-robin" | "least-in-flight" | "sticky";
+    /**
+     * Key of a request for the sticky strategy,
+     * defaults to the source identity key, then the source Starling ID
+     */
+    stickyKey?: (arg0: any) => (string | null | undefined);
+    /**
+     * Whether a Starling may register as a provider of the given methods (everything is denied when omitted)
+     */
+    authorize?: (arg0: import("../core/starling").Starling, arg1: string[]) => (boolean | Promise<boolean>);
+};
@@ -1,4 +1,10 @@
 /**
+* @typedef {Object} CustomIndex
+* @property {function(import('../core/starling').Starling): *} key Computes the index key of a Starling
+* @property {Map<*, Set<import('../core/starling').Starling>>} starlings Starlings by key
+* @property {Map<import('../core/starling').Starling, *>} keys Current key of each indexed Starling
+*/
+/**
 * Manages Starling connections and their lifecycle
 */
 export class StarlingsManager {
@@ -21,6 +27,44 @@ export class StarlingsManager {
     */
     private _starlingsById;
     /**
+    * Starlings of each identity, by identity key
+    * @type {Map<string, Set<import('../core/starling').Starling>>}
+    * @private
+    */
+    private _starlingsByIdentity;
+    /**
+    * Starlings carrying each tag
+    * @type {Map<string, Set<import('../core/starling').Starling>>}
+    * @private
+    */
+    private _starlingsByTag;
+    /**
+    * User-defined indexes, by name
+    * @type {Map<string, CustomIndex>}
+    * @private
+    */
+    private _indexes;
+    /**
+    * Connected Starlings
+    * @type {Set<import('../core/starling').Starling>}
+    * @private
+    */
+    private _connected;
+    /**
+    * Disconnected Starlings awaiting recovery
+    * @type {Set<import('../core/starling').Starling>}
+    * @private
+    */
+    private _disconnected;
+    /** @private */
+    private _rooms;
+    /**
+    * Consumed recovery tokens
+    * @type {ReplayGuard}
+    * @private
+    */
+    private _replays;
+    /**
     * Handles new WebSocket connections and recovery attempts
     * @param {import('bun').ServerWebSocket} ws WebSocket connection
     */
@@ -34,9 +78,45 @@ export class StarlingsManager {
     */
     private _attemptRecovery;
     /**
+    * Recovers a Starling on a new connection, or rehydrates it when it is unknown
+    * @param {import('bun').ServerWebSocket} ws WebSocket connection
+    * @param {string} token Recovery token
+    * @param {import('jose').JWTPayload} payload Verified token payload
+    * @param {import('../core/starling').Starling} [existingStarling] Starling the token belongs to
+    * @returns {Promise<import('../core/starling').Starling|null>} Null when the Starling is unknown and rehydration is off
+    * @private
+    */
+    private _recover;
+    /**
+    * Applies the replay policy to a recovery token presented again
+    * @param {import('jose').JWTPayload} payload Verified token payload
+    * @param {import('../core/starling').Starling} [starling] Starling the token belongs to
+    * @throws {Error} With the `RECOVERY_REPLAY` code, unless the policy lets the recovery proceed
+    * @private
+    */
+    private _handleReplay;
+    /**
+    * Generates the token replacing a consumed one
+    * @param {import('../core/starling').Starling} starling Starling instance
+    * @returns {Promise<string|null>}
+    * @private
+    */
+    private _freshToken;
+    /**
+    * Recreates a Starling unknown to this server (e.g. after a restart) under its original ID.
+    * `starling:new` is emitted before the states are restored so that listeners can register
+    * their state providers, which are then replayed from the token.
+    * @param {import('bun').ServerWebSocket} ws WebSocket connection
+    * @param {string} token Verified recovery token
+    * @param {import('jose').JWTPayload} payload Verified token payload
+    * @returns {Promise<import('../core/starling').Starling>}
+    * @throws {Error} If the states could not be restored
+    * @private
+    */
+    private _rehydrateStarling;
+    /**
     * Creates a new Starling instance
     * @param {import('bun').ServerWebSocket} ws WebSocket connection
-    * @param {string} [recoverToken] Optional recovery token for state restoration
     * @private
     */
     private _createNewStarling;
@@ -53,19 +133,141 @@ export class StarlingsManager {
     */
     getById: (id: string) => import("../core/starling").Starling | undefined;
     /**
-    * Filters Starlings based on a predicate
-    * @param {function(import('../core/starling').Starling): boolean} predicate Filter function
+    * Gets every Starling (device) of an identity
+    * @param {string} key Identity key, i.e. the `userId` (or `id`) of the identity
+    * @returns {import('../core/starling').Starling[]}
+    */
+    getByIdentity: (key: string) => import("../core/starling").Starling[];
+    /**
+    * Gets the key of an identity, read by the `identityKey` option when set
+    * @param {Object|null} identity Starling identity
+    * @returns {string|null}
+    */
+    identityKey: (identity: any | null) => string | null;
+    /**
+    * Sends a notification to every Starling of an identity.
+    * Disconnected Starlings buffer it until they recover.
+    * @param {string} key Identity key
+    * @param {string} topic Notification topic
+    * @param {*} data Notification data
+    * @returns {number} Number of notified Starlings
+    */
+    notifyIdentity: (key: string, topic: string, data: any) => number;
+    /**
+    * Attaches an identity to a Starling, e.g. after an in-band login
+    * @param {import('../core/starling').Starling} starling Starling instance
+    * @param {Object|null} identity Identity (user id, device id, claims...)
+    */
+    identify: (starling: import("../core/starling").Starling, identity: any | null) => void;
+    /**
+    * Checks that an identity may replace another, i.e. that both have the same key.
+    * Missing identities never conflict.
+    * @param {Object|null} [current] Current identity
+    * @param {Object|null} [next] New identity
+    * @returns {boolean}
+    * @private
+    */
+    private _sameIdentity;
+    /**
+    * @private
+    */
+    private _indexIdentity;
+    /**
+    * @private
+    */
+    private _unindexIdentity;
+    /**
+    * Gets every Starling carrying a tag
+    * @param {string} tag Tag
+    * @returns {import('../core/starling').Starling[]}
+    */
+    getByTag: (tag: string) => import("../core/starling").Starling[];
+    /**
+    * Updates the tag index after a Starling is tagged or untagged
+    * @param {import('../core/starling').Starling} starling Starling instance
+    * @param {string} tag Tag
+    * @param {boolean} tagged Whether the Starling now carries the tag
+    * @private
+    */
+    private _setTag;
+    /**
+    * Defines a custom index over the Starlings, e.g. `starling => starling.data.get('region')`.
+    * Keys are computed when a Starling is added; call reindex() when they change.
+    * Starlings whose key is `undefined` or `null` are not indexed.
+    * @param {string} name Index name
+    * @param {function(import('../core/starling').Starling): *} key Computes the index key of a Starling
+    */
+    defineIndex: (name: string, key: (arg0: import("../core/starling").Starling) => any) => void;
+    /**
+    * Gets the Starlings whose key in a custom index equals a value
+    * @param {string} name Index name
+    * @param {*} value Index key
     * @returns {import('../core/starling').Starling[]}
+    * @throws {Error} If the index is not defined
+    */
+    getByIndex: (name: string, value: any) => import("../core/starling").Starling[];
+    /**
+    * Recomputes the custom index keys of a Starling
+    * @param {import('../core/starling').Starling} starling Starling instance
+    */
+    reindex: (starling: import("../core/starling").Starling) => void;
+    /**
+    * @private
+    */
+    private _indexCustom;
+    /**
+    * @private
+    */
+    private _unindexCustom;
+    /**
+    * Moves a Starling between the connected and disconnected sets
+    * @param {import('../core/starling').Starling} starling Starling instance
+    * @param {boolean} connected Whether the Starling is now connected
+    * @private
     */
-    filter: (predicate: (arg0: import("../core/starling").Starling) => boolean) => import("../core/starling").Starling[];
+    private _setConnected;
     /**
-     * Finds a Starling based on a predicate
-     * @param {function(import('../core/starling').Starling, number, import('../core/starling').Starling[]): boolean} predicate Find function
+    * Adds a new Starling and its socket to every index
+    * @param {import('bun').ServerWebSocket} ws WebSocket connection
+    * @param {import('../core/starling').Starling} starling Starling instance
+    * @private
+    */
+    private _register;
+    /**
+    * @private
+    */
+    private _isRegistered;
+    /**
+    * Iterates over Starlings, optionally matching a predicate, without copying the collection
+    * @param {function(import('../core/starling').Starling): boolean} [predicate] Filter function
+    * @param {Object} [options]
+    * @param {boolean} [options.connected] Only connected (true) or disconnected (false) Starlings
+    * @returns {Generator<import('../core/starling').Starling>}
+    */
+    iterate(predicate?: (arg0: import("../core/starling").Starling) => boolean, { connected }?: {
+        connected?: boolean;
+    }): Generator<import("../core/starling").Starling>;
+    /**
+    * Filters Starlings based on a predicate.
+    * Only the matching Starlings are copied: unlike Array#filter, the predicate gets no array argument.
+    * @param {function(import('../core/starling').Starling, number): boolean} predicate Filter function
+    * @returns {import('../core/starling').Starling[]}
+    */
+    filter: (predicate: (arg0: import("../core/starling").Starling, arg1: number) => boolean) => import("../core/starling").Starling[];
+    /**
+     * Finds a Starling based on a predicate, without copying the collection
+     * @param {function(import('../core/starling').Starling, number): boolean} predicate Find function
      * @returns {import('../core/starling').Starling|undefined}
      * @private
      */
     private find;
     /**
+    * Closes a Starling on purpose: its recovery tokens can no longer recover nor rehydrate it
+    * @param {import('../core/starling').Starling} starling Starling instance
+    * @param {string} [reason='Connection revoked'] Close reason
+    */
+    revoke: (starling: import("../core/starling").Starling, reason?: string) => void;
+    /**
     * Removes a Starling from the manager
     * @param {import('../core/starling').Starling} starling Starling instance
     * @returns {boolean} Whether the Starling was removed
@@ -79,11 +281,34 @@ export class StarlingsManager {
     */
     broadcast: (topic: string, data: any, filter?: (arg0: import("../core/starling").Starling) => boolean) => void;
     /**
+    * Gets the rooms manager
+    */
+    get rooms(): RoomsManager;
+    /**
     * Gets the count of connected Starlings
     */
     get connectedCount(): number;
     /**
+    * Gets the count of disconnected Starlings awaiting recovery
+    */
+    get disconnectedCount(): number;
+    /**
     * Gets the total count of Starlings (connected + disconnected)
     */
     get totalCount(): number;
 }
+export type CustomIndex = {
+    /**
+     * Computes the index key of a Starling
+     */
+    key: (arg0: import("../core/starling").Starling) => any;
+    /**
+     * Starlings by key
+     */
+    starlings: Map<any, Set<import("../core/starling").Starling>>;
+    /**
+     * Current key of each indexed Starling
+     */
+    keys: Map<import("../core/starling").Starling, any>;
+};
+import { RoomsManager } from "./rooms.js";
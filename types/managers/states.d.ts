@@ -7,7 +7,7 @@
 /**
  * @typedef {Object} StateTokenOptions
  * @property {string} [expiresIn='1h'] Token expiration time
- * @property {Object} [customClaims={}] Additional JWT claims
+ * @property {Object} [customClaims={}] Additional JWT claims, which cannot set the `bnd` and `stateRef` claims
  */
 /**
  * @typedef {Object} StateRegistrationOptions
@@ -39,6 +39,12 @@ export class StatesManager {
     private _options;
     _stateGenerationLock: Promise<any>;
     _currentGenerationId: `${string}-${string}-${string}-${string}-${string}`;
+    /**
+     * Reference of the latest stored states, retired once replaced by a newer token
+     * @type {string|null}
+     * @private
+     */
+    private _stateRef;
     /**
      * Registers a new state provider
      * @param {string} namespace State namespace
@@ -60,6 +66,32 @@ export class StatesManager {
      * @returns {Promise<void>}
      */
     restore: (token: string) => Promise<void>;
+    /**
+     * Loads the states referenced by a verified token payload.
+     * States come from the configured state store when the token carries a
+     * reference, and from the token itself otherwise.
+     * @param {import('jose').JWTPayload} payload Verified token payload
+     * @returns {Promise<Object<string, *>>} States by namespace
+     * @throws {Error} If the referenced states are missing or belong to another Starling
+     */
+    load: (payload: import("jose").JWTPayload) => Promise<{
+        [x: string]: any;
+    }>;
+    /**
+     * Deletes stored states that were restored or replaced, once the reuse window of
+     * their token is over, as its replacement may have been lost with the connection
+     * @param {string} ref State reference
+     * @returns {Promise<void>}
+     * @private
+     */
+    private _retire;
+    /**
+     * Deletes stored states
+     * @param {string} ref State reference
+     * @returns {Promise<void>}
+     * @private
+     */
+    private _delete;
     /**
      * Notifies the Starling of its current state token
      * @param {StateTokenOptions} [options={}] Token options
@@ -101,7 +133,7 @@ export type StateTokenOptions = {
      */
     expiresIn?: string;
     /**
-     * Additional JWT claims
+     * Additional JWT claims, which cannot set the `bnd` and `stateRef` claims
      */
     customClaims?: any;
 };
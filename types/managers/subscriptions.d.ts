@@ -0,0 +1,92 @@
+/**
+* @callback TopicAuthorizationHandler
+* @param {import('../core/starling').Starling} starling Starling asking for access
+* @param {string} topic Topic or topic pattern
+* @param {'subscribe'|'unsubscribe'} action Requested action
+* @returns {boolean|Promise<boolean>} Whether the action is allowed
+*/
+/**
+* Manages client-driven topic subscriptions.
+* Each subscribed topic or pattern is mirrored as a Bun pub/sub channel on the
+* Starling socket, so publishing fans out natively once the server is running.
+*/
+export class SubscriptionsManager {
+    /**
+    * @param {import('../core/helios').Helios} helios Helios instance
+    */
+    constructor(helios: import("../core/helios").Helios);
+    /** @private */
+    private _helios;
+    /**
+    * Subscribers of each topic or pattern
+    * @type {Map<string, Set<import('../core/starling').Starling>>}
+    * @private
+    */
+    private _subscribers;
+    /**
+    * Topics and patterns of each Starling, by Starling ID
+    * @type {Map<string, Set<string>>}
+    * @private
+    */
+    private _subscriptions;
+    /**
+    * Subscribes a Starling to a topic or pattern
+    * @param {import('../core/starling').Starling} starling Starling instance
+    * @param {string} topic Topic or pattern, e.g. `market:*`
+    * @returns {boolean} Whether the Starling was not already subscribed
+    */
+    subscribe: (starling: import("../core/starling").Starling, topic: string) => boolean;
+    /**
+    * Unsubscribes a Starling from a topic or pattern
+    * @param {import('../core/starling').Starling} starling Starling instance
+    * @param {string} topic Topic or pattern
+    * @returns {boolean} Whether the Starling was subscribed
+    */
+    unsubscribe: (starling: import("../core/starling").Starling, topic: string) => boolean;
+    /**
+    * Unsubscribes a Starling from everything
+    * @param {import('../core/starling').Starling} starling Starling instance
+    */
+    unsubscribeAll: (starling: import("../core/starling").Starling) => void;
+    /**
+    * Re-applies the subscriptions of a Starling on its current socket
+    * @param {import('../core/starling').Starling} starling Starling instance
+    */
+    apply: (starling: import("../core/starling").Starling) => void;
+    /**
+    * Publishes a notification to every Starling subscribed to a matching topic or pattern.
+    * Each Starling receives it once, even when subscribed to several matching patterns.
+    * Disconnected Starlings do not receive published notifications.
+    * @param {string} topic Notification topic
+    * @param {*} data Notification data
+    * @returns {number} Number of matching topics and patterns
+    */
+    publish: (topic: string, data: any) => number;
+    /**
+    * Checks whether a Starling may subscribe to or unsubscribe from a topic
+    * @param {import('../core/starling').Starling} starling Starling instance
+    * @param {string} topic Topic or pattern
+    * @param {'subscribe'|'unsubscribe'} action Requested action
+    * @returns {Promise<boolean>}
+    */
+    authorize: (starling: import("../core/starling").Starling, topic: string, action: "subscribe" | "unsubscribe") => Promise<boolean>;
+    /**
+    * Checks whether a Starling reached the `maxSubscriptions` limit (100 by default)
+    * @param {import('../core/starling').Starling} starling Starling instance
+    * @returns {boolean}
+    */
+    isFull: (starling: import("../core/starling").Starling) => boolean;
+    /**
+    * Gets the topics and patterns a Starling is subscribed to
+    * @param {import('../core/starling').Starling} starling Starling instance
+    * @returns {string[]}
+    */
+    of: (starling: import("../core/starling").Starling) => string[];
+    /**
+    * Gets the subscribers of a topic or pattern
+    * @param {string} topic Topic or pattern
+    * @returns {import('../core/starling').Starling[]}
+    */
+    subscribers: (topic: string) => import("../core/starling").Starling[];
+}
+export type TopicAuthorizationHandler = (starling: import("../core/starling").Starling, topic: string, action: "subscribe" | "unsubscribe") => boolean | Promise<boolean>;
@@ -0,0 +1,47 @@
+export function createStateStore(option?: StateStoreOption): StateStore | null;
+export type StoredState = {
+    /**
+     * Owner Starling ID
+     */
+    starlingId: string;
+    /**
+     * Saved states by namespace
+     */
+    states: {
+        [x: string]: any;
+    };
+    /**
+     * Generation timestamp
+     */
+    timestamp: number;
+    /**
+     * Expiration timestamp in ms
+     */
+    expiresAt?: number;
+};
+export type StateStore = {
+    /**
+     * Gets a record by reference
+     */
+    get: (arg0: string) => Promise<StoredState | null>;
+    /**
+     * Stores a record
+     */
+    set: (arg0: string, arg1: StoredState) => Promise<void>;
+    /**
+     * Deletes a record
+     */
+    delete: (arg0: string) => Promise<boolean>;
+    /**
+     * Removes expired records
+     */
+    purge?: () => Promise<number>;
+};
+export type StateStoreOption = "memory" | "sqlite" | {
+    type: "memory";
+} | ({
+    type: "sqlite";
+} & import("./sqlite").SqliteStateStoreOptions) | StateStore;
+import { MemoryStateStore } from "./memory.js";
+import { SqliteStateStore } from "./sqlite.js";
+export { MemoryStateStore, SqliteStateStore };
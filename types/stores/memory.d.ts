@@ -0,0 +1,40 @@
+/**
+* @typedef {import('./index').StoredState} StoredState
+*/
+/**
+* In-memory state store.
+* States are lost when the process exits.
+*/
+export class MemoryStateStore {
+    /**
+    * Stored states by reference
+    * @type {Map<string, StoredState>}
+    * @private
+    */
+    private _records;
+    /**
+    * Gets a stored state record
+    * @param {string} ref State reference
+    * @returns {Promise<StoredState|null>}
+    */
+    get: (ref: string) => Promise<StoredState | null>;
+    /**
+    * Stores a state record
+    * @param {string} ref State reference
+    * @param {StoredState} record State record
+    * @returns {Promise<void>}
+    */
+    set: (ref: string, record: StoredState) => Promise<void>;
+    /**
+    * Deletes a stored state record
+    * @param {string} ref State reference
+    * @returns {Promise<boolean>} Whether a record was deleted
+    */
+    delete: (ref: string) => Promise<boolean>;
+    /**
+    * Removes every expired record
+    * @returns {Promise<number>} Number of removed records
+    */
+    purge: () => Promise<number>;
+}
+export type StoredState = import("./index").StoredState;
@@ -0,0 +1,61 @@
+/**
+* @typedef {import('./index').StoredState} StoredState
+*/
+/**
+* @typedef {Object} SqliteStateStoreOptions
+* @property {string} [path=':memory:'] Database file path
+* @property {string} [table='helios_states'] Table name
+*/
+/**
+* State store backed by a bun:sqlite database, only available under Bun.
+* States survive process restarts when a file path is used.
+*/
+export class SqliteStateStore {
+    /**
+    * @param {SqliteStateStoreOptions} [options={}] Store options
+    */
+    constructor(options?: SqliteStateStoreOptions);
+    /** @private */
+    private _db;
+    /** @private */
+    private _statements;
+    /**
+    * Gets a stored state record
+    * @param {string} ref State reference
+    * @returns {Promise<StoredState|null>}
+    */
+    get: (ref: string) => Promise<StoredState | null>;
+    /**
+    * Stores a state record
+    * @param {string} ref State reference
+    * @param {StoredState} record State record
+    * @returns {Promise<void>}
+    */
+    set: (ref: string, record: StoredState) => Promise<void>;
+    /**
+    * Deletes a stored state record
+    * @param {string} ref State reference
+    * @returns {Promise<boolean>} Whether a record was deleted
+    */
+    delete: (ref: string) => Promise<boolean>;
+    /**
+    * Removes every expired record
+    * @returns {Promise<number>} Number of removed records
+    */
+    purge: () => Promise<number>;
+    /**
+    * Closes the underlying database
+    */
+    close: () => void;
+}
+export type StoredState = import("./index").StoredState;
+export type SqliteStateStoreOptions = {
+    /**
+     * Database file path
+     */
+    path?: string;
+    /**
+     * Table name
+     */
+    table?: string;
+};
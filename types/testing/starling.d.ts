@@ -0,0 +1,167 @@
+/**
+* In-process client connected to a Helios server through a MockWebSocket
+*/
+export class MockStarling {
+    /**
+    * @param {import('../core/helios').Helios} helios Helios instance
+    * @param {MockStarlingOptions} [options={}] Client options
+    */
+    constructor(helios: import("../core/helios").Helios, options?: MockStarlingOptions);
+    /** @private */
+    private _helios;
+    /** @private */
+    private _options;
+    /**
+    * Current socket, null until connected
+    * @type {MockWebSocket|null}
+    */
+    ws: MockWebSocket | null;
+    /**
+    * Latest recovery token received
+    * @type {string|null}
+    */
+    token: string | null;
+    /**
+    * Every message received, parsed when JSON
+    * @type {Array<Object|ArrayBuffer|Uint8Array>}
+    */
+    messages: Array<any | ArrayBuffer | Uint8Array>;
+    /**
+    * Notifications received
+    * @type {ReceivedNotification[]}
+    */
+    notifications: ReceivedNotification[];
+    /** @private @type {Map<string, {resolve: Function, reject: Function, timer: *}>} */
+    private _pending;
+    /** @private @type {Map<string, MockMethodHandler>} */
+    private _methods;
+    /** @private @type {Set<{topic: string, handler: function(ReceivedNotification): void}>} */
+    private _listeners;
+    /**
+    * Opens a connection through `helios.fetch()`, going through the connection limits
+    * and authentication like a real upgrade
+    * @param {Object} [options={}]
+    * @param {string|null} [options.recover] Recovery token to present
+    * @returns {Promise<MockStarling>}
+    * @throws {Error} With the response `status` when the upgrade is refused
+    */
+    connect: ({ recover }?: {
+        recover?: string | null;
+    }) => Promise<MockStarling>;
+    /**
+    * Drops the connection from the client side, the server keeps the Starling for recovery
+    * @param {number} [code=1000] Close code
+    * @param {string} [reason='Connection lost'] Close reason
+    */
+    disconnect: (code?: number, reason?: string) => void;
+    /**
+    * Reconnects with a recovery token
+    * @param {string} [token] Token to present, the latest received by default
+    * @returns {Promise<MockStarling>}
+    */
+    recover: (token?: string) => Promise<MockStarling>;
+    /**
+    * Asks the server for a fresh recovery token
+    * @returns {Promise<string>}
+    */
+    refreshToken: () => Promise<string>;
+    /**
+    * Sends a request and waits for its response
+    * @param {string} method Method name
+    * @param {*} [payload] Request payload
+    * @param {Object} [options={}]
+    * @param {number} [options.timeout] Timeout in ms
+    * @returns {Promise<Object>} Response message, with `success` and `data` or `error`
+    */
+    request: (method: string, payload?: any, { timeout }?: {
+        timeout?: number;
+    }) => Promise<any>;
+    /**
+    * Sends a notification to the server
+    * @param {string} topic Notification topic
+    * @param {*} [data] Notification data
+    */
+    notify: (topic: string, data?: any) => void;
+    /**
+    * Answers the requests the server sends to this client, e.g. proxied ones
+    * @param {string} method Method name
+    * @param {MockMethodHandler} handler Handler
+    */
+    handle: (method: string, handler: MockMethodHandler) => void;
+    /**
+    * Listens to notifications
+    * @param {string} topic Notification topic
+    * @param {function(ReceivedNotification): void} handler Handler
+    * @returns {function(): void} Removes the listener
+    */
+    on: (topic: string, handler: (arg0: ReceivedNotification) => void) => () => void;
+    /**
+    * Waits for a notification
+    * @param {string} topic Notification topic
+    * @param {Object} [options={}]
+    * @param {number} [options.timeout] Timeout in ms
+    * @returns {Promise<ReceivedNotification>}
+    */
+    waitFor: (topic: string, { timeout }?: {
+        timeout?: number;
+    }) => Promise<ReceivedNotification>;
+    /**
+    * Gets the server-side Starling of this client
+    * @returns {import('../core/starling').Starling|undefined}
+    */
+    get starling(): import("../core/starling").Starling | undefined;
+    /**
+    * Whether the client is connected
+    */
+    get connected(): boolean;
+    /**
+    * @private
+    */
+    private _send;
+    /**
+    * Handles a message sent by the server
+    * @private
+    */
+    private _receive;
+    /**
+    * Answers a request sent by the server
+    * @private
+    */
+    private _answer;
+}
+export type MockStarlingOptions = {
+    /**
+     * Headers of the upgrade request, seen by `authenticate`
+     */
+    headers?: {
+        [x: string]: string;
+    };
+    /**
+     * URL of the upgrade request
+     */
+    url?: string;
+    /**
+     * Client IP
+     */
+    ip?: string;
+    /**
+     * Identity attached without going through `authenticate`
+     */
+    identity?: any | null;
+    /**
+     * Default request timeout in ms
+     */
+    timeout?: number;
+};
+export type ReceivedNotification = {
+    /**
+     * Notification topic
+     */
+    topic: string;
+    /**
+     * Notification data
+     */
+    data: any;
+};
+export type MockMethodHandler = (payload: any, message: any) => any | Promise<any>;
+import { MockWebSocket } from "./websocket.js";
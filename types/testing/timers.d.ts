@@ -0,0 +1,97 @@
+/**
+* @typedef {Object} FakeTimer
+* @property {number} id Timer ID
+* @property {number} at Time the timer fires at
+* @property {function(...*): void} callback Callback
+* @property {Array<*>} args Callback arguments
+* @property {number|null} interval Interval of repeating timers
+*/
+/**
+* Controllable replacement of the global timers and clock, to fast-forward
+* through `disconnectionTTL`, proxy timeouts and token expirations
+*/
+export class FakeTimers {
+    /**
+    * @param {Object} [options={}]
+    * @param {number} [options.now=Date.now()] Initial time
+    */
+    constructor({ now }?: {
+        now?: number;
+    });
+    /** @private */
+    private _now;
+    /** @private */
+    private _nextId;
+    /**
+    * Pending timers
+    * @type {Map<number, FakeTimer>}
+    * @private
+    */
+    private _timers;
+    /** @private */
+    private _originals;
+    /**
+    * Replaces the global timers and `Date.now()`
+    * @returns {FakeTimers}
+    */
+    install: () => FakeTimers;
+    /**
+    * Restores the global timers and `Date.now()`
+    */
+    uninstall: () => void;
+    /**
+    * Moves the clock forward, firing the timers due on the way
+    * @param {number} ms Time to advance in ms
+    * @returns {Promise<void>} Resolves once the callbacks and their pending promises ran
+    */
+    advance: (ms: number) => Promise<void>;
+    /**
+    * Fires every pending timeout, intervals excluded
+    * @returns {Promise<void>}
+    */
+    runAll: () => Promise<void>;
+    /**
+    * Gets the current fake time
+    */
+    get now(): number;
+    /**
+    * Gets the number of pending timers
+    */
+    get pending(): number;
+    /**
+    * @private
+    */
+    private _schedule;
+    /**
+    * Gets the next timer due before a time
+    * @private
+    */
+    private _next;
+    /**
+    * Lets pending promise callbacks run
+    * @private
+    */
+    private _flush;
+}
+export type FakeTimer = {
+    /**
+     * Timer ID
+     */
+    id: number;
+    /**
+     * Time the timer fires at
+     */
+    at: number;
+    /**
+     * Callback
+     */
+    callback: (...args: any[]) => void;
+    /**
+     * Callback arguments
+     */
+    args: Array<any>;
+    /**
+     * Interval of repeating timers
+     */
+    interval: number | null;
+};
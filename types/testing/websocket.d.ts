@@ -0,0 +1,102 @@
+/**
+* @typedef {Object} MockWebSocketOptions
+* @property {Object} [data={}] Upgrade data, as returned by the fetch handler
+* @property {string} [remoteAddress='127.0.0.1'] Client address
+* @property {function(string|ArrayBuffer|Uint8Array): void} [onMessage] Receives the messages sent by the server
+*/
+/**
+* In-process stand-in for Bun's `ServerWebSocket`, plugged into `helios.handlers`
+*/
+export class MockWebSocket {
+    /**
+    * @param {import('../core/helios').Helios} helios Helios instance
+    * @param {MockWebSocketOptions} [options={}] Socket options
+    */
+    constructor(helios: import("../core/helios").Helios, options?: MockWebSocketOptions);
+    /** @private */
+    private _helios;
+    /** @private */
+    private _onMessage;
+    /** Upgrade data */
+    data: any;
+    /** Client address */
+    remoteAddress: string;
+    /** 1 while open, 3 once closed */
+    readyState: number;
+    /**
+    * Messages sent by the server
+    * @type {Array<string|ArrayBuffer|Uint8Array>}
+    */
+    sent: Array<string | ArrayBuffer | Uint8Array>;
+    /**
+    * Close code and reason, once closed
+    * @type {{code: number, reason: string}|null}
+    */
+    closed: {
+        code: number;
+        reason: string;
+    } | null;
+    /** @private @type {Set<string>} */
+    private _topics;
+    /**
+    * Sends a message to the client
+    * @param {string|ArrayBuffer|Uint8Array} message Message
+    * @returns {number} Bytes sent, 0 once closed
+    */
+    send: (message: string | ArrayBuffer | Uint8Array) => number;
+    /**
+    * Closes the connection from the server side, like `ServerWebSocket.close()`
+    * @param {number} [code=1000] Close code
+    * @param {string} [reason=''] Close reason
+    */
+    close: (code?: number, reason?: string) => void;
+    /**
+    * Closes the connection abruptly
+    */
+    terminate: () => void;
+    /**
+    * Delivers a message from the client to the server
+    * @param {string|ArrayBuffer|Uint8Array} message Message
+    */
+    receive: (message: string | ArrayBuffer | Uint8Array) => void;
+    /**
+    * Subscribes to a topic
+    * @param {string} topic Topic
+    */
+    subscribe: (topic: string) => void;
+    /**
+    * Unsubscribes from a topic
+    * @param {string} topic Topic
+    */
+    unsubscribe: (topic: string) => void;
+    /**
+    * Checks if subscribed to a topic
+    * @param {string} topic Topic
+    * @returns {boolean}
+    */
+    isSubscribed: (topic: string) => boolean;
+    /**
+    * Runs a callback, batching its sends in Bun
+    * @param {function(MockWebSocket): *} callback Callback
+    */
+    cork: (callback: (arg0: MockWebSocket) => any) => any;
+    /**
+    * Gets the subscribed topics
+    * @returns {string[]}
+    */
+    get subscriptions(): string[];
+}
+export type MockWebSocketOptions = {
+    /**
+     * Upgrade data, as returned by the fetch handler
+     */
+    data?: any;
+    /**
+     * Client address
+     */
+    remoteAddress?: string;
+    /**
+     * Receives the messages sent by the server
+     */
+    onMessage?: (arg0: string | ArrayBuffer | Uint8Array) => void;
+};
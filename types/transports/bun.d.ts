@@ -0,0 +1,5 @@
+/**
+* Transport serving with `Bun.serve`, whose sockets and server are used as is
+* @type {import('./index').Transport}
+*/
+export const bunTransport: import("./index").Transport;
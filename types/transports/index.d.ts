@@ -0,0 +1,111 @@
+export function resolveTransport(option?: TransportOption): Transport;
+/**
+ * WebSocket connection as seen by the Helios handlers, modeled on Bun's `ServerWebSocket`
+ */
+export type TransportSocket = {
+    /**
+     * Upgrade data
+     */
+    data: import("../core/upgrade").UpgradeData;
+    /**
+     * Client address
+     */
+    remoteAddress?: string;
+    /**
+     * 1 while open
+     */
+    readyState: number;
+    /**
+     * Sends a message
+     */
+    send: (arg0: string | ArrayBuffer | Uint8Array) => number;
+    /**
+     * Closes the connection
+     */
+    close: (arg0: number | undefined, arg1: string | undefined) => void;
+    /**
+     * Subscribes to a topic
+     */
+    subscribe: (arg0: string) => void;
+    /**
+     * Unsubscribes from a topic
+     */
+    unsubscribe: (arg0: string) => void;
+    /**
+     * Checks a subscription
+     */
+    isSubscribed: (arg0: string) => boolean;
+};
+export type TransportRequestContext = {
+    /**
+     * Client IP
+     */
+    ip?: string | null;
+    /**
+     * Upgrades the request to a WebSocket with the given data
+     */
+    upgrade?: (arg0: import("../core/upgrade").UpgradeData) => boolean;
+};
+export type TransportFetchHandler = (req: Request, context?: TransportRequestContext) => Promise<Response | undefined>;
+export type TransportListenOptions = {
+    /**
+     * Port to listen on
+     */
+    port?: number;
+    /**
+     * Interface to listen on
+     */
+    hostname?: string;
+    /**
+     * TLS certificates
+     */
+    tls?: import("../core/http").TlsOptions;
+    /**
+     * WebSocket tuning
+     */
+    websocketOptions?: import("../core/http").WebSocketTuning;
+    /**
+     * HTTP handler, `helios.fetch`
+     */
+    fetch: TransportFetchHandler;
+    /**
+     * WebSocket handlers, `helios.handlers`
+     */
+    websocket: any;
+};
+/**
+ * Running server of a transport
+ */
+export type TransportServer = {
+    /**
+     * Listening port
+     */
+    port?: number;
+    /**
+     * Server URL
+     */
+    url?: string | URL;
+    /**
+     * Stops listening, and closes the open connections when true
+     */
+    stop: (arg0: boolean | undefined) => void;
+    /**
+     * Publishes to the sockets subscribed to a topic, when natively supported
+     */
+    publish?: (arg0: string, arg1: string) => any;
+};
+export type Transport = {
+    /**
+     * Transport name
+     */
+    name: string;
+    /**
+     * Starts serving
+     */
+    listen: (arg0: TransportListenOptions) => TransportServer | Promise<TransportServer>;
+};
+export type TransportOption = "bun" | "node" | "loopback" | Transport;
+import { bunTransport } from "./bun.js";
+import { nodeTransport } from "./node.js";
+import { LoopbackTransport } from "./loopback.js";
+export { bunTransport, nodeTransport, LoopbackTransport };
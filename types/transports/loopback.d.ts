@@ -0,0 +1,158 @@
+/**
+* @typedef {Object} LoopbackConnectOptions
+* @property {Object<string, string>} [headers={}] Headers of the upgrade request
+* @property {string} [ip='127.0.0.1'] Client IP
+*/
+/**
+* Server side of an in-process connection
+*/
+export class LoopbackServerSocket {
+    /**
+    * @param {LoopbackClient} client Client side
+    * @param {import('../core/upgrade').UpgradeData} data Upgrade data
+    * @param {string} remoteAddress Client address
+    */
+    constructor(client: LoopbackClient, data: import("../core/upgrade").UpgradeData, remoteAddress: string);
+    /** @private */
+    private _client;
+    /** Upgrade data */
+    data: import("../core/upgrade").UpgradeData;
+    /** Client address */
+    remoteAddress: string;
+    /** @private @type {Set<string>} */
+    private _topics;
+    /**
+    * Sends a message to the client
+    * @param {string|ArrayBuffer|Uint8Array} message Message
+    * @returns {number} Bytes sent, 0 once closed
+    */
+    send: (message: string | ArrayBuffer | Uint8Array) => number;
+    /**
+    * Closes the connection from the server side
+    * @param {number} [code=1000] Close code
+    * @param {string} [reason=''] Close reason
+    */
+    close: (code?: number, reason?: string) => void;
+    /**
+    * Subscribes to a topic
+    * @param {string} topic Topic
+    */
+    subscribe: (topic: string) => void;
+    /**
+    * Unsubscribes from a topic
+    * @param {string} topic Topic
+    */
+    unsubscribe: (topic: string) => void;
+    /**
+    * Checks if subscribed to a topic
+    * @param {string} topic Topic
+    * @returns {boolean}
+    */
+    isSubscribed: (topic: string) => boolean;
+    /**
+    * Runs a callback, for parity with Bun
+    * @param {function(LoopbackServerSocket): *} callback Callback
+    */
+    cork: (callback: (arg0: LoopbackServerSocket) => any) => any;
+    /**
+    * Gets the connection state
+    */
+    get readyState(): number;
+}
+/**
+* Client side of an in-process connection
+*/
+export class LoopbackClient {
+    /**
+    * @param {Object} websocket Helios WebSocket handlers
+    * @param {function(LoopbackClient): void} [onClosed] Called once closed
+    */
+    constructor(websocket: any, onClosed?: (arg0: LoopbackClient) => void);
+    /** @private */
+    private _websocket;
+    /** @private */
+    private _onClosed;
+    /** 1 while open, 3 once closed */
+    readyState: number;
+    /**
+    * Receives the messages sent by the server
+    * @type {function(string|ArrayBuffer|Uint8Array): void|null}
+    */
+    onmessage: (arg0: string | ArrayBuffer | Uint8Array) => void | null;
+    /**
+    * Called once the connection is closed, from either side
+    * @type {function(number, string): void|null}
+    */
+    onclose: (arg0: number, arg1: string) => void | null;
+    /**
+    * Server side of the connection
+    * @type {LoopbackServerSocket|null}
+    */
+    socket: LoopbackServerSocket | null;
+    /**
+    * Sends a message to the server
+    * @param {string|ArrayBuffer|Uint8Array} message Message
+    */
+    send: (message: string | ArrayBuffer | Uint8Array) => void;
+    /**
+    * Closes the connection from the client side
+    * @param {number} [code=1000] Close code
+    * @param {string} [reason=''] Close reason
+    */
+    close: (code?: number, reason?: string) => void;
+    /**
+    * @private
+    */
+    private _closed;
+}
+/**
+* In-process transport: requests and connections are made from the same process,
+* through `fetch()` and `connect()`, without opening a port
+*/
+export class LoopbackTransport {
+    /** Transport name */
+    name: string;
+    /** @private @type {import('./index').TransportListenOptions|null} */
+    private _listening;
+    /** @private @type {Set<LoopbackClient>} */
+    private _clients;
+    /**
+    * Starts serving
+    * @param {import('./index').TransportListenOptions} options Listen options
+    * @returns {import('./index').TransportServer}
+    */
+    listen: (options: import("./index").TransportListenOptions) => import("./index").TransportServer;
+    /**
+    * Sends an HTTP request to the server
+    * @param {Request|string} input Request, or path
+    * @param {RequestInit & {ip?: string}} [init] Request options
+    * @returns {Promise<Response>}
+    */
+    fetch: (input: Request | string, { ip, ...init }?: RequestInit & {
+        ip?: string;
+    }) => Promise<Response>;
+    /**
+    * Opens an in-process WebSocket connection
+    * @param {string} [path='/'] Upgrade path, with its query string
+    * @param {LoopbackConnectOptions} [options={}] Connection options
+    * @returns {Promise<LoopbackClient>}
+    * @throws {Error} With the response `status` when the upgrade is refused
+    */
+    connect: (path?: string, { headers, ip }?: LoopbackConnectOptions) => Promise<LoopbackClient>;
+    /**
+    * @private
+    */
+    private _server;
+}
+export type LoopbackConnectOptions = {
+    /**
+     * Headers of the upgrade request
+     */
+    headers?: {
+        [x: string]: string;
+    };
+    /**
+     * Client IP
+     */
+    ip?: string;
+};
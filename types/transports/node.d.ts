@@ -0,0 +1,62 @@
+/**
+* Adapts a `ws` WebSocket to the `ServerWebSocket` interface the Helios handlers expect.
+* Topics are tracked locally, publishing falls back to notifying each subscriber.
+*/
+export class NodeServerWebSocket {
+    /**
+    * @param {import('ws').WebSocket} ws `ws` socket
+    * @param {import('../core/upgrade').UpgradeData} data Upgrade data
+    * @param {string|null} remoteAddress Client address
+    */
+    constructor(ws: import("ws").WebSocket, data: import("../core/upgrade").UpgradeData, remoteAddress: string | null);
+    /** @private */
+    private _ws;
+    /** Upgrade data */
+    data: import("../core/upgrade").UpgradeData;
+    /** Client address */
+    remoteAddress: string;
+    /** @private @type {Set<string>} */
+    private _topics;
+    /**
+    * Sends a message
+    * @param {string|ArrayBuffer|Uint8Array} message Message
+    * @returns {number} Bytes sent, 0 when the socket is not open
+    */
+    send: (message: string | ArrayBuffer | Uint8Array) => number;
+    /**
+    * Closes the connection
+    * @param {number} [code] Close code
+    * @param {string} [reason] Close reason
+    */
+    close: (code?: number, reason?: string) => void;
+    /**
+    * Subscribes to a topic
+    * @param {string} topic Topic
+    */
+    subscribe: (topic: string) => void;
+    /**
+    * Unsubscribes from a topic
+    * @param {string} topic Topic
+    */
+    unsubscribe: (topic: string) => void;
+    /**
+    * Checks if subscribed to a topic
+    * @param {string} topic Topic
+    * @returns {boolean}
+    */
+    isSubscribed: (topic: string) => boolean;
+    /**
+    * Runs a callback, for parity with Bun
+    * @param {function(NodeServerWebSocket): *} callback Callback
+    */
+    cork: (callback: (arg0: NodeServerWebSocket) => any) => any;
+    /**
+    * Gets the connection state
+    */
+    get readyState(): 0 | 2 | 1 | 3;
+}
+/**
+* Transport serving with `node:http` and the `ws` package, which must be installed
+* @type {import('./index').Transport}
+*/
+export const nodeTransport: import("./index").Transport;
@@ -0,0 +1,65 @@
+export function schemaToType(schema: any | null | undefined, indent?: string): string;
+export function generateClientTypes(source: MethodsDescription | {
+    schemas: {
+        describe: () => MethodsDescription;
+    };
+}, options?: ClientTypesOptions): string;
+export type MethodDescription = {
+    /**
+     * Method name
+     */
+    name: string;
+    /**
+     * Method description
+     */
+    description: string | null;
+    /**
+     * Method timeout in milliseconds
+     */
+    timeout: number | null;
+    /**
+     * JSON Schema of the request payload
+     */
+    input: any | null;
+    /**
+     * JSON Schema of the success data
+     */
+    output: any | null;
+};
+export type TopicDescription = {
+    /**
+     * Notification topic
+     */
+    name: string;
+    /**
+     * Topic description
+     */
+    description: string | null;
+    /**
+     * JSON Schema of the notification data
+     */
+    input: any | null;
+};
+/**
+ * Result of the `system:methods` method
+ */
+export type MethodsDescription = {
+    /**
+     * Registered methods
+     */
+    methods: MethodDescription[];
+    /**
+     * Registered notification topics
+     */
+    topics: TopicDescription[];
+};
+export type ClientTypesOptions = {
+    /**
+     * Name of the methods interface
+     */
+    methodsInterface?: string;
+    /**
+     * Name of the topics interface
+     */
+    topicsInterface?: string;
+};
@@ -0,0 +1 @@
+export function identityKey(identity: any | null, key?: (arg0: any) => any): string | null;
@@ -0,0 +1 @@
+export function toJsonSchema(schema: import("zod").ZodTypeAny, io?: "input" | "output"): any;
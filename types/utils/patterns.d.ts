@@ -0,0 +1,7 @@
+/** Maximum length of a pattern sent by a client */
+export const MAX_PATTERN_LENGTH: 256;
+/** Maximum number of wildcards (`*` or `**`) in a pattern sent by a client */
+export const MAX_PATTERN_WILDCARDS: 8;
+export function isPattern(pattern: string): boolean;
+export function checkPattern(pattern: string): string | null;
+export function matchPattern(pattern: string, name: string): boolean;
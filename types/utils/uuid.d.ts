@@ -0,0 +1 @@
+export function uuidv7(): string;